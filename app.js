@@ -0,0 +1,433 @@
+import express from 'express';
+import cors from 'cors';
+import { analyzePage, normalizeTargetUrl, validateAnalysisOptions } from './lib/analyzer.js';
+import { AnalysisError, CancelledError } from './lib/errors.js';
+import { listChecks } from './lib/checks/index.js';
+import { listProfiles } from './lib/scoring.js';
+import { cached } from './lib/cache.js';
+import { createHistoryStore, diffRuns } from './lib/history.js';
+import { JobQueue } from './lib/jobs.js';
+import { REPORT_FORMATS, renderReport } from './lib/report.js';
+import { crawlSite, effectiveMaxPages } from './lib/crawler.js';
+import { AccessError, apiKeyFrom, createAccessControl } from './lib/access.js';
+
+// The Express application; server.js listens with it, the tests mount it on an ephemeral port
+const app = express();
+
+const allowedOrigins = [
+  'https://adranalyzer.blogspot.com',
+  'https://www.adranalyzer.blogspot.com',
+  'http://localhost:8080',
+  'http://127.0.0.1:5500',
+  'https://adranalyzer.onrender.com',
+  'https://ingsha09.github.io/Adranalyzer',         // Without trailing slash
+  'https://ingsha09.github.io/Adranalyzer/',        // With trailing slash
+  'https://ingsha09.github.io',                     // Root domain without path
+  'https://ingsha09.github.io/'                     // Root domain with trailing slash
+];
+
+// Browser origins allowed by CORS; pages on them may use the API without a key
+const isAllowedOrigin = (origin) => {
+  if (allowedOrigins.includes(origin)) return true;
+  try {
+    const { hostname } = new URL(origin);
+    return hostname.endsWith('.replit.dev') || hostname.endsWith('.repl.co');
+  } catch (e) {
+    return false;
+  }
+};
+
+app.use(cors({
+  origin: function (origin, callback) {
+    console.log('Request Origin:', origin); // Log the origin for debugging
+    if (!origin || isAllowedOrigin(origin)) {
+      return callback(null, true);
+    }
+    callback(new Error(`CORS policy does not allow access from: ${origin}`), false);
+  },
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After']
+}));
+
+
+app.use(express.json());
+
+const access = createAccessControl(process.env, isAllowedOrigin);
+
+const sendAccessError = (res, error) => {
+  if (error.retryAfterSeconds) res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  res.status(error.status).json({ error: error.message });
+};
+
+const setLimitHeaders = (res, client) => {
+  const status = access.status(client);
+  res.setHeader('X-RateLimit-Limit', String(status.limit));
+  res.setHeader('X-RateLimit-Remaining', String(status.remaining));
+  res.setHeader('X-RateLimit-Reset', String(status.reset));
+  res.setHeader('X-Quota-Limit', String(status.quota));
+  res.setHeader('X-Quota-Remaining', String(status.quotaRemaining));
+};
+
+// Charges `cost` analyses to the caller's daily quota; answers 429 and returns false when it is used up
+function chargeQuota(req, res, cost) {
+  try {
+    access.charge(req.client, cost);
+    setLimitHeaders(res, req.client);
+    return true;
+  } catch (error) {
+    sendAccessError(res, error);
+    return false;
+  }
+}
+
+const history = createHistoryStore();
+
+// Stores a finished analysis; history is best-effort and never fails the analysis itself
+async function recordHistory(initialUrl, result) {
+  try {
+    const run = await history.save(initialUrl, result);
+    return run.id;
+  } catch (error) {
+    console.error('History save error:', error);
+    return null;
+  }
+}
+
+// Options shared by /api/analyze-url and /api/batch, read from the request body
+const analysisOptionsFrom = (body) => ({
+  crawl: Boolean(body.crawl),
+  maxPages: body.maxPages,
+  concurrency: body.concurrency,
+  checks: { enabled: body.enabledChecks, disabled: body.disabledChecks },
+  publisherId: body.publisherId,
+  profile: body.profile,
+  render: body.render || undefined,
+  fresh: body.fresh === true || body.fresh === 'true'
+});
+
+// Quota units an analysis costs: one per page it may analyze
+const analysisCost = (options) => (options.crawl ? effectiveMaxPages(options.maxPages) : 1);
+
+// Rendering runs the target page's own scripts, so it is off unless the server has an ADMIN_API_KEY
+// and the request presents it
+function assertRenderAllowed(req, options) {
+  if (options.render && !access.isAdminKey(apiKeyFrom(req))) {
+    throw new AnalysisError('Rendering page scripts is restricted to the admin API key.', 403);
+  }
+}
+
+// Identifies an analysis by its target and every option that changes the result
+const analysisCacheKey = (initialUrl, options) =>
+  `analysis:${normalizeTargetUrl(initialUrl)}:${JSON.stringify(options)}`;
+
+// The analysis pipeline behind every endpoint: a single page or a crawl, saved to history.
+// Repeated requests within the cache TTL get the stored result; `fresh` forces a new analysis.
+// `onProgress` and `signal` are passed to the analyzer (see analyzePage) and are not part of the
+// cache key; a cached result produces no progress events.
+async function runAnalysis(initialUrl, { fresh, ...options }, { onProgress, signal } = {}) {
+  const { value, cache } = await cached(analysisCacheKey(initialUrl, options), async () => {
+    // Crawl mode analyzes internal pages too and adds site-wide totals
+    const result = options.crawl
+      ? await crawlSite(initialUrl, { ...options, fresh, onProgress, signal })
+      : (await analyzePage(initialUrl, { ...options, fresh, onProgress, signal })).result;
+    return { ...result, analyzedAt: new Date().toISOString(), historyId: await recordHistory(initialUrl, result) };
+  }, { fresh });
+  return { ...value, cache: { ...cache, page: value.cache?.page } };
+}
+
+// Sends an analysis result as JSON or as a downloadable report (html, pdf, csv)
+async function sendReport(res, result, format = 'json') {
+  if (format === 'json') {
+    return res.json(result);
+  }
+  const { body, contentType, filename } = await renderReport(result, format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename}"`);
+  res.send(body);
+}
+
+const invalidFormatError = (format) =>
+  `Unsupported format "${format}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`;
+
+const BATCH_MAX_URLS = 100;
+const batchQueue = new JobQueue(runAnalysis, {
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || undefined,
+  hostDelayMs: process.env.BATCH_HOST_DELAY_MS !== undefined ? parseInt(process.env.BATCH_HOST_DELAY_MS, 10) : undefined
+});
+
+// Health check endpoint similar to your example
+app.get('/health', (req, res) => {
+  res.setHeader('Content-Type', 'text/plain');
+  res.status(200).send("Hello from your Node.js backend! I'm alive!\n");
+});
+
+// Per-client usage counters, for operators holding ADMIN_API_KEY
+app.get('/api/admin/usage', (req, res) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(404).json({ error: 'The admin API is not enabled.' });
+  }
+  if (!access.isAdminKey(apiKeyFrom(req))) {
+    return res.status(403).json({ error: 'A valid admin API key is required.' });
+  }
+  res.json({ clients: access.usage() });
+});
+
+// Every other API route needs an API key, or an allowed browser origin sharing the anonymous limit
+app.use('/api', (req, res, next) => {
+  try {
+    req.client = access.authenticate(req);
+    access.hit(req.client);
+    setLimitHeaders(res, req.client);
+    next();
+  } catch (error) {
+    if (!(error instanceof AccessError)) return next(error);
+    sendAccessError(res, error);
+  }
+});
+
+// Registered checks, so clients know which ids they can enable or disable
+app.get('/api/checks', (req, res) => {
+  res.json({ checks: listChecks() });
+});
+
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: listProfiles() });
+});
+
+app.post('/api/analyze-url', async (req, res) => {
+  const body = req.body || {};
+  const format = String(body.format || req.query.format || 'json').toLowerCase();
+  if (!Object.hasOwn(REPORT_FORMATS, format)) {
+    return res.status(400).json({ error: invalidFormatError(format) });
+  }
+  const options = analysisOptionsFrom({ ...body, fresh: body.fresh ?? req.query.fresh });
+  try {
+    normalizeTargetUrl(body.url);
+    validateAnalysisOptions(options);
+    assertRenderAllowed(req, options);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  if (!chargeQuota(req, res, analysisCost(options))) return;
+
+  try {
+    await sendReport(res, await runAnalysis(body.url, options), format);
+  } catch (error) {
+    if (error instanceof AnalysisError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Analysis error:", error);
+    res.status(500).json({
+      error: `Analysis failed: ${error.message}`,
+      details: 'Please check that the website is accessible and contains valid HTML content.'
+    });
+  }
+});
+
+// Streaming variant of /api/analyze-url. Sends analyzer events as they happen ("redirect", "fetch",
+// "parse", "render", "check" with the check result; "page" and "page-error" in crawl mode) and ends
+// with "result", the same payload /api/analyze-url returns, or "error". Server-Sent Events by
+// default; NDJSON ({ event, data } per line) when the client accepts application/x-ndjson.
+// Closing the connection cancels the analysis and its outstanding requests.
+app.post('/api/analyze-url/stream', async (req, res) => {
+  const body = req.body || {};
+  let options;
+  try {
+    normalizeTargetUrl(body.url);
+    options = analysisOptionsFrom({ ...body, fresh: body.fresh ?? req.query.fresh });
+    validateAnalysisOptions(options);
+    assertRenderAllowed(req, options);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  if (!chargeQuota(req, res, analysisCost(options))) return;
+
+  const ndjson = req.accepts(['text/event-stream', 'application/x-ndjson']) === 'application/x-ndjson';
+  res.writeHead(200, {
+    'Content-Type': ndjson ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = ndjson
+    ? (event, data) => res.write(`${JSON.stringify({ event, data })}\n`)
+    : (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const result = await runAnalysis(body.url, options, {
+      signal: controller.signal,
+      onProgress: ({ stage, ...data }) => send(stage, data)
+    });
+    send('result', result);
+  } catch (error) {
+    if (error instanceof CancelledError) return;
+    if (!(error instanceof AnalysisError)) console.error('Analysis error:', error);
+    send('error', {
+      error: error instanceof AnalysisError ? error.message : `Analysis failed: ${error.message}`,
+      status: error.status || 500
+    });
+  }
+  res.end();
+});
+
+// Queues a list of URLs and answers at once with a job id to poll
+app.post('/api/batch', (req, res) => {
+  const body = req.body || {};
+  const { urls } = body;
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({ error: 'A non-empty "urls" array is required.' });
+  }
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ error: `Too many URLs: at most ${BATCH_MAX_URLS} per batch.` });
+  }
+
+  let options;
+  const invalid = [];
+  try {
+    options = validateAnalysisOptions(analysisOptionsFrom(body));
+    assertRenderAllowed(req, options);
+    urls.forEach(url => {
+      try {
+        normalizeTargetUrl(typeof url === 'string' ? url : '');
+      } catch (error) {
+        invalid.push(url);
+      }
+    });
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid URL format provided.', invalidUrls: invalid });
+  }
+  if (!chargeQuota(req, res, urls.length * analysisCost(options))) return;
+
+  const job = batchQueue.createJob(urls, options);
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    total: urls.length,
+    statusUrl: `/api/batch/${job.id}`,
+    eventsUrl: `/api/batch/${job.id}/events`
+  });
+});
+
+app.get('/api/batch/:id', (req, res) => {
+  const job = batchQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  res.json(batchQueue.describe(job, { includeResults: req.query.results !== 'false' }));
+});
+
+// Server-Sent Events: "progress" after every change, "item" per finished URL, "done" at the end
+app.get('/api/batch/:id/events', (req, res) => {
+  const job = batchQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('progress', batchQueue.progress(job));
+  if (job.status === 'completed') {
+    send('done', batchQueue.describe(job, { includeResults: false }));
+    return res.end();
+  }
+
+  const onItem = item => send('item', item);
+  const onProgress = progress => send('progress', progress);
+  const onDone = summary => {
+    send('done', summary);
+    cleanup();
+    res.end();
+  };
+  const cleanup = () => {
+    job.events.off('item', onItem);
+    job.events.off('progress', onProgress);
+    job.events.off('done', onDone);
+  };
+  job.events.on('item', onItem);
+  job.events.on('progress', onProgress);
+  job.events.on('done', onDone);
+  req.on('close', cleanup);
+});
+
+// Past runs for a URL, newest first
+app.get('/api/history', async (req, res) => {
+  const { url, limit } = req.query;
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required.' });
+  }
+
+  try {
+    const runs = await history.list(url, { limit: Math.min(parseInt(limit, 10) || 50, 500) });
+    res.json({ url, runs });
+  } catch (error) {
+    if (error instanceof TypeError) {
+      return res.status(400).json({ error: 'Invalid URL format provided.' });
+    }
+    console.error('History error:', error);
+    res.status(500).json({ error: `Could not read history: ${error.message}` });
+  }
+});
+
+// Score movement and check status changes between two runs
+app.get('/api/history/diff', async (req, res) => {
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both "from" and "to" run ids are required.' });
+  }
+
+  try {
+    const [fromRun, toRun] = await Promise.all([history.get(from), history.get(to)]);
+    if (!fromRun || !toRun) {
+      return res.status(404).json({ error: `Run not found: ${!fromRun ? from : to}` });
+    }
+    res.json(diffRuns(fromRun, toRun));
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: `Could not read history: ${error.message}` });
+  }
+});
+
+// Renders a stored run as a report: ?format=html|pdf|csv|json
+app.get('/api/history/:id/export', async (req, res) => {
+  const format = String(req.query.format || 'html').toLowerCase();
+  if (!Object.hasOwn(REPORT_FORMATS, format)) {
+    return res.status(400).json({ error: invalidFormatError(format) });
+  }
+
+  try {
+    const run = await history.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    await sendReport(res, run.result, format);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: `Could not export report: ${error.message}` });
+  }
+});
+
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const run = await history.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: `Run not found: ${req.params.id}` });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: `Could not read history: ${error.message}` });
+  }
+});
+
+export default app;
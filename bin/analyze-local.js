@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+import path from 'path';
+import { readdir, stat, writeFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { analyzePage, validateAnalysisOptions } from '../lib/analyzer.js';
+import { crawlSite, MAX_PAGES_LIMIT } from '../lib/crawler.js';
+import { startSiteServer } from '../lib/localsite.js';
+import { loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+import { setWhoisClient } from '../lib/domain.js';
+import { REPORT_FORMATS, renderReport } from '../lib/report.js';
+
+// Analyzes a local HTML file, or a directory as a site, without network access. The files are
+// served on a loopback port and the safety policy refuses every other host, so external scripts,
+// images and links are reported as not checked instead of being requested.
+
+const USAGE = `Usage: node bin/analyze-local.js <file.html | directory> [options]
+
+Options:
+  --format <json|html|csv|pdf>  report format (default json)
+  --out <file>                  write the report to a file instead of stdout
+  --profile <id>                scoring profile
+  --enable <ids>                comma-separated check ids to run
+  --disable <ids>               comma-separated check ids to skip
+  --max-pages <n>               pages to analyze in a directory (default: every HTML file, at most ${MAX_PAGES_LIMIT})
+  --publisher-id <id>           AdSense publisher ID to verify against ads.txt
+  -h, --help                    show this help`;
+
+const list = (value) => (value ? value.split(',').map(id => id.trim()).filter(Boolean) : undefined);
+
+async function countHtmlFiles(dir) {
+  let count = 0;
+  for (const entry of await readdir(dir, { withFileTypes: true, recursive: true })) {
+    if (entry.isFile() && /\.html?$/i.test(entry.name) && entry.name !== '404.html') count++;
+  }
+  return count;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      profile: { type: 'string' },
+      enable: { type: 'string' },
+      disable: { type: 'string' },
+      'max-pages': { type: 'string' },
+      'publisher-id': { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help || positionals.length !== 1) {
+    console.error(USAGE);
+    return values.help ? 0 : 2;
+  }
+  const format = values.format.toLowerCase();
+  if (!Object.hasOwn(REPORT_FORMATS, format)) {
+    throw new Error(`Unsupported format "${format}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`);
+  }
+  if (format === 'pdf' && !values.out) {
+    throw new Error('PDF reports need --out <file>.');
+  }
+
+  const target = path.resolve(positionals[0]);
+  const isDirectory = (await stat(target)).isDirectory();
+  const root = isDirectory ? target : path.dirname(target);
+  const options = validateAnalysisOptions({
+    checks: { enabled: list(values.enable), disabled: list(values.disable) },
+    profile: values.profile,
+    publisherId: values['publisher-id'],
+    fresh: true
+  });
+
+  const site = await startSiteServer(root);
+  setSafetyPolicy(loadSafetyPolicy({
+    ...process.env,
+    FETCH_ALLOWED_HOSTS: '127.0.0.1',
+    FETCH_ALLOWED_PORTS: String(site.port),
+    FETCH_ONLY_ALLOWED: 'true'
+  }));
+  // A local run never contacts a registry, even with WHOIS_CLIENT set
+  setWhoisClient(null);
+
+  try {
+    const result = isDirectory
+      ? await crawlSite(`${site.origin}/`, { ...options, maxPages: values['max-pages'] || Math.min(await countHtmlFiles(root), MAX_PAGES_LIMIT), concurrency: 1 })
+      : (await analyzePage(`${site.origin}/${encodeURIComponent(path.basename(target))}`, options)).result;
+    const { body } = format === 'json'
+      ? { body: `${JSON.stringify(result, null, 2)}\n` }
+      : await renderReport(result, format);
+    if (values.out) {
+      await writeFile(values.out, body);
+    } else {
+      process.stdout.write(body);
+    }
+    return 0;
+  } finally {
+    await site.close();
+  }
+}
+
+// The analyzer logs progress with console.log; keep stdout for the report
+console.log = console.error;
+
+main().then(code => {
+  process.exitCode = code;
+}, error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
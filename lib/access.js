@@ -0,0 +1,171 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { AnalysisError } from './errors.js';
+
+export const DEFAULT_KEY_LIMITS = { requestsPerMinute: 60, dailyQuota: 2000 };
+// Shared by every anonymous browser user of the allowed origins
+export const DEFAULT_ANONYMOUS_LIMITS = { requestsPerMinute: 20, dailyQuota: 300 };
+
+const MINUTE_MS = 60 * 1000;
+
+export class AccessError extends AnalysisError {
+  constructor(message, status, retryAfterSeconds) {
+    super(message, status);
+    this.name = 'AccessError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export const hashApiKey = (key) => createHash('sha256').update(String(key)).digest('hex');
+
+const toLimit = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// API keys from the environment:
+//   API_KEYS_FILE  JSON list of { name, key | keyHash (sha256 hex), requestsPerMinute, dailyQuota }
+//   API_KEYS       comma-separated "name:key" pairs using DEFAULT_KEY_LIMITS
+// Returns [{ name, keyHash, requestsPerMinute, dailyQuota }].
+export function loadApiKeys(env = process.env) {
+  const entries = [];
+  if (env.API_KEYS_FILE) {
+    const parsed = JSON.parse(readFileSync(env.API_KEYS_FILE, 'utf8'));
+    (Array.isArray(parsed) ? parsed : parsed.keys || []).forEach(entry => entries.push(entry));
+  }
+  (env.API_KEYS || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf(':');
+    entries.push(separator > 0 ? { name: pair.slice(0, separator), key: pair.slice(separator + 1) } : { name: `key-${entries.length + 1}`, key: pair });
+  });
+
+  return entries.map((entry, index) => {
+    if (!entry.key && !entry.keyHash) throw new Error(`API key entry ${index + 1} has neither "key" nor "keyHash".`);
+    return {
+      name: entry.name || `key-${index + 1}`,
+      keyHash: (entry.keyHash || hashApiKey(entry.key)).toLowerCase(),
+      requestsPerMinute: toLimit(entry.requestsPerMinute, DEFAULT_KEY_LIMITS.requestsPerMinute),
+      dailyQuota: toLimit(entry.dailyQuota, DEFAULT_KEY_LIMITS.dailyQuota)
+    };
+  });
+}
+
+// The key a request presents, from "Authorization: Bearer <key>" or "X-API-Key"
+export function apiKeyFrom(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  return (bearer ? bearer[1] : req.get('x-api-key') || '').trim() || null;
+}
+
+const today = (now) => new Date(now).toISOString().slice(0, 10);
+
+// Authenticates API callers and enforces per-client rate limits (requests per minute, fixed window)
+// and daily quotas (analyses per UTC day). Requests without a key are accepted only from allowed
+// browser origins and share one stricter anonymous client. Usage is kept in memory.
+export class AccessControl {
+  constructor({ keys = [], anonymous = DEFAULT_ANONYMOUS_LIMITS, adminKey = null, isAllowedOrigin = () => false, now = Date.now } = {}) {
+    this.isAllowedOrigin = isAllowedOrigin;
+    this.adminKeyHash = adminKey ? hashApiKey(adminKey) : null;
+    this.now = now;
+    this.clients = new Map();
+    keys.forEach(key => this.clients.set(key.keyHash, this.createClient(key.name, key)));
+    this.anonymous = this.createClient('anonymous', anonymous);
+  }
+
+  createClient(name, { requestsPerMinute, dailyQuota }) {
+    return {
+      name,
+      requestsPerMinute,
+      dailyQuota,
+      window: { start: 0, count: 0 },
+      day: { date: today(this.now()), analyses: 0 },
+      usage: { requests: 0, analyses: 0, rejected: 0, lastUsedAt: null }
+    };
+  }
+
+  isAdminKey(key) {
+    if (!this.adminKeyHash || !key) return false;
+    return timingSafeEqual(Buffer.from(hashApiKey(key), 'hex'), Buffer.from(this.adminKeyHash, 'hex'));
+  }
+
+  // Resolves the client behind a request or throws AccessError (401/403)
+  authenticate(req) {
+    const key = apiKeyFrom(req);
+    if (key) {
+      const client = this.clients.get(hashApiKey(key));
+      if (!client) throw new AccessError('Invalid API key.', 401);
+      return client;
+    }
+    // The Origin header can be forged outside a browser, which is why anonymous use shares one budget
+    const origin = req.get('origin');
+    if (origin && this.isAllowedOrigin(origin)) return this.anonymous;
+    throw new AccessError('An API key is required. Send it as "Authorization: Bearer <key>" or in the X-API-Key header.', 401);
+  }
+
+  // Counts one request against the client's per-minute limit; throws AccessError (429) when exceeded
+  hit(client) {
+    const now = this.now();
+    if (now - client.window.start >= MINUTE_MS) {
+      client.window = { start: now, count: 0 };
+    }
+    client.usage.lastUsedAt = new Date(now).toISOString();
+    if (client.window.count >= client.requestsPerMinute) {
+      client.usage.rejected++;
+      const retryAfter = Math.ceil((client.window.start + MINUTE_MS - now) / 1000);
+      throw new AccessError(`Rate limit of ${client.requestsPerMinute} requests per minute exceeded. Retry in ${retryAfter}s.`, 429, retryAfter);
+    }
+    client.window.count++;
+    client.usage.requests++;
+  }
+
+  // Charges `cost` analyses to the client's daily quota; throws AccessError (429) when it would be exceeded
+  charge(client, cost = 1) {
+    const now = this.now();
+    if (client.day.date !== today(now)) {
+      client.day = { date: today(now), analyses: 0 };
+    }
+    if (client.day.analyses + cost > client.dailyQuota) {
+      client.usage.rejected++;
+      const midnight = new Date(now);
+      midnight.setUTCHours(24, 0, 0, 0);
+      const retryAfter = Math.ceil((midnight.getTime() - now) / 1000);
+      const left = client.dailyQuota - client.day.analyses;
+      throw new AccessError(`Daily quota of ${client.dailyQuota} analyses exceeded (${left} left today, ${cost} requested).`, 429, retryAfter);
+    }
+    client.day.analyses += cost;
+    client.usage.analyses += cost;
+  }
+
+  // Limits and counters reported in response headers
+  status(client) {
+    return {
+      limit: client.requestsPerMinute,
+      remaining: Math.max(0, client.requestsPerMinute - client.window.count),
+      reset: Math.ceil((client.window.start + MINUTE_MS) / 1000),
+      quota: client.dailyQuota,
+      quotaRemaining: Math.max(0, client.dailyQuota - (client.day.date === today(this.now()) ? client.day.analyses : 0))
+    };
+  }
+
+  // Usage of every client, for the admin endpoint
+  usage() {
+    return [...this.clients.values(), this.anonymous].map(client => ({
+      name: client.name,
+      requestsPerMinute: client.requestsPerMinute,
+      dailyQuota: client.dailyQuota,
+      today: client.day.date === today(this.now()) ? client.day.analyses : 0,
+      ...client.usage
+    }));
+  }
+}
+
+export function createAccessControl(env = process.env, isAllowedOrigin) {
+  return new AccessControl({
+    keys: loadApiKeys(env),
+    anonymous: {
+      requestsPerMinute: toLimit(env.ANONYMOUS_RATE_LIMIT, DEFAULT_ANONYMOUS_LIMITS.requestsPerMinute),
+      dailyQuota: toLimit(env.ANONYMOUS_DAILY_QUOTA, DEFAULT_ANONYMOUS_LIMITS.dailyQuota)
+    },
+    adminKey: env.ADMIN_API_KEY || null,
+    isAllowedOrigin
+  });
+}
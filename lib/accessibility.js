@@ -0,0 +1,387 @@
+// Accessibility audit of a parsed page, reported against WCAG 2.x success criteria. The rules are
+// the static subset a DOM without layout can answer: names and labels, heading levels, landmarks,
+// duplicate ids, tabindex use and the contrast of colors set in inline styles. Stylesheets are not
+// evaluated, so contrast only covers text whose color and background both come from style
+// attributes or, in a page without stylesheets, from the browser defaults.
+
+// Success criteria the rules report against
+export const WCAG_CRITERIA = {
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+  '2.4.1': { name: 'Bypass Blocks', level: 'A' },
+  '2.4.3': { name: 'Focus Order', level: 'A' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '3.3.2': { name: 'Labels or Instructions', level: 'A' },
+  // Removed in WCAG 2.2, but duplicate ids still break label and aria-* references
+  '4.1.1': { name: 'Parsing', level: 'A' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' }
+};
+
+const SNIPPET_LENGTH = 200;
+// Violations kept per criterion in the summary; counts are always complete
+const MAX_LISTED = 50;
+// WCAG contrast ratios for normal and large text (24px, or 18.66px bold)
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+const LABELLED_INPUT_EXCLUDED = ['hidden', 'submit', 'reset', 'button', 'image'];
+const INTERACTIVE_SELECTOR = 'a[href], button, input:not([type="hidden" i]), select, textarea, summary, iframe, [contenteditable=""], [contenteditable="true" i]';
+const WIDGET_ROLES = ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'textbox', 'combobox', 'searchbox', 'slider', 'spinbutton', 'treeitem', 'gridcell', 'listbox', 'tree', 'grid', 'menu', 'menubar', 'tablist', 'toolbar', 'radiogroup', 'tabpanel', 'dialog', 'alertdialog', 'application', 'region', 'group', 'scrollbar', 'separator'];
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], lime: [0, 255, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], orange: [255, 165, 0], gray: [128, 128, 128], grey: [128, 128, 128],
+  silver: [192, 192, 192], lightgray: [211, 211, 211], lightgrey: [211, 211, 211], darkgray: [169, 169, 169],
+  darkgrey: [169, 169, 169], maroon: [128, 0, 0], navy: [0, 0, 128], purple: [128, 0, 128], teal: [0, 128, 128],
+  olive: [128, 128, 0], aqua: [0, 255, 255], cyan: [0, 255, 255], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+  pink: [255, 192, 203], gold: [255, 215, 0], beige: [245, 245, 220], whitesmoke: [245, 245, 245]
+};
+
+const normalizeSpace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Short CSS selector for an element: its id when unique, otherwise a tag/nth-of-type path from
+// the nearest ancestor with a unique id (or from <body>)
+export function selectorFor(el) {
+  const doc = el.ownerDocument;
+  const uniqueId = (node) => node.id && /^[A-Za-z][\w-]*$/.test(node.id) && doc.querySelectorAll(`#${node.id}`).length === 1;
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (uniqueId(node)) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    const tag = node.localName;
+    if (tag === 'body' || tag === 'html') {
+      parts.unshift(tag);
+      break;
+    }
+    const sameTag = Array.from(node.parentElement?.children || []).filter(sibling => sibling.localName === tag);
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+  }
+  return parts.join(' > ');
+}
+
+// The element's markup, cut to SNIPPET_LENGTH characters
+export function snippetFor(el) {
+  const html = el.outerHTML.replace(/\s+/g, ' ');
+  return html.length > SNIPPET_LENGTH ? `${html.slice(0, SNIPPET_LENGTH)}…` : html;
+}
+
+// Hidden from everyone (hidden attribute, inline display:none / visibility:hidden) or from
+// assistive technology (aria-hidden) through the element or an ancestor
+function isHidden(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hasAttribute('hidden') || node.getAttribute('aria-hidden') === 'true') return true;
+    if (node.style?.display === 'none' || node.style?.visibility === 'hidden') return true;
+  }
+  return false;
+}
+
+// Text an element contributes to its ancestor's name: text nodes, image alt text, labelled children
+function nameFromContent(el) {
+  let text = '';
+  for (const child of el.childNodes) {
+    if (child.nodeType === 3) {
+      text += child.textContent;
+    } else if (child.nodeType === 1 && !isHidden(child)) {
+      const tag = child.localName;
+      if (child.getAttribute('aria-label')?.trim()) text += ` ${child.getAttribute('aria-label')}`;
+      else if (tag === 'img' || tag === 'area' || (tag === 'input' && child.type === 'image')) text += ` ${child.getAttribute('alt') || ''}`;
+      else if (tag === 'svg') text += ` ${child.querySelector('title')?.textContent || ''}`;
+      else if (!['script', 'style', 'template'].includes(tag)) text += ` ${nameFromContent(child)}`;
+    }
+  }
+  return normalizeSpace(text);
+}
+
+// Accessible name following the main steps of the accname algorithm: aria-labelledby, aria-label,
+// native labels and alt text, content (for links and buttons), then title and placeholder-free fallbacks
+export function accessibleName(el) {
+  const doc = el.ownerDocument;
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => doc.getElementById(id)).filter(Boolean)
+    .map(node => node.getAttribute('aria-label') || nameFromContent(node)).join(' ');
+  if (normalizeSpace(labelledBy)) return normalizeSpace(labelledBy);
+  if (normalizeSpace(el.getAttribute('aria-label'))) return normalizeSpace(el.getAttribute('aria-label'));
+
+  const tag = el.localName;
+  if (el.labels && el.labels.length > 0) {
+    const fromLabels = normalizeSpace(Array.from(el.labels).map(label => nameFromContent(label)).join(' '));
+    if (fromLabels) return fromLabels;
+  }
+  if (tag === 'input' && el.type === 'image') return normalizeSpace(el.getAttribute('alt'));
+  if (tag === 'input' && ['submit', 'reset', 'button'].includes(el.type)) {
+    return normalizeSpace(el.getAttribute('value')) || { submit: 'Submit', reset: 'Reset', button: '' }[el.type];
+  }
+  if (tag === 'a' || tag === 'button' || el.getAttribute('role') === 'button' || el.getAttribute('role') === 'link') {
+    const fromContent = nameFromContent(el);
+    if (fromContent) return fromContent;
+  }
+  return normalizeSpace(el.getAttribute('title'));
+}
+
+const violation = (rule, criteria, el, message) => ({ rule, criteria, message, selector: selectorFor(el), snippet: snippetFor(el) });
+
+// Form fields without a programmatic label. A placeholder disappears on input and is not a label.
+function formLabelViolations(doc) {
+  const fields = Array.from(doc.querySelectorAll('input, select, textarea'))
+    .filter(el => !(el.localName === 'input' && LABELLED_INPUT_EXCLUDED.includes(el.type)) && !isHidden(el));
+  return fields.filter(el => !accessibleName(el)).map(el => violation(
+    'form-label', ['1.3.1', '3.3.2', '4.1.2'], el,
+    el.getAttribute('placeholder') ? 'Form field is labelled only by its placeholder.' : 'Form field has no label.'
+  ));
+}
+
+// Links with content but no name (icon images without alt, aria-hidden content) and buttons without a name
+function nameViolations(doc) {
+  const links = Array.from(doc.querySelectorAll('a[href], [role="link"]'))
+    .filter(el => !isHidden(el) && el.children.length > 0 && !accessibleName(el))
+    .map(el => violation('link-name', ['2.4.4', '4.1.2'], el, 'Link has no accessible name: its content has no text or alt text.'));
+  const buttons = Array.from(doc.querySelectorAll('button, [role="button"], input[type="button" i], input[type="image" i]'))
+    .filter(el => !isHidden(el) && !accessibleName(el))
+    .map(el => violation('button-name', ['4.1.2'], el, 'Button has no accessible name.'));
+  return [...links, ...buttons];
+}
+
+// Links with nothing inside them at all; screen readers announce them as just "link"
+function emptyLinkViolations(doc) {
+  return Array.from(doc.querySelectorAll('a[href]'))
+    .filter(el => !isHidden(el) && el.children.length === 0 && !accessibleName(el))
+    .map(el => violation('empty-link', ['2.4.4', '4.1.2'], el, 'Link is empty.'));
+}
+
+// Headings that go down more than one level at a time (h2 followed by h4)
+function headingViolations(doc) {
+  const found = [];
+  let previous = 0;
+  for (const heading of doc.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]')) {
+    if (isHidden(heading)) continue;
+    const level = heading.getAttribute('role') === 'heading' ? parseInt(heading.getAttribute('aria-level'), 10) : parseInt(heading.localName[1], 10);
+    if (previous && level > previous + 1) {
+      found.push(violation('heading-order', ['1.3.1'], heading, `Heading level skips from h${previous} to h${level}.`));
+    }
+    previous = level;
+  }
+  return found;
+}
+
+// A single main landmark lets keyboard and screen reader users skip repeated navigation;
+// several navigation regions need labels to tell them apart
+function landmarkViolations(doc) {
+  const found = [];
+  const mains = Array.from(doc.querySelectorAll('main, [role="main"]')).filter(el => !isHidden(el));
+  if (mains.length === 0) {
+    const skipLink = Array.from(doc.querySelectorAll('a[href^="#"]')).some(link => link.getAttribute('href').length > 1 && doc.getElementById(link.getAttribute('href').slice(1)));
+    found.push(violation('landmark-main', skipLink ? ['1.3.1'] : ['1.3.1', '2.4.1'], doc.body || doc.documentElement,
+      skipLink ? 'Page has no main landmark.' : 'Page has no main landmark and no skip link to bypass repeated content.'));
+  }
+  mains.slice(1).forEach(el => found.push(violation('landmark-main', ['1.3.1'], el, 'Page has more than one main landmark.')));
+
+  const navs = Array.from(doc.querySelectorAll('nav, [role="navigation"]')).filter(el => !isHidden(el));
+  if (navs.length > 1) {
+    const names = new Map();
+    navs.forEach(nav => {
+      const name = normalizeSpace(accessibleName(nav)).toLowerCase();
+      names.set(name, [...(names.get(name) || []), nav]);
+    });
+    names.forEach((group, name) => {
+      if (group.length > 1 || !name) {
+        group.forEach(nav => found.push(violation('landmark-unique', ['1.3.1'], nav, 'Navigation region needs a unique aria-label to tell it apart from the others.')));
+      }
+    });
+  }
+  return found;
+}
+
+// Every element after the first that reuses an id
+function duplicateIdViolations(doc) {
+  const seen = new Set();
+  const found = [];
+  doc.querySelectorAll('[id]').forEach(el => {
+    const id = el.getAttribute('id');
+    if (!id) return;
+    if (seen.has(id)) {
+      found.push(violation('duplicate-id', ['4.1.1'], el, `Duplicate id "${id}".`));
+    } else {
+      seen.add(id);
+    }
+  });
+  return found;
+}
+
+// Positive tabindex overrides the reading order; focusable elements hidden from assistive technology
+// and non-interactive elements made focusable without a role confuse screen reader users
+function tabindexViolations(doc) {
+  const found = [];
+  doc.querySelectorAll('[tabindex]').forEach(el => {
+    const tabindex = parseInt(el.getAttribute('tabindex'), 10);
+    if (tabindex > 0) {
+      found.push(violation('tabindex-positive', ['2.4.3'], el, `tabindex="${tabindex}" changes the focus order; use 0 or -1.`));
+    } else if (tabindex === 0 && !el.matches(INTERACTIVE_SELECTOR) && !WIDGET_ROLES.includes(el.getAttribute('role'))) {
+      found.push(violation('tabindex-no-role', ['4.1.2'], el, 'Element is focusable but has no interactive role.'));
+    }
+  });
+  doc.querySelectorAll('[aria-hidden="true"]').forEach(hidden => {
+    [hidden, ...hidden.querySelectorAll('*')]
+      .filter(el => (el.matches(INTERACTIVE_SELECTOR) || parseInt(el.getAttribute('tabindex'), 10) >= 0) && el.getAttribute('tabindex') !== '-1' && !el.disabled)
+      .forEach(el => found.push(violation('focusable-hidden', ['4.1.2'], el, 'Focusable element is hidden from assistive technology (aria-hidden).')));
+  });
+  return found;
+}
+
+// [r, g, b, a] from a style value as jsdom normalizes it (rgb()/rgba() or a color name)
+export function parseColor(value) {
+  const color = (value || '').trim().toLowerCase();
+  if (NAMED_COLORS[color]) return [...NAMED_COLORS[color], 1];
+  if (color === 'transparent') return [0, 0, 0, 0];
+  const match = color.match(/^rgba?\(\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/);
+  if (!match) return null;
+  return [Number(match[1]), Number(match[2]), Number(match[3]), match[4] === undefined ? 1 : Number(match[4])];
+}
+
+// Paints a possibly translucent color over an opaque one
+const blend = ([r, g, b, a], [br, bg, bb]) => [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1];
+
+const luminance = ([r, g, b]) => {
+  const channel = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+};
+
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Elements the browser gives their own default colors: link text, and form controls and <mark>
+// with a background of their own
+const DEFAULT_TEXT_COLORED = new Set(['a', 'button', 'input', 'select', 'textarea', 'mark']);
+const DEFAULT_BACKGROUND = new Set(['button', 'input', 'select', 'textarea', 'mark']);
+
+// A document without author stylesheets shows whatever is not set inline in the browser defaults
+const hasAuthorStyles = (doc) => doc.querySelector('style, link[rel~="stylesheet" i]') !== null;
+
+// Effective text and background colors from inline styles, or null when they are not both known.
+// A color that is not set inline is only taken as the default (black text, white canvas) when
+// `defaultsKnown` says no stylesheet can change it and no element on the way up has its own
+// default colors. Background images make the background unknown.
+function inlineColors(el, defaultsKnown) {
+  let foreground = null;
+  let foregroundKnown = defaultsKnown;
+  let backgroundKnown = defaultsKnown;
+  let opaque = false;
+  const layers = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const style = node.style;
+    if (!foreground && style?.color) {
+      foreground = parseColor(style.color);
+      if (!foreground) return null;
+    }
+    if (style?.backgroundImage && style.backgroundImage !== 'none') return null;
+    if (style?.backgroundColor) {
+      const layer = parseColor(style.backgroundColor);
+      if (!layer) return null;
+      layers.push(layer);
+      if (layer[3] === 1) {
+        opaque = true;
+        break;
+      }
+    }
+    if (!foreground && DEFAULT_TEXT_COLORED.has(node.localName)) foregroundKnown = false;
+    // Backgrounds further up are hidden behind the element's own
+    if (DEFAULT_BACKGROUND.has(node.localName)) {
+      backgroundKnown = false;
+      break;
+    }
+  }
+  if (!foreground && layers.length === 0) return null;
+  if ((!foreground && !foregroundKnown) || (!opaque && !backgroundKnown)) return null;
+  const background = layers.reduceRight((below, layer) => blend(layer, below), [255, 255, 255, 1]);
+  return { foreground: blend(foreground || [0, 0, 0, 1], background), background };
+}
+
+const BOLD_WEIGHTS = ['bold', 'bolder', '600', '700', '800', '900'];
+const BOLD_ELEMENTS = ['b', 'strong', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Font size (px, or null when unknown) and weight of `el`, each inherited the way CSS does: from the
+// nearest element, `el` included, that sets it inline or, for the weight, is bold by default.
+// Sizes in other units are not resolved and count as unknown.
+function fontOf(el) {
+  let size;
+  let bold;
+  for (let node = el; node && node.nodeType === 1 && (size === undefined || bold === undefined); node = node.parentElement) {
+    const style = node.style;
+    if (size === undefined && style?.fontSize) {
+      const px = style.fontSize.match(/^(\d+(?:\.\d+)?)px$/);
+      size = px ? Number(px[1]) : null;
+    }
+    if (bold === undefined && style?.fontWeight) bold = BOLD_WEIGHTS.includes(style.fontWeight);
+    else if (bold === undefined && BOLD_ELEMENTS.includes(node.localName)) bold = true;
+  }
+  return { size: size ?? null, bold: Boolean(bold) };
+}
+
+// WCAG large text: 24px, or 18.66px when bold
+const isLargeText = (el) => {
+  const { size, bold } = fontOf(el);
+  return size !== null && (size >= 24 || (bold && size >= 18.66));
+};
+
+// Text whose inline colors fall below the WCAG AA contrast ratio
+function contrastViolations(doc) {
+  const found = [];
+  const defaultsKnown = !hasAuthorStyles(doc);
+  for (const el of doc.querySelectorAll('body *')) {
+    if (['script', 'style', 'template', 'noscript'].includes(el.localName)) continue;
+    const ownText = Array.from(el.childNodes).filter(node => node.nodeType === 3).map(node => node.textContent).join('');
+    if (!ownText.trim() || isHidden(el)) continue;
+    const colors = inlineColors(el, defaultsKnown);
+    if (!colors) continue;
+    const ratio = contrastRatio(colors.foreground, colors.background);
+    const required = isLargeText(el) ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+    if (ratio < required) {
+      found.push({
+        ...violation('color-contrast', ['1.4.3'], el, `Text contrast is ${ratio.toFixed(2)}:1; at least ${required}:1 is required.`),
+        ratio: Math.round(ratio * 100) / 100,
+        required
+      });
+    }
+  }
+  return found;
+}
+
+// Rule groups; each check in checks/accessibility.js reports one of them
+export const ACCESSIBILITY_RULES = {
+  formLabels: formLabelViolations,
+  names: nameViolations,
+  emptyLinks: emptyLinkViolations,
+  headings: headingViolations,
+  landmarks: landmarkViolations,
+  duplicateIds: duplicateIdViolations,
+  tabindex: tabindexViolations,
+  contrast: contrastViolations
+};
+
+// Violations grouped by WCAG criterion, in criterion order: [{ criterion, name, level, count, violations }]
+export function groupByCriterion(violations) {
+  return Object.entries(WCAG_CRITERIA)
+    .map(([criterion, { name, level }]) => {
+      const matching = violations.filter(item => item.criteria.includes(criterion));
+      return { criterion, name, level, count: matching.length, violations: matching.slice(0, MAX_LISTED) };
+    })
+    .filter(group => group.count > 0);
+}
+
+const audits = new WeakMap();
+
+// Every rule run once per document: { rules: { [group]: violations }, violations, byCriterion }
+export function auditAccessibility(doc) {
+  if (!audits.has(doc)) {
+    const rules = Object.fromEntries(Object.entries(ACCESSIBILITY_RULES).map(([group, rule]) => [group, rule(doc)]));
+    const violations = Object.values(rules).flat();
+    audits.set(doc, { rules, violations, byCriterion: groupByCriterion(violations) });
+  }
+  return audits.get(doc);
+}
@@ -0,0 +1,125 @@
+import { countWords } from './checks/helpers.js';
+import { normalizePublisherId } from './adstxt.js';
+
+// Detection of AdSense ad code on a parsed page: the adsbygoogle.js loader, manual ad units
+// (<ins class="adsbygoogle">), Auto ads, and the placement of each unit in the document.
+
+const LOADER_PATTERN = /\/\/pagead2\.googlesyndication\.com\/pagead\/js\/adsbygoogle\.js/i;
+const INLINE_CLIENT_PATTERN = /google_ad_client\s*:\s*["']([^"']+)["']/gi;
+// Hosts serving Google ad frames; an iframe pointing at them means the ad code was copied or altered
+const AD_FRAME_HOSTS = /(^|\.)(googlesyndication\.com|doubleclick\.net|googleadservices\.com)$/i;
+
+// Roughly one screen of text: units before this many words of content count as above the fold
+export const FOLD_WORDS = 150;
+
+// Elements a click could be confused with, per the AdSense "accidental clicks" placement policy
+const NAVIGATION_SELECTOR = 'nav, menu, [role="navigation"], [role="menubar"]';
+const CONTROL_SELECTOR = 'button, input[type="submit"], input[type="button"], select, [role="button"], a.btn, a.button, .btn, .button';
+
+const cache = new WeakMap();
+
+const describeElement = (element) => {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+  return `${element.localName}${id}${classes}`;
+};
+
+// Reasons a unit sits too close to navigation or clickable controls
+function placementRisks(unit) {
+  const risks = [];
+  const navigation = unit.closest(NAVIGATION_SELECTOR);
+  if (navigation) {
+    risks.push(`inside ${describeElement(navigation)}`);
+  }
+  // Direct siblings and their children only: a whole article next to the unit is not a risk
+  const near = (element, selector) => element.matches(selector) || Array.from(element.children).some(child => child.matches(selector));
+  for (const sibling of [unit.previousElementSibling, unit.nextElementSibling]) {
+    if (!sibling || sibling.matches('ins.adsbygoogle, script')) continue;
+    if (near(sibling, NAVIGATION_SELECTOR)) {
+      risks.push(`next to navigation (${describeElement(sibling)})`);
+    } else if (near(sibling, CONTROL_SELECTOR)) {
+      risks.push(`next to buttons (${describeElement(sibling)})`);
+    }
+  }
+  return risks;
+}
+
+// Words of visible text preceding each element of `targets`, in document order
+function wordsBefore(doc, targets) {
+  const result = new Map();
+  const { NodeFilter } = doc.defaultView;
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let words = 0;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === node.ELEMENT_NODE) {
+      if (targets.includes(node)) result.set(node, words);
+    } else if (!node.parentElement.closest('script, style, noscript, template, ins')) {
+      words += countWords(node.textContent);
+    }
+  }
+  return result;
+}
+
+// Everything ad-related on the page. Results are cached per document, since several checks read them.
+// `pageUrl` resolves relative script and frame URLs.
+export function findAdCode(doc, pageUrl = 'https://localhost/') {
+  if (cache.has(doc)) return cache.get(doc);
+
+  const resolve = (value) => {
+    try {
+      return new URL(value, pageUrl);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const scripts = Array.from(doc.querySelectorAll('script'));
+  const loaders = scripts
+    .filter(script => LOADER_PATTERN.test(script.getAttribute('src') || ''))
+    .map(script => ({
+      src: script.getAttribute('src'),
+      client: resolve(script.getAttribute('src'))?.searchParams.get('client') || script.getAttribute('data-ad-client'),
+      async: script.hasAttribute('async')
+    }));
+
+  const inlineClients = scripts.flatMap(script => Array.from(script.textContent.matchAll(INLINE_CLIENT_PATTERN), match => match[1]));
+  const pageLevelAds = scripts.some(script => /enable_page_level_ads/.test(script.textContent));
+
+  const unitElements = Array.from(doc.querySelectorAll('ins.adsbygoogle'));
+  const positions = wordsBefore(doc, unitElements);
+  const units = unitElements.map(element => ({
+    element: describeElement(element),
+    client: element.getAttribute('data-ad-client'),
+    slot: element.getAttribute('data-ad-slot'),
+    format: element.getAttribute('data-ad-format'),
+    wordsBefore: positions.get(element) ?? 0,
+    risks: placementRisks(element)
+  }));
+
+  const rawClients = [...loaders.map(loader => loader.client), ...units.map(unit => unit.client), ...inlineClients].filter(Boolean);
+  const clientIds = [...new Set(rawClients.map(normalizePublisherId).filter(Boolean))];
+  const invalidClientIds = [...new Set(rawClients.filter(client => !normalizePublisherId(client)))];
+
+  const frames = Array.from(doc.querySelectorAll('iframe'));
+  const hardcodedAdFrames = frames
+    .map(frame => resolve(frame.getAttribute('src') || ''))
+    .filter(url => url && AD_FRAME_HOSTS.test(url.hostname))
+    .map(url => url.href);
+  const adCodeInFrames = frames
+    .filter(frame => /adsbygoogle/i.test(frame.getAttribute('srcdoc') || ''))
+    .map(describeElement);
+
+  const adCode = {
+    loaders,
+    units,
+    // The loader with a client ID is all Auto ads needs; older sites call enable_page_level_ads
+    autoAds: pageLevelAds || (loaders.some(loader => loader.client) && units.length === 0),
+    clientIds,
+    invalidClientIds,
+    hardcodedAdFrames,
+    adCodeInFrames,
+    hasAdCode: loaders.length > 0 || units.length > 0 || inlineClients.length > 0
+  };
+  cache.set(doc, adCode);
+  return adCode;
+}
@@ -0,0 +1,88 @@
+// ads.txt parsing following the IAB Tech Lab ads.txt specification (v1.1)
+
+export const GOOGLE_AD_SYSTEM = 'google.com';
+export const GOOGLE_CERTIFICATION_ID = 'f08c47fec0942fa0';
+
+export const ADS_TXT_VARIABLES = ['CONTACT', 'SUBDOMAIN', 'INVENTORYPARTNERDOMAIN', 'OWNERDOMAIN', 'MANAGERDOMAIN'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const PUBLISHER_ID_PATTERN = /^(?:ca-)?(pub-\d{16})$/i;
+
+// Accepts "pub-…" or the "ca-pub-…" form used in ad code; returns "pub-…" or null if malformed
+export function normalizePublisherId(value) {
+  const match = String(value || '').trim().match(PUBLISHER_ID_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Parses ads.txt into data records and variables. Malformed lines are reported in `errors`
+// with their 1-based line number; repeated records (same system, account and relationship)
+// are reported in `duplicates`.
+export function parseAdsTxt(text) {
+  const records = [];
+  const variables = [];
+  const errors = [];
+  const duplicates = [];
+  const seen = new Map();
+
+  (text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const content = rawLine.replace(/#.*$/, '').trim();
+    if (!content) return;
+
+    const variable = content.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+    if (variable && !content.includes(',')) {
+      const name = variable[1].toUpperCase();
+      if (!ADS_TXT_VARIABLES.includes(name)) {
+        errors.push({ line, message: `Unknown variable "${variable[1]}"` });
+      } else if (!variable[2]) {
+        errors.push({ line, message: `Variable ${name} has no value` });
+      } else {
+        variables.push({ line, name, value: variable[2].trim() });
+      }
+      return;
+    }
+
+    // Extension data after ';' is allowed and ignored
+    const fields = content.split(';')[0].split(',').map(field => field.trim());
+    if (fields.length < 3 || fields.length > 4) {
+      errors.push({ line, message: `Expected 3 or 4 comma-separated fields, found ${fields.length}` });
+      return;
+    }
+
+    const [domain, publisherId, relationship, certificationAuthorityId = null] = fields;
+    const lineErrors = [];
+    if (!DOMAIN_PATTERN.test(domain)) lineErrors.push(`Invalid advertising system domain "${domain}"`);
+    if (!publisherId) lineErrors.push('Missing publisher account ID');
+    if (!/^(DIRECT|RESELLER)$/i.test(relationship)) {
+      lineErrors.push(`Relationship must be DIRECT or RESELLER, found "${relationship}"`);
+    }
+    if (lineErrors.length > 0) {
+      lineErrors.forEach(message => errors.push({ line, message }));
+      return;
+    }
+
+    const record = {
+      line,
+      domain: domain.toLowerCase(),
+      publisherId,
+      relationship: relationship.toUpperCase(),
+      certificationAuthorityId
+    };
+    const key = `${record.domain}|${record.publisherId.toLowerCase()}|${record.relationship}`;
+    if (seen.has(key)) {
+      duplicates.push({ line, firstLine: seen.get(key), entry: `${record.domain}, ${record.publisherId}, ${record.relationship}` });
+    } else {
+      seen.set(key, line);
+    }
+    records.push(record);
+  });
+
+  return { records, variables, errors, duplicates };
+}
+
+// Google records of a parsed ads.txt, with the publisher ID normalized to "pub-…"
+export function googleRecords(parsed) {
+  return parsed.records
+    .filter(record => record.domain === GOOGLE_AD_SYSTEM)
+    .map(record => ({ ...record, publisherId: normalizePublisherId(record.publisherId) || record.publisherId }));
+}
@@ -0,0 +1,235 @@
+import { JSDOM } from 'jsdom';
+import { fetchCached, fetchWithRedirects } from './fetcher.js';
+import { createSiteCache } from './resources.js';
+import { AnalysisError, CancelledError, UnsafeUrlError } from './errors.js';
+import { assertHostAllowed } from './safety.js';
+import { runChecks, selectChecks } from './checks/index.js';
+import { countWords } from './checks/helpers.js';
+import { normalizePublisherId } from './adstxt.js';
+import { resolveProfile, scoreChecks } from './scoring.js';
+import { renderPage, resolveRenderOptions } from './render.js';
+import { analyzePerformance } from './performance.js';
+import { analyzeContent } from './extract.js';
+import { simhash } from './simhash.js';
+import { auditAccessibility } from './accessibility.js';
+
+// Validate user input and turn it into an absolute http(s) URL
+export function normalizeTargetUrl(initialUrl) {
+  if (!initialUrl) {
+    throw new AnalysisError('URL is required.', 400);
+  }
+
+  // Enhanced URL validation
+  let targetUrl = initialUrl.trim();
+  if (!targetUrl.match(/^https?:\/\//)) {
+    targetUrl = `https://${targetUrl}`;
+  }
+
+  try {
+    new URL(targetUrl);
+  } catch (e) {
+    throw new AnalysisError('Invalid URL format provided.', 400);
+  }
+
+  return targetUrl;
+}
+
+// Flags pages whose content or structure only exists after client-side rendering
+function compareRendering(rawDoc, renderedDoc, rawChecks, renderedChecks) {
+  const rawWords = countWords(rawDoc.body?.textContent);
+  const renderedWords = countWords(renderedDoc.body?.textContent);
+  const rawById = new Map(rawChecks.map(check => [check.id, check]));
+  const changedChecks = renderedChecks
+    .filter(check => rawById.has(check.id) && rawById.get(check.id).status !== check.status)
+    .map(check => ({ id: check.id, name: check.name, raw: rawById.get(check.id).status, rendered: check.status }));
+
+  const clientSideOnly = renderedWords >= 200 && renderedWords >= rawWords * 2;
+  return {
+    wordCount: { raw: rawWords, rendered: renderedWords },
+    changedChecks,
+    clientSideOnly,
+    message: clientSideOnly
+      ? `Most content appears only after JavaScript runs (${rawWords} words in the HTML, ${renderedWords} after rendering). Crawlers that do not render, and AdSense reviewers on slow connections, may see an empty page. Consider server-side rendering or prerendering.`
+      : 'Main content is present in the HTML sent by the server.'
+  };
+}
+
+// Validates request options shared by every entry point and returns them normalized.
+// Throws AnalysisError (400) for unknown check ids, scoring profiles or a malformed publisher ID.
+export function validateAnalysisOptions(options = {}) {
+  selectChecks(options.checks);
+  const { id: profile } = resolveProfile(options.profile);
+  if (options.render) resolveRenderOptions(options.render);
+  const publisherId = options.publisherId ? normalizePublisherId(options.publisherId) : undefined;
+  if (options.publisherId && !publisherId) {
+    throw new AnalysisError('Invalid publisherId. Expected the form pub-0000000000000000.', 400);
+  }
+  return { ...options, publisherId, profile };
+}
+
+// Runs the full check pipeline against a single page.
+// Returns the API payload (`result`) together with the parsed document so callers such as
+// the crawler can keep working with it. `options.siteCache` (a Map) lets several pages of
+// the same site share site-scoped check results; `options.checks` ({ enabled, disabled })
+// selects which registered checks run; `options.publisherId` is verified against ads.txt;
+// `options.render` (true or renderer options) also executes the page's scripts, see render.js;
+// `options.profile` names the scoring profile (see scoring.js and profiles/); `options.fresh`
+// re-fetches the page and site resources instead of using the resource cache.
+// `options.onProgress(event)` receives { stage, ... } events as the analysis goes: "redirect" per
+// hop, "fetch", "parse", "render" and "check" per finished check. Aborting `options.signal` (or
+// the site cache's signal) cancels outstanding requests and rejects with CancelledError.
+export async function analyzePage(initialUrl, options = {}) {
+  const startedAt = Date.now();
+  const siteCache = options.siteCache || createSiteCache({ fresh: options.fresh, signal: options.signal });
+  const emit = (stage, data) => options.onProgress?.({ stage, ...data });
+  const throwIfCancelled = () => {
+    if (siteCache.signal?.aborted) throw new CancelledError();
+  };
+  let targetUrl = normalizeTargetUrl(initialUrl);
+  // Reject unknown check ids, profiles and malformed publisher IDs before fetching anything
+  const { publisherId, profile: profileId } = validateAnalysisOptions(options);
+  const profile = resolveProfile(profileId);
+
+  // Refuse private and internal targets before any request is made
+  await assertHostAllowed(targetUrl);
+
+  let doc;
+  let finalResolvedUrl;
+  let responseTime;
+
+  let htmlResponse;
+  // Served from the resource cache when the page was fetched recently, see fetchCached
+  const onRedirect = hop => emit('redirect', hop);
+  const fetchPage = url => fetchCached(url, {
+    fresh: siteCache.fresh,
+    signal: siteCache.signal,
+    fetcher: (target, init) => fetchWithRedirects(target, init, { onRedirect })
+  });
+
+  try {
+    htmlResponse = await fetchPage(targetUrl);
+    responseTime = htmlResponse.responseTime;
+
+    if (!htmlResponse.ok) {
+      if (targetUrl.startsWith('https://')) {
+        console.log('HTTPS failed, trying HTTP...');
+        targetUrl = targetUrl.replace('https://', 'http://');
+        htmlResponse = await fetchPage(targetUrl);
+      }
+    }
+
+    if (!htmlResponse.ok) {
+      throw new Error(`Server responded with status ${htmlResponse.status}: ${htmlResponse.statusText}`);
+    }
+  } catch (error) {
+    if (error instanceof UnsafeUrlError || error instanceof CancelledError) throw error;
+    console.error('Fetch error:', error);
+    throw new AnalysisError(`Failed to access website: ${error.message}. Please check if the URL is correct and the website is accessible.`, 500);
+  }
+
+  finalResolvedUrl = htmlResponse.url;
+  emit('fetch', { url: finalResolvedUrl, status: htmlResponse.status, responseTime, cache: htmlResponse.cache?.status });
+  const contentType = htmlResponse.headers['content-type'] || '';
+
+  if (!contentType.includes('text/html')) {
+    throw new AnalysisError('The URL does not point to an HTML webpage. Please provide a valid website URL.', 400);
+  }
+
+  const html = htmlResponse.text;
+
+  if (!html || html.length < 100) {
+    throw new AnalysisError('Website returned empty or minimal content. Please check if the URL is correct.', 400);
+  }
+
+  try {
+    const dom = new JSDOM(html);
+    doc = dom.window.document;
+  } catch (error) {
+    throw new AnalysisError('Failed to parse website HTML. The website may have malformed content.', 500);
+  }
+  emit('parse', { htmlBytes: Buffer.byteLength(html), title: doc.title || null });
+
+  // Render mode: checks run on the DOM after client-side scripts; the raw HTML is kept for comparison
+  let rawDoc = null;
+  let rendering = null;
+  if (options.render) {
+    try {
+      const rendered = await renderPage(finalResolvedUrl, html, options.render);
+      rawDoc = doc;
+      doc = new JSDOM(rendered.html).window.document;
+      rendering = {
+        renderer: rendered.renderer,
+        durationMs: rendered.durationMs,
+        resourcesLoaded: rendered.resourcesLoaded,
+        scriptErrors: rendered.errors
+      };
+    } catch (error) {
+      // Fall back to the raw HTML rather than failing the whole analysis
+      rendering = { error: `Rendering failed: ${error.message}` };
+    }
+    throwIfCancelled();
+    emit('render', rendering);
+  }
+
+  // Document fetch figures for the performance checks (see performance.js)
+  const response = {
+    status: htmlResponse.status,
+    ttfbMs: responseTime,
+    downloadMs: htmlResponse.downloadTime,
+    htmlBytes: Buffer.byteLength(html),
+    transferBytes: parseInt(htmlResponse.headers['content-length'], 10) || null,
+    headers: htmlResponse.headers
+  };
+  const context = { doc, initialUrl, finalResolvedUrl, responseTime, response, publisherId, siteCache };
+  const checks = await runChecks(context, options.checks, {
+    onResult: (check, progress) => emit('check', { check, ...progress })
+  });
+  // Checks report failed requests as failures; a cancelled run must not produce a result
+  throwIfCancelled();
+
+  const result = {
+    ...scoreChecks(checks, profile),
+    checks,
+    finalResolvedUrl,
+    performance: analyzePerformance(doc, finalResolvedUrl, response),
+    cache: { page: htmlResponse.cache }
+  };
+
+  if (rawDoc) {
+    // Site-scoped checks do not depend on rendering, so only page checks run again on the raw DOM
+    const rawPageChecks = await runChecks({ ...context, doc: rawDoc }, options.checks, { scope: 'page' });
+    throwIfCancelled();
+    const rawById = new Map(rawPageChecks.map(check => [check.id, check]));
+    rendering.raw = { ...scoreChecks(checks.map(check => rawById.get(check.id) || check), profile), checks: rawPageChecks };
+    Object.assign(rendering, compareRendering(rawDoc, doc, rawPageChecks, checks));
+  }
+  if (rendering) {
+    result.rendering = rendering;
+  }
+
+  // Main content statistics; the simhash lets the crawler find near-duplicate pages
+  const content = analyzeContent(doc);
+  result.content = {
+    extraction: content.main.method,
+    mainWordCount: content.main.wordCount,
+    visibleWordCount: content.visibleWordCount,
+    readability: content.readability,
+    textToHtmlRatio: content.textToHtmlRatio,
+    boilerplateShare: content.boilerplateShare,
+    simhash: simhash(content.main.text)
+  };
+
+  // Accessibility violations grouped by WCAG criterion; the checks report the same audit per rule
+  const { violations, byCriterion } = auditAccessibility(doc);
+  result.accessibility = { violations: violations.length, byCriterion };
+
+  // Page-level figures the crawler aggregates into site-wide totals
+  result.pageStats = {
+    wordCount: content.visibleWordCount,
+    mainWordCount: content.main.wordCount,
+    isArticle: Boolean(doc.querySelector('article, meta[property="og:type"][content="article"]'))
+  };
+  result.analysisTime = Date.now() - startedAt;
+
+  return { result, doc };
+}
@@ -0,0 +1,165 @@
+// Shared cache for fetched resources and finished analyses.
+//
+// A store is any object with async get(key), set(key, value, ttlMs) and delete(key); values are
+// plain JSON data. The in-memory store is the default, other backends (Redis, memcached, ...)
+// plug in through setCacheStore(). Cached values are shared between requests: never mutate them.
+
+export const DEFAULT_CACHE_TTL_SECONDS = 300;
+// Resources older than the TTL stay this long so they can be revalidated with ETag/Last-Modified
+export const DEFAULT_REVALIDATE_SECONDS = 24 * 60 * 60;
+export const DEFAULT_CACHE_MAX_ENTRIES = 500;
+export const DEFAULT_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+// Larger values (big pages, large crawl results) are not worth evicting dozens of others for
+export const DEFAULT_CACHE_MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+// Approximate memory held by a value: the length of its JSON, two bytes per character
+const sizeOf = (value) => 2 * (JSON.stringify(value)?.length ?? 0);
+
+// Least-recently-used map with per-entry expiry, bounded by entry count and by total size.
+// Values above maxEntryBytes are not stored.
+export class MemoryCacheStore {
+  constructor({ maxEntries = DEFAULT_CACHE_MAX_ENTRIES, maxBytes = DEFAULT_CACHE_MAX_BYTES, maxEntryBytes = DEFAULT_CACHE_MAX_ENTRY_BYTES } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = Math.min(maxEntryBytes, maxBytes);
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+    // Re-insert to mark as recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.remove(key);
+    const size = sizeOf(value);
+    if (size > this.maxEntryBytes) return;
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+    this.bytes += size;
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.remove(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+}
+
+// Caching disabled: every lookup misses
+export class NullCacheStore {
+  async get() {
+    return undefined;
+  }
+
+  async set() {}
+
+  async delete() {}
+}
+
+// Cache settings from the environment:
+//   CACHE_STORE               "memory" (default) or "none"
+//   CACHE_TTL_SECONDS         how long analyses and resources are served without asking the site
+//   CACHE_REVALIDATE_SECONDS  how long resources are kept for conditional re-fetching
+//   CACHE_MAX_ENTRIES         capacity of the memory store
+//   CACHE_MAX_BYTES           approximate memory the memory store may hold
+//   CACHE_MAX_ENTRY_BYTES     largest value the memory store keeps
+export function loadCacheConfig(env = process.env) {
+  const seconds = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    store: env.CACHE_STORE || 'memory',
+    ttlMs: seconds(env.CACHE_TTL_SECONDS, DEFAULT_CACHE_TTL_SECONDS) * 1000,
+    revalidateMs: seconds(env.CACHE_REVALIDATE_SECONDS, DEFAULT_REVALIDATE_SECONDS) * 1000,
+    maxEntries: seconds(env.CACHE_MAX_ENTRIES, DEFAULT_CACHE_MAX_ENTRIES),
+    maxBytes: seconds(env.CACHE_MAX_BYTES, DEFAULT_CACHE_MAX_BYTES),
+    maxEntryBytes: seconds(env.CACHE_MAX_ENTRY_BYTES, DEFAULT_CACHE_MAX_ENTRY_BYTES)
+  };
+}
+
+export function createCacheStore(config = loadCacheConfig()) {
+  if (config.store === 'none' || config.ttlMs === 0) return new NullCacheStore();
+  return new MemoryCacheStore({ maxEntries: config.maxEntries, maxBytes: config.maxBytes, maxEntryBytes: config.maxEntryBytes });
+}
+
+let activeConfig = loadCacheConfig();
+let activeStore = createCacheStore(activeConfig);
+
+export function getCacheConfig() {
+  return activeConfig;
+}
+
+export function getCacheStore() {
+  return activeStore;
+}
+
+// Replaces the process-wide store and, optionally, its settings (tests and embedding code)
+export function setCacheStore(store, config = activeConfig) {
+  activeStore = store;
+  activeConfig = config;
+}
+
+// Cache metadata for a value stored at `storedAt` (ms); `status` is "hit", "miss", "revalidated" or "bypass"
+export function cacheInfo(status, storedAt, ttlMs = activeConfig.ttlMs) {
+  const ageSeconds = Math.max(0, Math.round((Date.now() - storedAt) / 1000));
+  return {
+    status,
+    storedAt: new Date(storedAt).toISOString(),
+    ageSeconds,
+    expiresInSeconds: Math.max(0, Math.round(ttlMs / 1000) - ageSeconds)
+  };
+}
+
+// A failing backend must not fail the analysis: errors are logged and treated as misses
+export async function readCache(key) {
+  try {
+    return await getCacheStore().get(key);
+  } catch (error) {
+    console.error(`Cache read failed for ${key}:`, error.message);
+    return undefined;
+  }
+}
+
+export async function writeCache(key, value, ttlMs) {
+  try {
+    await getCacheStore().set(key, value, ttlMs);
+  } catch (error) {
+    console.error(`Cache write failed for ${key}:`, error.message);
+  }
+}
+
+// Returns the cached value for `key` while it is younger than the TTL, otherwise runs `compute`
+// and stores its result. `fresh` skips the lookup but still stores the new value.
+// Resolves to { value, cache } where `cache` is cacheInfo() metadata.
+export async function cached(key, compute, { fresh = false } = {}) {
+  const { ttlMs } = getCacheConfig();
+  if (!fresh) {
+    const entry = await readCache(key);
+    if (entry && Date.now() - entry.storedAt < ttlMs) {
+      return { value: entry.value, cache: cacheInfo('hit', entry.storedAt) };
+    }
+  }
+
+  const value = await compute();
+  const storedAt = Date.now();
+  await writeCache(key, { value, storedAt }, ttlMs);
+  return { value, cache: cacheInfo(fresh ? 'bypass' : 'miss', storedAt) };
+}
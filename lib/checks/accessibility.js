@@ -0,0 +1,106 @@
+import { CAT_ACCESSIBILITY } from './categories.js';
+import { auditAccessibility, groupByCriterion } from '../accessibility.js';
+
+// Violations listed in a check's details; the full audit is in the result's `accessibility` summary
+const MAX_DETAILS = 20;
+
+// Builds a check over one rule group of the audit: pass without violations, warn up to `failAt - 1`,
+// fail from `failAt`. Details list each violation with its selector, snippet and WCAG criteria.
+const ruleCheck = ({ id, name, weight, group, failAt = 1, pass, describe }) => ({
+  id,
+  name,
+  category: CAT_ACCESSIBILITY,
+  weight,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const violations = auditAccessibility(doc).rules[group];
+    if (violations.length === 0) {
+      return { status: 'pass', message: pass };
+    }
+    const details = {
+      count: violations.length,
+      criteria: groupByCriterion(violations).map(({ criterion, name: criterionName, level, count }) => ({ criterion, name: criterionName, level, count })),
+      violations: violations.slice(0, MAX_DETAILS)
+    };
+    return { status: violations.length >= failAt ? 'fail' : 'warn', message: describe(violations), details };
+  }
+});
+
+const criteriaOf = (violations) => [...new Set(violations.flatMap(item => item.criteria))].sort().map(criterion => `WCAG ${criterion}`).join(', ');
+
+export const formLabelsCheck = ruleCheck({
+  id: 'form-labels',
+  name: 'Form Labels',
+  weight: 4,
+  group: 'formLabels',
+  pass: 'Every visible form field has a label.',
+  describe: (violations) => `${violations.length} form field(s) without a label (${criteriaOf(violations)}). Use <label for>, a wrapping <label> or aria-label; placeholders are not labels.`
+});
+
+export const accessibleNamesCheck = ruleCheck({
+  id: 'accessible-names',
+  name: 'Link & Button Names',
+  weight: 4,
+  group: 'names',
+  pass: 'Links and buttons have accessible names.',
+  describe: (violations) => `${violations.length} link(s) or button(s) without an accessible name (${criteriaOf(violations)}). Give icon links and buttons alt text or an aria-label.`
+});
+
+export const emptyLinksCheck = ruleCheck({
+  id: 'empty-links',
+  name: 'Empty Links',
+  weight: 2,
+  group: 'emptyLinks',
+  failAt: 3,
+  pass: 'No empty links.',
+  describe: (violations) => `${violations.length} empty link(s) (${criteriaOf(violations)}). Remove them or add link text.`
+});
+
+export const headingLevelsCheck = ruleCheck({
+  id: 'heading-levels',
+  name: 'Heading Levels',
+  weight: 2,
+  group: 'headings',
+  failAt: 3,
+  pass: 'Heading levels do not skip.',
+  describe: (violations) => `${violations.length} heading(s) skip a level (${criteriaOf(violations)}). Go down one level at a time so the outline stays navigable.`
+});
+
+export const landmarksCheck = ruleCheck({
+  id: 'landmarks',
+  name: 'Landmark Regions',
+  weight: 3,
+  group: 'landmarks',
+  failAt: 3,
+  pass: 'Page has one main landmark and distinguishable navigation regions.',
+  describe: (violations) => `${[...new Set(violations.map(item => item.message))].join(' ')} (${criteriaOf(violations)})`
+});
+
+export const duplicateIdsCheck = ruleCheck({
+  id: 'duplicate-ids',
+  name: 'Duplicate IDs',
+  weight: 2,
+  group: 'duplicateIds',
+  failAt: 5,
+  pass: 'Element ids are unique.',
+  describe: (violations) => `${violations.length} element(s) reuse an id (${criteriaOf(violations)}). Labels and aria references to those ids may point at the wrong element.`
+});
+
+export const tabindexCheck = ruleCheck({
+  id: 'tabindex',
+  name: 'Keyboard Focus Order',
+  weight: 3,
+  group: 'tabindex',
+  pass: 'No tabindex misuse found.',
+  describe: (violations) => `${violations.length} tabindex issue(s) (${criteriaOf(violations)}): ${[...new Set(violations.map(item => item.message))].slice(0, 2).join(' ')}`
+});
+
+export const colorContrastCheck = ruleCheck({
+  id: 'color-contrast',
+  name: 'Color Contrast (inline styles)',
+  weight: 3,
+  group: 'contrast',
+  failAt: 3,
+  pass: 'Text colored with inline styles meets WCAG AA contrast. Colors from stylesheets are not evaluated.',
+  describe: (violations) => `${violations.length} text element(s) below WCAG AA contrast, lowest ${Math.min(...violations.map(item => item.ratio)).toFixed(2)}:1 (${criteriaOf(violations)}).`
+});
@@ -0,0 +1,176 @@
+import { CAT_ADS } from './categories.js';
+import { loadAdsTxt } from '../resources.js';
+import { FOLD_WORDS, findAdCode } from '../adcode.js';
+import { analyzeContent } from '../extract.js';
+import { GOOGLE_CERTIFICATION_ID, googleRecords, parseAdsTxt } from '../adstxt.js';
+
+// Below this much main content, any manual ad unit risks "ads on screens without publisher content"
+const MIN_WORDS_FOR_ADS = 300;
+// Words of main content per ad unit under which the page reads as ad-heavy (warn) or mostly ads (fail)
+const WORDS_PER_AD_WARN = 300;
+const WORDS_PER_AD_FAIL = 150;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// AdSense loader, ad units and Auto ads
+export const adCodeCheck = {
+  id: 'adsense-code',
+  name: 'AdSense Code',
+  category: CAT_ADS,
+  weight: 5,
+  inputs: ['doc'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const adCode = findAdCode(doc, finalResolvedUrl);
+    const details = {
+      loaders: adCode.loaders.length,
+      units: adCode.units.length,
+      autoAds: adCode.autoAds,
+      clientIds: adCode.clientIds
+    };
+
+    if (!adCode.hasAdCode) {
+      return { status: 'warn', message: 'No AdSense code found. Google reviews your site with the AdSense code (or the Auto ads snippet) in place, so add it to every page before applying.', details };
+    }
+    if (adCode.loaders.length === 0 && adCode.units.length > 0) {
+      return { status: 'fail', message: `${plural(adCode.units.length, 'ad unit')} found, but adsbygoogle.js is not loaded, so they will stay empty.`, details };
+    }
+    if (adCode.invalidClientIds.length > 0) {
+      return { status: 'fail', message: `Malformed ad client ID "${adCode.invalidClientIds[0]}". Use the ca-pub-0000000000000000 form from your AdSense account.`, details };
+    }
+
+    const problems = [];
+    if (adCode.loaders.length > 1) {
+      problems.push(`adsbygoogle.js is loaded ${adCode.loaders.length} times; load it once per page`);
+    }
+    if (adCode.loaders.some(loader => !loader.async)) {
+      problems.push('adsbygoogle.js is loaded without the async attribute, which blocks rendering');
+    }
+    if (adCode.loaders.length > 0 && adCode.clientIds.length === 0) {
+      problems.push('the ad code has no publisher ID (client parameter or data-ad-client)');
+    }
+    const found = adCode.autoAds ? 'AdSense code found with Auto ads' : `AdSense code found with ${plural(adCode.units.length, 'ad unit')}`;
+    if (problems.length > 0) {
+      return { status: 'warn', message: `${found}, but ${problems.join('; ')}.`, details };
+    }
+    return { status: 'pass', message: `${found}.`, details };
+  }
+};
+
+// Publisher ID in the ad code versus the request and ads.txt
+export const adClientCheck = {
+  id: 'ad-client-id',
+  name: 'Ad Client ID & ads.txt',
+  category: CAT_ADS,
+  weight: 10,
+  async: true,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, publisherId, siteCache }) => {
+    const { clientIds, hasAdCode } = findAdCode(doc, finalResolvedUrl);
+
+    if (clientIds.length === 0) {
+      return hasAdCode
+        ? { status: 'warn', message: 'Ad code found, but no publisher ID could be read from it.' }
+        : { status: 'pass', message: 'No ad code on this page, so there is no publisher ID to verify.' };
+    }
+    if (clientIds.length > 1) {
+      return { status: 'fail', message: `The ad code uses ${clientIds.length} different publisher IDs (${clientIds.join(', ')}). Serve ads from one AdSense account per page.`, details: { clientIds } };
+    }
+
+    const [clientId] = clientIds;
+    if (publisherId && clientId !== publisherId) {
+      return { status: 'fail', message: `The ad code uses ${clientId}, not your publisher ID ${publisherId}.`, details: { clientIds } };
+    }
+
+    let adsTxt;
+    try {
+      adsTxt = await loadAdsTxt(siteCache, new URL(finalResolvedUrl).origin);
+    } catch (e) {
+      return { status: 'warn', message: `Could not check ${clientId} against ads.txt due to a network error.`, details: { clientIds } };
+    }
+    if (!adsTxt.ok) {
+      return { status: 'warn', message: `The ad code uses ${clientId}, but the site has no ads.txt. Ad serving may be limited until it does.`, details: { clientIds } };
+    }
+
+    const entries = googleRecords(parseAdsTxt(adsTxt.text)).filter(record => record.publisherId === clientId);
+    if (entries.some(record => record.relationship === 'DIRECT')) {
+      return { status: 'pass', message: `The ad code's publisher ID ${clientId} is listed as DIRECT in ads.txt.`, details: { clientIds } };
+    }
+    if (entries.length > 0) {
+      return { status: 'fail', message: `ads.txt lists ${clientId} only as RESELLER (line ${entries[0].line}), but the ad code serves it as your own account. Mark it DIRECT.`, details: { clientIds } };
+    }
+    return { status: 'fail', message: `ads.txt does not list ${clientId}, the publisher ID in the ad code. Add "google.com, ${clientId}, DIRECT, ${GOOGLE_CERTIFICATION_ID}".`, details: { clientIds } };
+  }
+};
+
+// Manual ad units against the amount of content
+export const adDensityCheck = {
+  id: 'ad-density',
+  name: 'Ad Density',
+  category: CAT_ADS,
+  weight: 8,
+  inputs: ['doc'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { units, autoAds } = findAdCode(doc, finalResolvedUrl);
+    if (units.length === 0) {
+      return { status: 'pass', message: autoAds ? 'No manual ad units; Auto ads manages ad density.' : 'No manual ad units on this page.' };
+    }
+
+    const words = analyzeContent(doc).main.wordCount;
+    const wordsPerAd = Math.round(words / units.length);
+    const details = { units: units.length, mainWordCount: words, wordsPerAd };
+
+    if (words < MIN_WORDS_FOR_ADS) {
+      return { status: 'fail', message: `${plural(units.length, 'ad unit')} on a page with only ~${words} words of content. AdSense does not allow ads on pages without substantial publisher content.`, details };
+    }
+    if (wordsPerAd < WORDS_PER_AD_FAIL) {
+      return { status: 'fail', message: `${plural(units.length, 'ad unit')} for ~${words} words (one ad per ~${wordsPerAd} words). Ads outweigh the content.`, details };
+    }
+    if (wordsPerAd < WORDS_PER_AD_WARN) {
+      return { status: 'warn', message: `${plural(units.length, 'ad unit')} for ~${words} words (one ad per ~${wordsPerAd} words). Consider fewer units.`, details };
+    }
+    return { status: 'pass', message: `${plural(units.length, 'ad unit')} for ~${words} words of content.`, details };
+  }
+};
+
+// Placement policy risks: accidental clicks, ad-heavy first screen, altered ad code
+export const adPlacementCheck = {
+  id: 'ad-placement',
+  name: 'Ad Placement',
+  category: CAT_ADS,
+  weight: 10,
+  inputs: ['doc'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { units, hardcodedAdFrames, adCodeInFrames } = findAdCode(doc, finalResolvedUrl);
+    const risky = units.filter(unit => unit.risks.length > 0);
+    const aboveFold = units.filter(unit => unit.wordsBefore < FOLD_WORDS);
+    const details = {
+      nearNavigation: risky.map(({ element, risks }) => ({ element, risks })),
+      aboveFold: aboveFold.length,
+      hardcodedAdFrames,
+      adCodeInFrames
+    };
+
+    const failures = [];
+    if (hardcodedAdFrames.length > 0) {
+      failures.push(`${plural(hardcodedAdFrames.length, 'iframe')} ${hardcodedAdFrames.length === 1 ? 'loads' : 'load'} Google ad URLs directly (${hardcodedAdFrames[0]}); ad code must not be copied or altered`);
+    }
+    if (adCodeInFrames.length > 0) {
+      failures.push(`ad code is placed inside ${plural(adCodeInFrames.length, 'iframe')} (${adCodeInFrames[0]})`);
+    }
+    if (risky.length > 0) {
+      failures.push(`${plural(risky.length, 'ad unit')} ${risky.length === 1 ? 'sits' : 'sit'} close to navigation or buttons (${risky[0].element}: ${risky[0].risks[0]}), which invites accidental clicks`);
+    }
+    if (failures.length > 0) {
+      return { status: 'fail', message: `Placement policy risk: ${failures.join('; ')}.`, details };
+    }
+
+    // Two or more units before one screen of text means more ads than content above the fold
+    if (aboveFold.length > 1) {
+      return { status: 'warn', message: `${aboveFold.length} ad units appear before the first ${FOLD_WORDS} words of content. Keep ads from outweighing content above the fold.`, details };
+    }
+    if (units.length === 0) {
+      return { status: 'pass', message: 'No manual ad units to check for placement.', details };
+    }
+    return { status: 'pass', message: `No placement risks found for ${plural(units.length, 'ad unit')}.`, details };
+  }
+};
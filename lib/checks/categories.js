@@ -0,0 +1,8 @@
+export const CAT_AUTO = 'Automated Technical Checks';
+export const CAT_STRUCT_ACC = 'Site Structure & Accessibility';
+export const CAT_CONTENT = 'Content Quality Indicators';
+export const CAT_PERFORMANCE = 'Performance & SEO';
+export const CAT_ADS = 'Ad Code & Placement';
+export const CAT_COMPLIANCE = 'Privacy & Consent Compliance';
+export const CAT_DOMAIN = 'Domain & Trust';
+export const CAT_ACCESSIBILITY = 'Accessibility (WCAG)';
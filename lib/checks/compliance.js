@@ -0,0 +1,92 @@
+import { CAT_COMPLIANCE } from './categories.js';
+import { findAdCode } from '../adcode.js';
+import { detectConsent, findCcpaLink, trackersBeforeConsent } from '../consent.js';
+
+const cache = new WeakMap();
+
+// Several checks read the same detection result
+const consentFor = (doc) => {
+  if (!cache.has(doc)) cache.set(doc, detectConsent(doc));
+  return cache.get(doc);
+};
+
+// Consent management platform, required by AdSense for EEA, UK and Swiss traffic
+export const consentPlatformCheck = {
+  id: 'consent-platform',
+  name: 'Consent Management Platform',
+  category: CAT_COMPLIANCE,
+  weight: 10,
+  inputs: ['doc'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const consent = consentFor(doc);
+    const names = consent.platforms.map(platform => platform.name);
+    const details = { platforms: names, tcfStub: consent.tcfStub, consentMode: consent.consentModeIndex !== -1 };
+
+    const certified = consent.platforms.filter(platform => platform.certified);
+    if (certified.length > 0) {
+      return { status: 'pass', message: `Google-certified CMP detected: ${certified.map(platform => platform.name).join(', ')}.`, details };
+    }
+    if (consent.tcfStub) {
+      return { status: 'pass', message: 'IAB TCF API (__tcfapi) found. Make sure the CMP behind it is on Google\'s list of certified CMPs.', details };
+    }
+    if (consent.platforms.length > 0) {
+      return { status: 'warn', message: `Consent banner found (${names.join(', ')}), but it is not a Google-certified TCF CMP. AdSense requires one for visitors from the EEA, the UK and Switzerland.`, details };
+    }
+
+    // Missing consent matters most once ads are served
+    const { hasAdCode } = findAdCode(doc, finalResolvedUrl);
+    return {
+      status: hasAdCode ? 'fail' : 'warn',
+      message: `No consent management platform detected${hasAdCode ? ' although the page serves ads' : ''}. AdSense requires a Google-certified CMP (for example Google Privacy & messaging) for EEA, UK and Swiss traffic.`,
+      details
+    };
+  }
+};
+
+// Advertising and analytics scripts that run before the visitor could consent
+export const consentBeforeTrackingCheck = {
+  id: 'consent-before-tracking',
+  name: 'Tracking Before Consent',
+  category: CAT_COMPLIANCE,
+  weight: 8,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const consent = consentFor(doc);
+    if (consent.trackers.length === 0) {
+      return { status: 'pass', message: 'No advertising or analytics scripts found.' };
+    }
+
+    const early = trackersBeforeConsent(consent);
+    const details = {
+      trackers: consent.trackers.map(({ name, src, blocked }) => ({ name, src, blocked })),
+      beforeConsent: early.map(tracker => tracker.name)
+    };
+    if (early.length === 0) {
+      return { status: 'pass', message: `${consent.trackers.length} advertising/analytics script(s) wait for consent (blocked until opt-in, a TCF CMP or Google consent mode).`, details };
+    }
+
+    const names = [...new Set(early.map(tracker => tracker.name))];
+    // Google tags after a non-certified banner may still honour it; everything else runs unconditionally
+    const status = consent.platforms.length > 0 ? 'warn' : 'fail';
+    return { status, message: `${names.join(', ')} load${names.length === 1 ? 's' : ''} before consent. Load the CMP first, set Google consent mode defaults, or hold other trackers back until the visitor opts in.`, details };
+  }
+};
+
+// CCPA/CPRA opt-out link for California visitors
+export const ccpaLinkCheck = {
+  id: 'ccpa-link',
+  name: 'CCPA "Do Not Sell or Share" Link',
+  category: CAT_COMPLIANCE,
+  weight: 4,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const link = findCcpaLink(doc);
+    if (link) {
+      return { status: 'pass', message: `CCPA opt-out link found: "${link.textContent.trim().slice(0, 80)}".` };
+    }
+    if (consentFor(doc).uspStub) {
+      return { status: 'pass', message: 'US privacy signal (__uspapi/__gpp) found; the CMP provides the opt-out.' };
+    }
+    return { status: 'warn', message: 'No "Do Not Sell or Share My Personal Information" link found. Sites with California visitors that show personalized ads need one, or Google restricted data processing.' };
+  }
+};
@@ -0,0 +1,157 @@
+import { CAT_CONTENT } from './categories.js';
+import { analyzeContent, MIN_WORDS_FOR_QUALITY } from '../extract.js';
+import { classifyPolicyRisk } from '../policy.js';
+import { simhash } from '../simhash.js';
+// Share of visible words outside the main content above which the page is mostly chrome
+const MAX_BOILERPLATE_SHARE = 70;
+// Flesch Reading Ease below this is "very difficult" (academic papers, legal text)
+const MIN_READING_EASE = 30;
+// Visible text as a percentage of the HTML; lower means markup and inline code dominate
+const MIN_TEXT_TO_HTML_RATIO = 5;
+
+// Content quality indicators
+export const contentVolumeCheck = {
+  id: 'content-volume',
+  name: 'Content Volume',
+  category: CAT_CONTENT,
+  weight: 20,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    // Visible text only: inline scripts and styles are not content
+    const wordCount = analyzeContent(doc).visibleWordCount;
+
+    if (wordCount > 1500) {
+      return { status: 'pass', message: `Good content volume (~${wordCount} words).` };
+    } else if (wordCount > 800) {
+      return { status: 'warn', message: `Moderate content (~${wordCount} words). AdSense prefers sites with substantial content (1500+ words per page).` };
+    } else if (wordCount > 300) {
+      return { status: 'fail', message: `Low content volume (~${wordCount} words). AdSense requires substantial, valuable content.` };
+    }
+    return { status: 'fail', message: `Insufficient content (~${wordCount} words). AdSense typically rejects sites with minimal content.` };
+  }
+};
+
+// Social media presence
+export const socialMediaCheck = {
+  id: 'social-media',
+  name: 'Social Media Integration',
+  category: CAT_CONTENT,
+  weight: 3,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const socialLinks = Array.from(doc.querySelectorAll('a')).filter(link => {
+      const href = link.href.toLowerCase();
+      return ['facebook.com', 'twitter.com', 'instagram.com', 'linkedin.com', 'youtube.com']
+        .some(platform => href.includes(platform));
+    });
+
+    if (socialLinks.length >= 2) {
+      return { status: 'pass', message: `Social media links found (${socialLinks.length}). Good for trust signals.` };
+    } else if (socialLinks.length === 1) {
+      return { status: 'warn', message: 'Limited social media presence. Consider adding more platforms.' };
+    }
+    return { status: 'warn', message: 'No social media links found. Consider adding for trust signals.' };
+  }
+};
+
+// Main Content Volume Analysis
+export const mainContentVolumeCheck = {
+  id: 'main-content-volume',
+  name: 'Main Content Volume',
+  category: CAT_CONTENT,
+  weight: 15,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    // The article text as found by the readability-style extraction in extract.js
+    const { main } = analyzeContent(doc);
+    const wordCount = main.wordCount;
+    const details = { extraction: main.method, paragraphs: main.paragraphs };
+
+    if (wordCount > 1000) {
+      return { status: 'pass', message: `Excellent main content volume (~${wordCount} words).`, details };
+    } else if (wordCount > 500) {
+      return { status: 'warn', message: `Sufficient main content (~${wordCount} words), but more is better for AdSense.`, details };
+    }
+    return { status: 'fail', message: `Low main content volume (~${wordCount} words). This is a major red flag for AdSense.`, details };
+  }
+};
+
+// Automated quality signals for the main content. Near-duplicate pages need every page of the site,
+// so a crawl reports them once per pair in its site summary (see crawler.js). Copying from other
+// sites cannot be detected offline, so that part stays with the reviewer.
+export const contentOriginalityCheck = {
+  id: 'content-originality',
+  name: 'Content Originality & Quality',
+  category: CAT_CONTENT,
+  weight: 8,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const stats = analyzeContent(doc);
+    const details = {
+      extraction: stats.main.method,
+      mainWordCount: stats.main.wordCount,
+      readability: stats.readability,
+      textToHtmlRatio: stats.textToHtmlRatio,
+      boilerplateShare: stats.boilerplateShare,
+      simhash: simhash(stats.main.text)
+    };
+
+    const review = 'Originality against other sites still needs a manual review.';
+    if (stats.main.wordCount < MIN_WORDS_FOR_QUALITY) {
+      return { status: 'warn', message: `Only ~${stats.main.wordCount} words of main content, too little to judge quality. ${review}`, details };
+    }
+
+    const issues = [];
+    if (stats.boilerplateShare > MAX_BOILERPLATE_SHARE) {
+      issues.push(`${stats.boilerplateShare}% of the visible text is navigation, sidebars or footers`);
+    }
+    if (stats.readability.fleschReadingEase !== null && stats.readability.fleschReadingEase < MIN_READING_EASE) {
+      issues.push(`the text is very hard to read (Flesch reading ease ${stats.readability.fleschReadingEase})`);
+    }
+    if (stats.textToHtmlRatio < MIN_TEXT_TO_HTML_RATIO) {
+      issues.push(`text is only ${stats.textToHtmlRatio}% of the HTML`);
+    }
+    if (issues.length > 0) {
+      return { status: 'warn', message: `Content quality signals: ${issues.join('; ')}. ${review}`, details };
+    }
+    return { status: 'pass', message: `Readable main content (Flesch reading ease ${stats.readability.fleschReadingEase ?? 'n/a'}), ${stats.boilerplateShare}% boilerplate. ${review}`, details };
+  }
+};
+
+// Restricted content found by the offline lexicon classifier in policy.js
+export const contentPolicyCheck = {
+  id: 'content-policy',
+  name: 'Content Policy Compliance',
+  category: CAT_CONTENT,
+  weight: 10,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { categories, highest } = classifyPolicyRisk(doc, finalResolvedUrl);
+    const details = { highest, categories };
+    const describe = (list) => list.map(category => `${category.label} (${[...new Set(category.signals.map(signal => signal.term))].slice(0, 3).map(term => `"${term}"`).join(', ')})`).join('; ');
+    const review = 'Keyword matching cannot judge context, so verify the flagged passages manually.';
+
+    if (highest === 'high') {
+      const risky = categories.filter(category => category.confidence === 'high');
+      return { status: 'fail', message: `Content likely violates AdSense policies: ${describe(risky)}. ${review}`, details };
+    }
+    if (highest === 'medium') {
+      const risky = categories.filter(category => category.confidence === 'medium');
+      return { status: 'warn', message: `Possible policy-restricted content: ${describe(risky)}. ${review}`, details };
+    }
+    if (highest === 'low') {
+      return { status: 'pass', message: `Only occasional mentions of restricted topics (${categories.map(category => category.label.toLowerCase()).join(', ')}). Still verify content against AdSense policies.`, details };
+    }
+    return { status: 'pass', message: 'No adult, gambling, weapons, drugs, warez or misleading-claim signals found. Still verify content against AdSense policies.', details };
+  }
+};
+
+// Manual checks: listed for the reviewer, never scored
+
+export const userExperienceCheck = {
+  id: 'user-experience',
+  name: 'User Experience & Site Design',
+  category: CAT_CONTENT,
+  manual: true,
+  message: 'Ensure professional design, easy navigation, fast loading, and good user experience.'
+};
@@ -0,0 +1,195 @@
+import net from 'net';
+import { CAT_DOMAIN } from './categories.js';
+import { findLegalPages } from './helpers.js';
+import { loadPage } from '../resources.js';
+import { cached } from '../cache.js';
+import { daysBetween, getWhoisClient, inspectCertificate, lookupAddresses, lookupMx, parseHsts, registrableDomain } from '../domain.js';
+
+// Renewal normally happens 30 days ahead; a certificate this close to expiry means it is failing
+const CERT_EXPIRY_WARN_DAYS = 14;
+// HSTS max-age below six months protects returning visitors only briefly
+const MIN_HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+const NEW_DOMAIN_DAYS = 30;
+// AdSense reviewers favor established sites; in some regions six months of history is required
+const YOUNG_DOMAIN_DAYS = 180;
+const MAX_MX_DOMAINS = 3;
+
+const isIpHost = (url) => net.isIP(new URL(url).hostname.replace(/^\[|\]$/g, '')) !== 0;
+
+// Domains of the email addresses linked from the page and its contact page
+async function contactEmailDomains(doc, pageUrl, siteCache) {
+  const domainsIn = (contextDoc) => Array.from(contextDoc.querySelectorAll('a[href^="mailto:" i]'))
+    .map(link => link.getAttribute('href').slice(7).split('?')[0].split(',')[0].trim())
+    .map(address => address.split('@')[1]?.toLowerCase())
+    .filter(Boolean);
+
+  const domains = new Set(domainsIn(doc));
+  const { contact } = findLegalPages(doc, pageUrl);
+  if (contact) {
+    const page = await loadPage(siteCache, contact);
+    if (page.ok) domainsIn(page.doc).forEach(domain => domains.add(domain));
+  }
+  return [...domains];
+}
+
+// Certificate validity, trust chain and hostname match
+export const tlsCertificateCheck = {
+  id: 'tls-certificate',
+  name: 'TLS Certificate',
+  category: CAT_DOMAIN,
+  weight: 8,
+  async: true,
+  scope: 'site',
+  inputs: ['finalResolvedUrl'],
+  run: async ({ finalResolvedUrl, siteCache }) => {
+    if (!finalResolvedUrl.startsWith('https://')) {
+      return { status: 'fail', message: 'Site is not served over HTTPS, so it has no TLS certificate.' };
+    }
+
+    let tlsInfo;
+    try {
+      tlsInfo = await inspectCertificate(finalResolvedUrl, { signal: siteCache?.signal });
+    } catch (error) {
+      return { status: 'fail', message: `Could not complete a TLS handshake: ${error.message}` };
+    }
+    const { certificate, hostnameMatch, hostnameError, authorized, authorizationError } = tlsInfo;
+    const details = tlsInfo;
+
+    if (certificate.daysRemaining < 0) {
+      return { status: 'fail', message: `TLS certificate expired on ${certificate.validTo.slice(0, 10)}. Browsers show a security warning.`, details };
+    }
+    if (!hostnameMatch) {
+      return { status: 'fail', message: `TLS certificate does not cover this hostname: ${hostnameError}`, details };
+    }
+    if (!authorized) {
+      const reason = certificate.selfSigned ? 'it is self-signed' : `the chain does not verify (${authorizationError})`;
+      return { status: 'fail', message: `TLS certificate is not trusted: ${reason}. Serve the full chain from a public certificate authority.`, details };
+    }
+    if (certificate.daysRemaining < CERT_EXPIRY_WARN_DAYS) {
+      return { status: 'warn', message: `TLS certificate expires in ${certificate.daysRemaining} days (${certificate.validTo.slice(0, 10)}). Check that automatic renewal works.`, details };
+    }
+    return { status: 'pass', message: `Valid TLS certificate issued by ${certificate.issuer}, expires in ${certificate.daysRemaining} days (${tlsInfo.protocol}).`, details };
+  }
+};
+
+// Strict-Transport-Security on the analyzed page
+export const hstsCheck = {
+  id: 'hsts',
+  name: 'HSTS Header',
+  category: CAT_DOMAIN,
+  weight: 3,
+  inputs: ['finalResolvedUrl', 'response'],
+  run: ({ finalResolvedUrl, response }) => {
+    if (!finalResolvedUrl.startsWith('https://')) {
+      return { status: 'warn', message: 'HSTS requires HTTPS; the site is served over plain HTTP.' };
+    }
+    const hsts = parseHsts(response.headers['strict-transport-security']);
+    if (!hsts) {
+      return { status: 'warn', message: 'No Strict-Transport-Security header. HSTS keeps browsers from ever loading the site over HTTP.' };
+    }
+    const details = hsts;
+    if (hsts.maxAgeSeconds === null || hsts.maxAgeSeconds < MIN_HSTS_MAX_AGE) {
+      return { status: 'warn', message: `HSTS max-age is ${hsts.maxAgeSeconds ?? 'missing'}; use at least ${MIN_HSTS_MAX_AGE} seconds (six months).`, details };
+    }
+    return { status: 'pass', message: `HSTS enabled for ${Math.round(hsts.maxAgeSeconds / 86400)} days${hsts.includeSubDomains ? ', including subdomains' : ''}.`, details };
+  }
+};
+
+// Address records for the host and mail exchangers for the domains visitors are asked to email
+export const dnsRecordsCheck = {
+  id: 'dns-records',
+  name: 'DNS Records',
+  category: CAT_DOMAIN,
+  weight: 4,
+  async: true,
+  scope: 'site',
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    if (isIpHost(finalResolvedUrl)) {
+      return { status: 'warn', message: 'Site is served from an IP address instead of a domain name.' };
+    }
+
+    const hostname = new URL(finalResolvedUrl).hostname;
+    let addresses;
+    try {
+      addresses = await lookupAddresses(hostname);
+    } catch (error) {
+      return { status: 'warn', message: `DNS lookup for ${hostname} failed: ${error.message}` };
+    }
+    if (addresses.a.length === 0 && addresses.aaaa.length === 0) {
+      return { status: 'fail', message: `${hostname} has no A or AAAA records in public DNS.`, details: { addresses } };
+    }
+
+    const emailDomains = await contactEmailDomains(doc, finalResolvedUrl, siteCache);
+    const mxDomains = (emailDomains.length > 0 ? emailDomains : [registrableDomain(hostname)]).slice(0, MAX_MX_DOMAINS);
+    const mx = {};
+    for (const domain of mxDomains) {
+      try {
+        mx[domain] = (await lookupMx(domain)).map(record => record.exchange);
+      } catch (error) {
+        mx[domain] = null;
+      }
+    }
+    const details = { addresses, emailDomains, mx };
+    const ipv6 = addresses.aaaa.length > 0 ? 'IPv4 and IPv6' : 'IPv4 only';
+
+    const withoutMx = mxDomains.filter(domain => mx[domain] !== null && mx[domain].length === 0);
+    if (withoutMx.length > 0) {
+      const source = emailDomains.length > 0 ? 'the contact email domain' : 'the site domain';
+      return { status: 'warn', message: `No MX records for ${withoutMx.join(', ')} (${source}); email sent there will likely bounce.`, details };
+    }
+    const unknown = mxDomains.filter(domain => mx[domain] === null);
+    if (unknown.length > 0) {
+      return { status: 'warn', message: `Could not look up MX records for ${unknown.join(', ')}.`, details };
+    }
+    return { status: 'pass', message: `${hostname} resolves (${ipv6}); mail is accepted for ${mxDomains.join(', ')}.`, details };
+  }
+};
+
+// Registration age from the WHOIS/RDAP client; "manual" when it cannot be determined
+export const domainAgeCheck = {
+  id: 'domain-age',
+  name: 'Domain Age',
+  category: CAT_DOMAIN,
+  weight: 6,
+  async: true,
+  scope: 'site',
+  inputs: ['finalResolvedUrl'],
+  run: async ({ finalResolvedUrl, siteCache }) => {
+    if (isIpHost(finalResolvedUrl)) {
+      return { status: 'manual', message: 'Site is served from an IP address; there is no domain registration to check.' };
+    }
+    const client = getWhoisClient();
+    if (!client) {
+      return { status: 'manual', message: 'Domain registration lookups are disabled (set WHOIS_CLIENT to enable them). Check the domain age manually.' };
+    }
+
+    const domain = registrableDomain(new URL(finalResolvedUrl).hostname);
+    let record;
+    try {
+      ({ value: record } = await cached(`whois:${domain}`, () => client.lookup(domain, { signal: siteCache?.signal }), { fresh: siteCache?.fresh }));
+    } catch (error) {
+      return { status: 'manual', message: `Registration lookup for ${domain} failed (${error.message}). Check the domain age manually.` };
+    }
+    if (!record?.createdAt) {
+      return { status: 'manual', message: `No registration date found for ${domain}. Check the domain age manually.`, details: { record } };
+    }
+
+    const now = Date.now();
+    const ageDays = daysBetween(new Date(record.createdAt).getTime(), now);
+    const expiresInDays = record.expiresAt ? daysBetween(now, new Date(record.expiresAt).getTime()) : null;
+    const details = { ...record, ageDays, expiresInDays };
+    const registered = `${domain} was registered ${ageDays} days ago (${record.createdAt.slice(0, 10)})`;
+
+    if (ageDays < NEW_DOMAIN_DAYS) {
+      return { status: 'fail', message: `${registered}. AdSense rarely approves brand-new domains; build content and traffic first.`, details };
+    }
+    if (ageDays < YOUNG_DOMAIN_DAYS) {
+      return { status: 'warn', message: `${registered}. Sites under six months old often need more history before approval.`, details };
+    }
+    if (expiresInDays !== null && expiresInDays < 30) {
+      return { status: 'warn', message: `${registered}, but the registration expires in ${expiresInDays} days. Renew it.`, details };
+    }
+    return { status: 'pass', message: `${registered}.`, details };
+  }
+};
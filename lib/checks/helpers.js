@@ -0,0 +1,51 @@
+// Whether the anchor's href or text contains one of the keywords
+const matchesKeywords = (link, keywords) => {
+  const href = (link.href || '').toLowerCase();
+  const text = (link.textContent || '').toLowerCase();
+  return keywords.some(keyword => href.includes(keyword) || text.includes(keyword));
+};
+
+// First anchor whose href or text contains one of the keywords
+export const findLink = (keywords, contextDoc) =>
+  Array.from(contextDoc.querySelectorAll('a')).find(link => matchesKeywords(link, keywords));
+
+export function countWords(text) {
+  return (text || '').split(/\s+/).filter(word => word.length > 2).length;
+}
+
+// Keywords locating the legal and trust pages AdSense reviewers look for
+export const LEGAL_PAGE_KEYWORDS = {
+  privacy: ['privacy'],
+  terms: ['terms', 'terms-of-service', 'terms-of-use'],
+  about: ['about'],
+  contact: ['contact']
+};
+
+// Legal pages count when they are on the page's own site: the same host and port, with or
+// without "www.", over http or https
+const siteKey = (url) => `${url.hostname.toLowerCase().replace(/^www\./, '')}:${url.port}`;
+
+// Absolute same-site URLs of the legal pages linked from `doc` ({ privacy, terms, about, contact },
+// null when not linked). Of the anchors matching a page's keywords, the first one on the same site
+// is used, so a policy link to a third party (such as a Google privacy policy) does not hide the
+// site's own. Hrefs are resolved against the page URL since the DOM has no base URL.
+export function findLegalPages(doc, pageUrl) {
+  const site = siteKey(new URL(pageUrl));
+  const anchors = Array.from(doc.querySelectorAll('a'));
+  const resolve = (link) => {
+    try {
+      return new URL(link.getAttribute('href'), pageUrl);
+    } catch (e) {
+      return null;
+    }
+  };
+  const pages = {};
+  for (const [page, keywords] of Object.entries(LEGAL_PAGE_KEYWORDS)) {
+    const url = anchors
+      .filter(link => matchesKeywords(link, keywords))
+      .map(resolve)
+      .find(candidate => candidate && /^https?:$/.test(candidate.protocol) && siteKey(candidate) === site);
+    pages[page] = url ? url.href : null;
+  }
+  return pages;
+}
@@ -0,0 +1,160 @@
+import { AnalysisError } from '../errors.js';
+import { siteResource } from '../resources.js';
+import * as technical from './technical.js';
+import * as structure from './structure.js';
+import * as content from './content.js';
+import * as performance from './performance.js';
+import * as ads from './ads.js';
+import * as compliance from './compliance.js';
+import * as domain from './domain.js';
+import * as accessibility from './accessibility.js';
+
+export { CAT_AUTO, CAT_STRUCT_ACC, CAT_CONTENT, CAT_PERFORMANCE, CAT_ADS, CAT_COMPLIANCE, CAT_DOMAIN, CAT_ACCESSIBILITY } from './categories.js';
+
+const registry = new Map();
+
+// Adds a check to the registry. A check is a plain object:
+//   id, name, category  - identity and grouping shown in the report
+//   weight              - points awarded on pass (half on warn)
+//   inputs              - context keys run() reads, e.g. ['doc', 'finalResolvedUrl']
+//   async               - run() returns a promise
+//   scope               - 'page' (default) or 'site' for per-origin results shared within a crawl
+//   run(context)        - returns { status: 'pass' | 'warn' | 'fail', message }
+// Manual checks set `manual: true` and a static `message` instead of weight/inputs/run.
+export function registerCheck(check) {
+  if (!check.id || !check.name || !check.category) {
+    throw new Error('A check needs an id, a name and a category.');
+  }
+  if (registry.has(check.id)) {
+    throw new Error(`Check "${check.id}" is already registered.`);
+  }
+  if (!check.manual && typeof check.run !== 'function') {
+    throw new Error(`Check "${check.id}" needs a run() function.`);
+  }
+  registry.set(check.id, { async: false, scope: 'page', inputs: [], ...check });
+}
+
+export function unregisterCheck(id) {
+  return registry.delete(id);
+}
+
+export function getCheck(id) {
+  return registry.get(id);
+}
+
+// Public description of every registered check, in report order
+export function listChecks() {
+  return Array.from(registry.values()).map(({ run, ...descriptor }) => descriptor);
+}
+
+// Resolves a per-request selection: `enabled` restricts the run to those ids,
+// `disabled` removes ids from it. Both are arrays of ids when given; anything else, and unknown
+// ids, are rejected rather than ignored.
+export function selectChecks({ enabled, disabled } = {}) {
+  for (const [name, ids] of Object.entries({ enabled, disabled })) {
+    if (ids != null && !(Array.isArray(ids) && ids.every(id => typeof id === 'string'))) {
+      throw new AnalysisError(`Invalid ${name} checks: expected an array of check ids.`, 400);
+    }
+  }
+  const unknown = [...(enabled || []), ...(disabled || [])].filter(id => !registry.has(id));
+  if (unknown.length > 0) {
+    throw new AnalysisError(`Unknown check id(s): ${unknown.join(', ')}`, 400);
+  }
+
+  return Array.from(registry.values()).filter(check =>
+    (!enabled || enabled.includes(check.id)) && !(disabled || []).includes(check.id)
+  );
+}
+
+async function runCheck(check, context) {
+  const { id, name, category, weight } = check;
+  if (check.manual) {
+    return { id, name, category, status: 'manual', message: check.message };
+  }
+
+  try {
+    const result = check.scope === 'site'
+      ? await siteResource(context.siteCache, `check:${id}:${new URL(context.finalResolvedUrl).origin}`, () => check.run(context))
+      : await check.run(context);
+    return { id, name, category, weight, ...result };
+  } catch (error) {
+    return { id, name, category, weight, status: 'fail', message: `Check failed: ${error.message}` };
+  }
+}
+
+// Runs the selected checks against `context` ({ doc, initialUrl, finalResolvedUrl, responseTime,
+// siteCache }). Async checks run concurrently; results keep registry order. Checks whose declared
+// inputs are missing from the context are left out, so a bare { doc } runs only the HTML checks.
+// `scope` ('page' or 'site') restricts the run to checks of that scope. `onResult(result, { completed, total })`
+// is called as each check finishes, in completion order.
+export async function runChecks(context, selection, { scope, onResult } = {}) {
+  const runnable = selectChecks(selection).filter(check =>
+    check.inputs.every(input => context[input] !== undefined) && (!scope || check.scope === scope)
+  );
+  let completed = 0;
+  return Promise.all(runnable.map(async check => {
+    const result = await runCheck(check, context);
+    completed++;
+    onResult?.(result, { completed, total: runnable.length });
+    return result;
+  }));
+}
+
+[
+  technical.httpsCheck,
+  technical.httpsRedirectCheck,
+  technical.mixedContentCheck,
+  domain.tlsCertificateCheck,
+  domain.hstsCheck,
+  domain.dnsRecordsCheck,
+  domain.domainAgeCheck,
+  performance.titleTagCheck,
+  performance.metaDescriptionCheck,
+  performance.robotsTxtCheck,
+  performance.sitemapCheck,
+  structure.navigationCheck,
+  structure.privacyPolicyCheck,
+  structure.termsOfServiceCheck,
+  structure.aboutContactCheck,
+  structure.mobileResponsiveCheck,
+  content.contentVolumeCheck,
+  performance.headingStructureCheck,
+  performance.imageAltCheck,
+  structure.languageCheck,
+  structure.faviconCheck,
+  performance.loadSpeedCheck,
+  performance.pageWeightCheck,
+  performance.renderBlockingCheck,
+  performance.thirdPartyCheck,
+  performance.imageLoadingCheck,
+  performance.cacheHeadersCheck,
+  structure.errorPageCheck,
+  structure.brokenLinksCheck,
+  content.socialMediaCheck,
+  performance.googleAnalyticsCheck,
+  technical.adsTxtCheck,
+  performance.structuredDataCheck,
+  performance.canonicalCheck,
+  performance.indexabilityCheck,
+  performance.socialMetaCheck,
+  performance.hreflangCheck,
+  content.mainContentVolumeCheck,
+  ads.adCodeCheck,
+  ads.adClientCheck,
+  ads.adDensityCheck,
+  ads.adPlacementCheck,
+  compliance.consentPlatformCheck,
+  compliance.consentBeforeTrackingCheck,
+  compliance.ccpaLinkCheck,
+  accessibility.formLabelsCheck,
+  accessibility.accessibleNamesCheck,
+  accessibility.emptyLinksCheck,
+  accessibility.headingLevelsCheck,
+  accessibility.landmarksCheck,
+  accessibility.duplicateIdsCheck,
+  accessibility.tabindexCheck,
+  accessibility.colorContrastCheck,
+  content.contentOriginalityCheck,
+  content.contentPolicyCheck,
+  content.userExperienceCheck
+].forEach(registerCheck);
@@ -0,0 +1,537 @@
+import { CAT_PERFORMANCE } from './categories.js';
+import { findLegalPages } from './helpers.js';
+import { loadPage, loadRobotsTxt, loadSiteSitemaps } from '../resources.js';
+import { ADSENSE_CRAWLERS, evaluatePath, groupsForAgent, parseRobotsTxt } from '../robots.js';
+import { EAGER_IMAGES, analyzePerformance, metricRating } from '../performance.js';
+import { OPEN_GRAPH_TAGS, findCanonical, hreflangLinks, parseJsonLd, robotsDirectives, sameUrl, socialTags } from '../metadata.js';
+
+// Alternates fetched to verify hreflang return links
+const MAX_HREFLANG_FETCHES = 10;
+
+// Enhanced title check
+export const titleTagCheck = {
+  id: 'title-tag',
+  name: 'SEO Title Tag',
+  category: CAT_PERFORMANCE,
+  weight: 8,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const title = doc.querySelector('title')?.textContent?.trim();
+    if (!title) {
+      return { status: 'fail', message: 'Missing title tag - critical for SEO.' };
+    }
+    if (title.length < 10) {
+      return { status: 'fail', message: `Title too short (${title.length} chars). Should be 15-60 characters.` };
+    }
+    if (title.length > 60) {
+      return { status: 'warn', message: `Title too long (${title.length} chars). Consider shortening to under 60 characters.` };
+    }
+    return { status: 'pass', message: `Good title length: "${title}" (${title.length} chars)` };
+  }
+};
+
+// Meta description check
+export const metaDescriptionCheck = {
+  id: 'meta-description',
+  name: 'Meta Description',
+  category: CAT_PERFORMANCE,
+  weight: 6,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const metaDesc = doc.querySelector('meta[name="description"]')?.content?.trim();
+    if (!metaDesc) {
+      return { status: 'fail', message: 'Missing meta description - important for SEO.' };
+    }
+    if (metaDesc.length < 120) {
+      return { status: 'warn', message: `Meta description short (${metaDesc.length} chars). Consider 150-160 characters.` };
+    }
+    if (metaDesc.length > 160) {
+      return { status: 'warn', message: `Meta description long (${metaDesc.length} chars). May be truncated in search results.` };
+    }
+    return { status: 'pass', message: `Good meta description length (${metaDesc.length} chars).` };
+  }
+};
+
+// Enhanced robots.txt check
+export const robotsTxtCheck = {
+  id: 'robots-txt',
+  name: 'Robots.txt Configuration',
+  category: CAT_PERFORMANCE,
+  weight: 12,
+  async: true,
+  scope: 'site',
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const origin = new URL(finalResolvedUrl).origin;
+    let robots;
+    try {
+      robots = await loadRobotsTxt(siteCache, origin);
+    } catch (e) {
+      return { status: 'warn', message: 'Could not analyze robots.txt due to network error.' };
+    }
+
+    // RFC 9309: an unreachable robots.txt (5xx) means "disallow everything", a missing one (4xx) allows all
+    if (robots.status >= 500) {
+      return { status: 'fail', message: `robots.txt returned HTTP ${robots.status}. Google treats an unreachable robots.txt as blocking the whole site.` };
+    }
+    if (!robots.ok) {
+      return { status: 'warn', message: 'robots.txt not found. Consider adding one for better SEO.' };
+    }
+
+    const parsed = parseRobotsTxt(robots.text);
+    const legalPages = findLegalPages(doc, finalResolvedUrl);
+    const paths = [{ page: 'homepage', path: '/' }];
+    for (const [page, url] of Object.entries(legalPages)) {
+      if (url) {
+        const { pathname, search } = new URL(url);
+        paths.push({ page, path: pathname + search });
+      }
+    }
+
+    const crawlers = ADSENSE_CRAWLERS.map(crawler => {
+      const groups = groupsForAgent(parsed, crawler.token, crawler);
+      const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+      return {
+        agent: crawler.token,
+        purpose: crawler.purpose,
+        matchedGroups: groups.map(group => group.userAgents.join(', ')),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+        pages: paths.map(({ page, path }) => {
+          const { allowed, rule } = evaluatePath(groups, path);
+          return { page, path, allowed, rule: rule ? `${rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${rule.path} (line ${rule.line})` : null };
+        })
+      };
+    });
+
+    const details = {
+      crawlers,
+      crawlDelays: parsed.groups
+        .filter(group => group.crawlDelay !== null)
+        .map(group => ({ userAgents: group.userAgents, crawlDelay: group.crawlDelay })),
+      sitemaps: parsed.sitemaps,
+      invalidLines: parsed.invalidLines
+    };
+
+    const blocked = (agent, predicate) => crawlers
+      .find(crawler => crawler.agent === agent).pages
+      .filter(page => !page.allowed && predicate(page));
+    const describe = pages => pages.map(page => `${page.page} (${page.rule})`).join(', ');
+
+    const homeBlocked = ['Googlebot', 'Mediapartners-Google']
+      .map(agent => ({ agent, pages: blocked(agent, page => page.page === 'homepage') }))
+      .filter(entry => entry.pages.length > 0);
+    if (homeBlocked.length > 0) {
+      return { status: 'fail', message: `robots.txt blocks ${homeBlocked.map(entry => `${entry.agent} from the ${describe(entry.pages)}`).join(' and ')} - this will prevent AdSense approval.`, details };
+    }
+
+    const legalBlocked = blocked('Googlebot', page => page.page !== 'homepage');
+    if (legalBlocked.length > 0) {
+      return { status: 'warn', message: `robots.txt blocks Googlebot from important pages: ${describe(legalBlocked)}. Reviewers need to reach them.`, details };
+    }
+
+    const adsBotBlocked = blocked('AdsBot-Google', page => page.page === 'homepage');
+    if (adsBotBlocked.length > 0) {
+      return { status: 'warn', message: `robots.txt blocks AdsBot-Google from the ${describe(adsBotBlocked)}, which hurts ad landing page quality.`, details };
+    }
+
+    const delayNote = details.crawlDelays.length > 0 ? ' Note: Google ignores Crawl-delay directives.' : '';
+    if (parsed.sitemaps.length > 0) {
+      return { status: 'pass', message: `robots.txt configured correctly with sitemap reference.${delayNote}`, details };
+    }
+    return { status: 'pass', message: `robots.txt allows crawling but consider adding sitemap reference.${delayNote}`, details };
+  }
+};
+
+// XML sitemap discovery and validation
+export const sitemapCheck = {
+  id: 'sitemap',
+  name: 'XML Sitemap',
+  category: CAT_PERFORMANCE,
+  weight: 8,
+  async: true,
+  scope: 'site',
+  inputs: ['finalResolvedUrl'],
+  run: async ({ finalResolvedUrl, siteCache }) => {
+    const sitemap = await loadSiteSitemaps(siteCache, new URL(finalResolvedUrl).origin);
+    const details = {
+      sitemapUrls: sitemap.sitemaps.map(entry => entry.url),
+      declaredInRobots: sitemap.declaredInRobots.length > 0,
+      pageCount: sitemap.totalUrls,
+      latestLastmod: sitemap.latestLastmod,
+      daysSinceUpdate: sitemap.daysSinceUpdate,
+      issues: sitemap.issues
+    };
+
+    if (sitemap.sitemaps.length === 0) {
+      return { status: 'warn', message: 'No XML sitemap found in robots.txt or at the usual locations. Add one to help Google discover your pages.', details };
+    }
+    if (sitemap.totalUrls === 0) {
+      return { status: 'fail', message: 'Sitemap found but it lists no valid pages.', details };
+    }
+    if (sitemap.issues.length > 0) {
+      return { status: 'warn', message: `Sitemap lists ${sitemap.totalUrls} pages but has ${sitemap.issues.length} issue(s): ${sitemap.issues[0]}`, details };
+    }
+    if (sitemap.daysSinceUpdate !== null && sitemap.daysSinceUpdate > 180) {
+      return { status: 'warn', message: `Sitemap lists ${sitemap.totalUrls} pages, but the newest was updated ${sitemap.daysSinceUpdate} days ago. Sites that are not updated look abandoned.`, details };
+    }
+    const freshness = sitemap.daysSinceUpdate !== null ? `, last updated ${sitemap.daysSinceUpdate} day(s) ago` : '';
+    return { status: 'pass', message: `Valid sitemap with ${sitemap.totalUrls} pages${freshness}.`, details };
+  }
+};
+
+// Heading structure
+export const headingStructureCheck = {
+  id: 'heading-structure',
+  name: 'Heading Structure (SEO)',
+  category: CAT_PERFORMANCE,
+  weight: 5,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const h1s = doc.querySelectorAll('h1');
+    const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
+
+    if (h1s.length === 1 && headings.length >= 3) {
+      return { status: 'pass', message: `Good heading structure: 1 H1, ${headings.length} total headings.` };
+    } else if (h1s.length === 1) {
+      return { status: 'warn', message: 'H1 found but consider adding more subheadings (H2, H3).' };
+    } else if (h1s.length > 1) {
+      return { status: 'warn', message: `Multiple H1 tags found (${h1s.length}). Use only one H1 per page.` };
+    }
+    return { status: 'fail', message: 'No H1 heading found. Add proper heading structure.' };
+  }
+};
+
+// Image optimization check
+export const imageAltCheck = {
+  id: 'image-alt',
+  name: 'Image Optimization',
+  category: CAT_PERFORMANCE,
+  weight: 4,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const images = doc.querySelectorAll('img');
+    const imagesWithAlt = Array.from(images).filter(img => img.alt && img.alt.trim());
+
+    if (images.length === 0) {
+      return { status: 'warn', message: 'No images found. Visual content improves user engagement.' };
+    }
+
+    const altPercentage = (imagesWithAlt.length / images.length) * 100;
+    if (altPercentage >= 80) {
+      return { status: 'pass', message: `Good image accessibility: ${imagesWithAlt.length}/${images.length} images have alt text.` };
+    } else if (altPercentage >= 50) {
+      return { status: 'warn', message: `Some images missing alt text: ${imagesWithAlt.length}/${images.length}. Add for accessibility.` };
+    }
+    return { status: 'fail', message: `Poor image accessibility: only ${imagesWithAlt.length}/${images.length} images have alt text.` };
+  }
+};
+
+// Document timing: time to first byte and HTML download, measured separately
+export const loadSpeedCheck = {
+  id: 'load-speed',
+  name: 'Page Load Speed Indicator',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  inputs: ['doc', 'finalResolvedUrl', 'response'],
+  run: ({ doc, finalResolvedUrl, response }) => {
+    const { timing } = analyzePerformance(doc, finalResolvedUrl, response).metrics;
+    const details = timing;
+    const ratings = [metricRating('ttfb', timing.ttfbMs), metricRating('download', timing.downloadMs)];
+    const summary = `time to first byte ${timing.ttfbMs}ms, HTML download ${timing.downloadMs}ms`;
+
+    if (ratings.includes('poor')) {
+      return { status: 'fail', message: `Slow page delivery: ${summary}. Check server response time, hosting and caching.`, details };
+    }
+    if (ratings.includes('average')) {
+      return { status: 'warn', message: `Moderate page delivery: ${summary}. Consider optimization.`, details };
+    }
+    return { status: 'pass', message: `Fast page delivery: ${summary}.`, details };
+  }
+};
+
+// HTML weight and transfer compression
+export const pageWeightCheck = {
+  id: 'page-weight',
+  name: 'HTML Size & Compression',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  inputs: ['doc', 'finalResolvedUrl', 'response'],
+  run: ({ doc, finalResolvedUrl, response }) => {
+    const { html } = analyzePerformance(doc, finalResolvedUrl, response).metrics;
+    const kilobytes = Math.round(html.bytes / 1024);
+    const transfer = html.transferBytes ? `, ${Math.round(html.transferBytes / 1024)}KB transferred` : '';
+    const details = html;
+
+    if (html.compressible && !html.compressed) {
+      return { status: 'fail', message: `HTML (${kilobytes}KB) is sent uncompressed. Enable gzip or Brotli on the server.`, details };
+    }
+    const rating = metricRating('htmlSize', kilobytes);
+    if (rating === 'poor') {
+      return { status: 'fail', message: `Very large HTML document: ${kilobytes}KB${transfer}. Trim inline scripts, styles and markup.`, details };
+    }
+    if (rating === 'average') {
+      return { status: 'warn', message: `Large HTML document: ${kilobytes}KB${transfer}.`, details };
+    }
+    return { status: 'pass', message: `HTML is ${kilobytes}KB${transfer}${html.compressed ? ` (${html.encoding})` : ''}.`, details };
+  }
+};
+
+// CSS and synchronous head scripts that delay the first render
+export const renderBlockingCheck = {
+  id: 'render-blocking',
+  name: 'Render-Blocking Resources',
+  category: CAT_PERFORMANCE,
+  weight: 4,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { renderBlocking } = analyzePerformance(doc, finalResolvedUrl).metrics;
+    const count = renderBlocking.stylesheets.length + renderBlocking.scripts.length;
+    const summary = `${renderBlocking.stylesheets.length} stylesheet(s) and ${renderBlocking.scripts.length} synchronous head script(s)`;
+    const details = renderBlocking;
+
+    const rating = metricRating('renderBlocking', count);
+    if (rating === 'poor') {
+      return { status: 'fail', message: `${summary} block rendering. Inline critical CSS and add defer or async to scripts.`, details };
+    }
+    if (rating === 'average') {
+      return { status: 'warn', message: `${summary} block rendering. Consider deferring scripts and combining stylesheets.`, details };
+    }
+    return { status: 'pass', message: count === 0 ? 'No render-blocking resources.' : `Only ${summary} block rendering.`, details };
+  }
+};
+
+// Requests to other hosts: each adds DNS, connection and privacy overhead
+export const thirdPartyCheck = {
+  id: 'third-party-requests',
+  name: 'Third-Party Requests',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { thirdParty } = analyzePerformance(doc, finalResolvedUrl).metrics;
+    const top = thirdParty.hosts.slice(0, 3).map(({ host, count }) => `${host} (${count})`).join(', ');
+    const details = thirdParty;
+
+    const rating = metricRating('thirdParty', thirdParty.count);
+    if (rating === 'poor') {
+      return { status: 'fail', message: `${thirdParty.count} third-party requests from ${thirdParty.hosts.length} hosts, led by ${top}. Remove unused widgets and tags.`, details };
+    }
+    if (rating === 'average') {
+      return { status: 'warn', message: `${thirdParty.count} third-party requests from ${thirdParty.hosts.length} hosts, led by ${top}.`, details };
+    }
+    return { status: 'pass', message: `${thirdParty.count} third-party request(s) in the HTML.`, details };
+  }
+};
+
+// Missing width/height causes layout shifts; offscreen images should load lazily
+export const imageLoadingCheck = {
+  id: 'image-loading',
+  name: 'Image Dimensions & Lazy Loading',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl }) => {
+    const { images } = analyzePerformance(doc, finalResolvedUrl).metrics;
+    if (images.total === 0) {
+      return { status: 'pass', message: 'No images to check.' };
+    }
+
+    const details = images;
+    const summary = `${images.withoutDimensions.length}/${images.total} images lack width and height; ${images.notLazy.length} after the first ${EAGER_IMAGES} are not lazy-loaded`;
+    const rating = metricRating('images', images.flaggedPercent);
+    if (rating === 'poor') {
+      return { status: 'fail', message: `${summary}. Set dimensions to avoid layout shifts and add loading="lazy" to offscreen images.`, details };
+    }
+    if (rating === 'average') {
+      return { status: 'warn', message: `${summary}.`, details };
+    }
+    return { status: 'pass', message: `Images are well configured (${summary}).`, details };
+  }
+};
+
+// HTTP caching of the document itself
+export const cacheHeadersCheck = {
+  id: 'cache-headers',
+  name: 'Cache Headers',
+  category: CAT_PERFORMANCE,
+  weight: 2,
+  inputs: ['doc', 'finalResolvedUrl', 'response'],
+  run: ({ doc, finalResolvedUrl, response }) => {
+    const { caching } = analyzePerformance(doc, finalResolvedUrl, response).metrics;
+    const details = caching;
+    const validators = [caching.etag && 'ETag', caching.lastModified && 'Last-Modified'].filter(Boolean);
+
+    if (!caching.ok) {
+      return { status: 'warn', message: `No ETag, Last-Modified or max-age on the HTML${caching.cacheControl ? ` (Cache-Control: ${caching.cacheControl})` : ''}. Browsers and CDNs have to download the page again on every visit.`, details };
+    }
+    if (validators.length === 0) {
+      return { status: 'pass', message: `HTML is cacheable (Cache-Control: ${caching.cacheControl}).`, details };
+    }
+    return { status: 'pass', message: `HTML can be revalidated with ${validators.join(' and ')}${caching.cacheControl ? ` (Cache-Control: ${caching.cacheControl})` : ''}.`, details };
+  }
+};
+
+// Google Analytics Check
+export const googleAnalyticsCheck = {
+  id: 'google-analytics',
+  name: 'Google Analytics Installed',
+  category: CAT_PERFORMANCE,
+  weight: 7,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const scripts = Array.from(doc.querySelectorAll('script'));
+    const hasAnalytics = scripts.some(script => {
+      const src = script.src || '';
+      const text = script.textContent || '';
+      // Corrected line: Escaped single quote inside the string
+      return src.includes('googletagmanager.com/gtag/js') || text.includes('ga-lite') || text.includes('ga(\'create\',');
+    });
+    if (hasAnalytics) {
+      return { status: 'pass', message: 'Google Analytics script detected. This is a good sign of a well-managed site.' };
+    }
+    return { status: 'warn', message: 'Google Analytics script not found. Tracking site traffic is highly recommended.' };
+  }
+};
+
+// Structured Data Check
+export const structuredDataCheck = {
+  id: 'structured-data',
+  name: 'Structured Data (Schema.org)',
+  category: CAT_PERFORMANCE,
+  weight: 6,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const blocks = parseJsonLd(doc);
+    if (blocks.length === 0) {
+      return { status: 'warn', message: 'No structured data (JSON-LD) found. Consider adding it to improve SEO.' };
+    }
+
+    const details = { blocks };
+    const invalid = blocks.filter(block => !block.valid);
+    if (invalid.length > 0) {
+      return { status: 'fail', message: `${invalid.length} of ${blocks.length} JSON-LD blocks are not valid JSON (${invalid[0].error}). Search engines ignore them.`, details };
+    }
+    const items = blocks.flatMap(block => block.items);
+    const problems = items
+      .filter(item => item.missing.length > 0 || item.errors.length > 0)
+      .map(item => `${item.types.join('/') || item.path}: ${[...item.missing.map(property => `missing ${property}`), ...item.errors].join(', ')}`);
+    if (items.length === 0) {
+      return { status: 'warn', message: 'JSON-LD blocks contain no typed items.', details };
+    }
+    if (problems.length > 0) {
+      return { status: 'warn', message: `Structured data has problems: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? ` (+${problems.length - 3} more)` : ''}.`, details };
+    }
+    const types = [...new Set(items.flatMap(item => item.types))];
+    return { status: 'pass', message: `Valid structured data (JSON-LD): ${types.join(', ')}. This helps search engines understand your content.`, details };
+  }
+};
+
+// rel="canonical" pointing at the analyzed page
+export const canonicalCheck = {
+  id: 'canonical',
+  name: 'Canonical URL',
+  category: CAT_PERFORMANCE,
+  weight: 5,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl, response }) => {
+    const canonical = findCanonical(doc, finalResolvedUrl, response?.headers);
+    const details = canonical;
+    if (canonical.urls.length === 0) {
+      return { status: 'warn', message: 'No canonical link. Add <link rel="canonical"> so duplicate URLs (parameters, http/www variants) consolidate to this page.' };
+    }
+    if (canonical.urls.length > 1) {
+      return { status: 'fail', message: `Conflicting canonical URLs: ${canonical.urls.join(', ')}. Google ignores all of them.`, details };
+    }
+    const [target] = canonical.urls;
+    if (!canonical.matchesPage) {
+      const insecure = target.startsWith('http://') && finalResolvedUrl.startsWith('https://') ? ' It also points to plain HTTP.' : '';
+      return { status: 'warn', message: `Canonical URL points to ${target}, not to this page (${finalResolvedUrl}). Google will index that URL instead.${insecure}`, details };
+    }
+    return { status: 'pass', message: `Canonical URL points to this page (${target}).`, details };
+  }
+};
+
+// noindex in meta robots or X-Robots-Tag
+export const indexabilityCheck = {
+  id: 'indexability',
+  name: 'Indexability (noindex)',
+  category: CAT_PERFORMANCE,
+  weight: 10,
+  inputs: ['doc'],
+  run: ({ doc, response }) => {
+    const robots = robotsDirectives(doc, response?.headers);
+    const details = robots;
+    const describe = (names) => robots.directives
+      .filter(entry => names.includes(entry.directive))
+      .map(entry => `${entry.directive} for ${entry.agent} (${entry.source === 'header' ? 'X-Robots-Tag header' : 'meta tag'})`)
+      .join(', ');
+
+    if (robots.noindex) {
+      return { status: 'fail', message: `Page is marked noindex: ${describe(['noindex', 'none'])}. AdSense rejects sites whose pages cannot be indexed.`, details };
+    }
+    if (robots.nofollow) {
+      return { status: 'warn', message: `Page is marked nofollow: ${describe(['nofollow'])}. Crawlers will not follow its links to the rest of the site.`, details };
+    }
+    return { status: 'pass', message: 'Page can be indexed and its links followed.', details };
+  }
+};
+
+// Open Graph and Twitter Card tags used for link previews
+export const socialMetaCheck = {
+  id: 'social-meta',
+  name: 'Open Graph & Twitter Cards',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const tags = socialTags(doc);
+    const details = tags;
+    if (tags.missingOpenGraph.length === OPEN_GRAPH_TAGS.length && !tags.twitter['twitter:card']) {
+      return { status: 'warn', message: 'No Open Graph or Twitter Card tags. Shared links will show without a proper title, description or image.', details };
+    }
+    const missing = [...tags.missingOpenGraph, ...tags.missingTwitter];
+    if (missing.length > 0) {
+      return { status: 'warn', message: `Link preview tags incomplete, missing: ${missing.join(', ')}.`, details };
+    }
+    return { status: 'pass', message: 'Open Graph and Twitter Card tags are complete.', details };
+  }
+};
+
+// hreflang alternates must be valid language codes and link back to this page
+export const hreflangCheck = {
+  id: 'hreflang',
+  name: 'hreflang Alternates',
+  category: CAT_PERFORMANCE,
+  weight: 3,
+  async: true,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const { alternates, selfReferenced } = hreflangLinks(doc, finalResolvedUrl);
+    if (alternates.length === 0) {
+      return { status: 'pass', message: 'No hreflang alternates (single-language page).' };
+    }
+
+    const others = alternates.filter(alternate => alternate.url && !sameUrl(alternate.url, finalResolvedUrl)).slice(0, MAX_HREFLANG_FETCHES);
+    const results = await Promise.all(others.map(async alternate => {
+      const page = await loadPage(siteCache, alternate.url);
+      if (!page.ok) return { ...alternate, status: page.status, error: page.error, linksBack: false };
+      const back = hreflangLinks(page.doc, page.finalUrl).alternates.some(link => sameUrl(link.url, finalResolvedUrl));
+      return { ...alternate, status: page.status, linksBack: back };
+    }));
+    const details = { alternates, selfReferenced, checked: results };
+
+    const problems = [];
+    const invalid = alternates.filter(alternate => !alternate.valid);
+    if (invalid.length > 0) problems.push(`invalid language codes: ${invalid.map(alternate => alternate.lang).join(', ')}`);
+    if (!selfReferenced) problems.push('the page does not list itself');
+    const broken = results.filter(result => result.error);
+    if (broken.length > 0) problems.push(`unreachable alternates: ${broken.map(result => `${result.url} (${result.error})`).join(', ')}`);
+    const oneWay = results.filter(result => !result.error && !result.linksBack);
+    if (oneWay.length > 0) problems.push(`no return link from ${oneWay.map(result => result.url).join(', ')}`);
+
+    if (problems.length > 0) {
+      return { status: 'warn', message: `hreflang problems: ${problems.join('; ')}. Google ignores hreflang pairs that are not reciprocal.`, details };
+    }
+    return { status: 'pass', message: `${alternates.length} hreflang alternates, all valid and reciprocal.`, details };
+  }
+};
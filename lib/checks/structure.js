@@ -0,0 +1,261 @@
+import { CAT_STRUCT_ACC } from './categories.js';
+import { findLegalPages } from './helpers.js';
+import { loadPage } from '../resources.js';
+import { analyzeAboutPage, analyzeContactPage, analyzePrivacyPolicy, analyzeTermsPage } from '../legal.js';
+import { looksNotFound, probeNotFound, scanLinks } from '../links.js';
+import { analyzeContent } from '../extract.js';
+import { simhash } from '../simhash.js';
+
+// More broken links than this share of those checked means the site is not maintained
+const MAX_BROKEN_SHARE = 0.1;
+// Redirect chains this long waste crawl budget and slow visitors down
+const MAX_REDIRECT_HOPS = 2;
+
+// Enhanced navigation check
+export const navigationCheck = {
+  id: 'navigation',
+  name: 'Navigation Structure',
+  category: CAT_STRUCT_ACC,
+  weight: 10,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const nav = doc.querySelector('nav, header nav, .nav, .navigation, .menu');
+    const navLinks = nav ? nav.querySelectorAll('a') : doc.querySelectorAll('header a, .menu a');
+
+    if (navLinks.length >= 5) {
+      return { status: 'pass', message: `Clear navigation with ${navLinks.length} links found.` };
+    } else if (navLinks.length >= 3) {
+      return { status: 'warn', message: `Navigation found with ${navLinks.length} links. Consider adding more sections.` };
+    }
+    return { status: 'fail', message: 'Insufficient navigation structure. Add clear menu with multiple sections.' };
+  }
+};
+
+// Summary of a legal page report for check messages, e.g. "HTTP 404" or "only 45 words"
+const describeProblem = (report) => {
+  if (!report.reachable) return report.error || 'unreachable';
+  if (!report.hasContent) return `only ${report.wordCount} words`;
+  return null;
+};
+
+// Enhanced privacy policy check: follows the link and checks the disclosures AdSense requires
+export const privacyPolicyCheck = {
+  id: 'privacy-policy',
+  name: 'Privacy Policy Page',
+  category: CAT_STRUCT_ACC,
+  weight: 25,
+  async: true,
+  scope: 'site',
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const { privacy } = findLegalPages(doc, finalResolvedUrl);
+    if (!privacy) {
+      return { status: 'fail', message: 'Privacy Policy page missing - CRITICAL REQUIREMENT for AdSense approval.' };
+    }
+
+    const report = analyzePrivacyPolicy(await loadPage(siteCache, privacy));
+    const details = { pages: { privacy: report } };
+    const problem = describeProblem(report);
+    if (!report.reachable) {
+      return { status: 'fail', message: `Privacy Policy link found but the page is not usable (${problem}) - REQUIRED for AdSense.`, details };
+    }
+    if (problem) {
+      return { status: 'warn', message: `Privacy Policy page found but thin (${problem}). AdSense expects a complete policy.`, details };
+    }
+    if (report.missing.length > 0) {
+      return { status: 'warn', message: `Privacy Policy found but does not mention: ${report.missing.join(', ')}. AdSense requires these disclosures.`, details };
+    }
+    return { status: 'pass', message: 'Privacy Policy found and covers cookies, third-party ads and Google\'s data use - REQUIRED for AdSense.', details };
+  }
+};
+
+// Terms of Service check
+export const termsOfServiceCheck = {
+  id: 'terms-of-service',
+  name: 'Terms of Service/Use Page',
+  category: CAT_STRUCT_ACC,
+  weight: 8,
+  async: true,
+  scope: 'site',
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const { terms } = findLegalPages(doc, finalResolvedUrl);
+    if (!terms) {
+      return { status: 'warn', message: 'Terms of Service page recommended for trust signals.' };
+    }
+
+    const report = analyzeTermsPage(await loadPage(siteCache, terms));
+    const details = { pages: { terms: report } };
+    const problem = describeProblem(report);
+    if (problem) {
+      return { status: 'warn', message: `Terms of Service link found but the page is not usable (${problem}).`, details };
+    }
+    if (report.missing.length > 0) {
+      return { status: 'warn', message: `Terms of Service page found but lacks ${report.missing.join(' and ')}.`, details };
+    }
+    return { status: 'pass', message: 'Terms of Service page found with real content.', details };
+  }
+};
+
+// Enhanced About/Contact check: both pages must load, and the contact page must offer a way to reach you
+export const aboutContactCheck = {
+  id: 'about-contact',
+  name: 'About Us & Contact Information',
+  category: CAT_STRUCT_ACC,
+  weight: 12,
+  async: true,
+  scope: 'site',
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const { about, contact } = findLegalPages(doc, finalResolvedUrl);
+    if (!about && !contact) {
+      return { status: 'fail', message: 'Both About and Contact pages missing - important for trust.' };
+    }
+
+    const [aboutReport, contactReport] = await Promise.all([
+      about ? loadPage(siteCache, about).then(analyzeAboutPage) : null,
+      contact ? loadPage(siteCache, contact).then(analyzeContactPage) : null
+    ]);
+    const details = { pages: { about: aboutReport, contact: contactReport } };
+
+    const problems = [];
+    if (!aboutReport) problems.push('About page missing');
+    else if (describeProblem(aboutReport)) problems.push(`About page ${describeProblem(aboutReport)}`);
+    if (!contactReport) problems.push('Contact page missing');
+    else if (!contactReport.reachable) problems.push(`Contact page ${describeProblem(contactReport)}`);
+    else if (contactReport.missing.length > 0) problems.push(`Contact page has no ${contactReport.missing[0]}`);
+
+    if (problems.length === 0) {
+      const methods = Object.keys(contactReport.findings).filter(key => contactReport.findings[key]);
+      return { status: 'pass', message: `About and Contact pages found; contact via ${methods.join(', ')}.`, details };
+    }
+    return { status: 'warn', message: `${problems.join('; ')}. Both pages with real content are recommended.`, details };
+  }
+};
+
+// Enhanced mobile responsiveness
+export const mobileResponsiveCheck = {
+  id: 'mobile-responsive',
+  name: 'Mobile Responsiveness',
+  category: CAT_STRUCT_ACC,
+  weight: 10,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const viewport = doc.querySelector('meta[name="viewport"]');
+    const hasResponsiveCss = Array.from(doc.querySelectorAll('style, link[rel="stylesheet"]'))
+      .some(el => (el.textContent || el.href || '').includes('media'));
+
+    if (viewport && viewport.content.includes('width=device-width')) {
+      if (hasResponsiveCss) {
+        return { status: 'pass', message: 'Mobile-optimized with viewport tag and responsive CSS.' };
+      }
+      return { status: 'warn', message: 'Viewport tag found but responsive CSS unclear.' };
+    }
+    return { status: 'fail', message: 'Missing viewport meta tag - essential for mobile users.' };
+  }
+};
+
+// Language declaration
+export const languageCheck = {
+  id: 'language',
+  name: 'Language Declaration',
+  category: CAT_STRUCT_ACC,
+  weight: 3,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const lang = doc.documentElement.getAttribute('lang');
+    return lang
+      ? { status: 'pass', message: `Language declared as "${lang}".` }
+      : { status: 'warn', message: 'No language declaration. Add lang attribute to <html> tag.' };
+  }
+};
+
+// Favicon check
+export const faviconCheck = {
+  id: 'favicon',
+  name: 'Favicon Present',
+  category: CAT_STRUCT_ACC,
+  weight: 2,
+  inputs: ['doc'],
+  run: ({ doc }) => {
+    const favicon = doc.querySelector('link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]');
+    return favicon && favicon.href
+      ? { status: 'pass', message: 'Favicon found - good for branding.' }
+      : { status: 'warn', message: 'Favicon missing. Add for professional appearance.' };
+  }
+};
+
+// Error page detection
+export const errorPageCheck = {
+  id: 'error-page',
+  name: 'Error Page Detection',
+  category: CAT_STRUCT_ACC,
+  weight: 5,
+  async: true,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const probe = await probeNotFound(siteCache, new URL(finalResolvedUrl).origin);
+    const details = { probe: { url: probe.url, finalUrl: probe.finalUrl, status: probe.status ?? null, error: probe.error } };
+    const signature = { title: doc.title.trim(), simhash: simhash(analyzeContent(doc).main.text) };
+    if (looksNotFound(signature, probe)) {
+      return { status: 'fail', message: `This page looks like a not-found page ("${signature.title}") but does not answer with an error status.`, details };
+    }
+    if (probe.error) {
+      return { status: 'warn', message: `Page loads normally, but requesting a missing URL failed (${probe.error}).`, details };
+    }
+    if (probe.softNotFound) {
+      const redirected = probe.finalUrl !== probe.url ? ` (redirected to ${probe.finalUrl})` : '';
+      return { status: 'warn', message: `Missing pages answer HTTP ${probe.status}${redirected} instead of 404. Such soft 404s let crawlers index pages that do not exist.`, details };
+    }
+    if (probe.status >= 500) {
+      return { status: 'warn', message: `Missing pages answer HTTP ${probe.status} instead of 404.`, details };
+    }
+    return { status: 'pass', message: `Page loads normally and missing pages return HTTP ${probe.status}.`, details };
+  }
+};
+
+// Internal links, images, stylesheets and scripts that fail, redirect repeatedly or are soft 404s
+export const brokenLinksCheck = {
+  id: 'broken-links',
+  name: 'Broken Links & Resources',
+  category: CAT_STRUCT_ACC,
+  weight: 8,
+  async: true,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: async ({ doc, finalResolvedUrl, siteCache }) => {
+    const scan = await scanLinks(doc, finalResolvedUrl, siteCache);
+    if (scan.checked === 0) {
+      return { status: 'pass', message: 'No internal links or resources to check.' };
+    }
+
+    const summarize = (result) => ({ url: result.url, kind: result.kind, status: result.status, error: result.error, redirects: result.redirects.length, finalUrl: result.finalUrl });
+    const broken = scan.results.filter(result => !result.ok).map(summarize);
+    const softNotFound = scan.results.filter(result => result.softNotFound).map(summarize);
+    const chains = scan.results.filter(result => result.redirects.length >= MAX_REDIRECT_HOPS).map(summarize);
+    const details = {
+      checked: scan.checked,
+      skipped: scan.skipped,
+      blocked: scan.blocked,
+      redirected: scan.results.filter(result => result.redirects.length > 0).length,
+      broken,
+      softNotFound,
+      redirectChains: chains
+    };
+    const describe = (list) => list.slice(0, 3).map(item => `${item.url} (${item.error || `HTTP ${item.status}`})`).join(', ') + (list.length > 3 ? ` and ${list.length - 3} more` : '');
+
+    const brokenAssets = broken.filter(item => item.kind === 'stylesheet' || item.kind === 'script');
+    if (brokenAssets.length > 0 || broken.length > scan.checked * MAX_BROKEN_SHARE) {
+      return { status: 'fail', message: `${broken.length} of ${scan.checked} links and resources are broken: ${describe(broken)}.`, details };
+    }
+    const problems = [];
+    if (broken.length > 0) problems.push(`${broken.length} broken: ${describe(broken)}`);
+    if (softNotFound.length > 0) problems.push(`${softNotFound.length} soft 404s: ${softNotFound.slice(0, 3).map(item => item.url).join(', ')}`);
+    if (chains.length > 0) problems.push(`${chains.length} redirect chains of ${MAX_REDIRECT_HOPS}+ hops`);
+    if (problems.length > 0) {
+      return { status: 'warn', message: `Link problems among ${scan.checked} checked: ${problems.join('; ')}.`, details };
+    }
+    const unchecked = scan.skipped + scan.blocked;
+    const skipped = unchecked > 0 ? ` (${unchecked} more not checked)` : '';
+    return { status: 'pass', message: `All ${scan.checked} links and resources respond${skipped}.`, details };
+  }
+};
@@ -0,0 +1,130 @@
+import { CAT_AUTO } from './categories.js';
+import { loadAdsTxt } from '../resources.js';
+import { GOOGLE_CERTIFICATION_ID, googleRecords, parseAdsTxt } from '../adstxt.js';
+import { findMixedContent } from '../links.js';
+
+// Enhanced HTTPS check
+export const httpsCheck = {
+  id: 'https',
+  name: 'Secure Connection (HTTPS/SSL)',
+  category: CAT_AUTO,
+  weight: 20,
+  inputs: ['finalResolvedUrl'],
+  run: ({ finalResolvedUrl }) => {
+    if (finalResolvedUrl.startsWith('https://')) {
+      return { status: 'pass', message: 'Site uses HTTPS encryption.' };
+    } else {
+      return { status: 'fail', message: 'Site does not use HTTPS. This is CRITICAL for AdSense approval.' };
+    }
+  }
+};
+
+// HTTPS redirect check
+export const httpsRedirectCheck = {
+  id: 'https-redirect',
+  name: 'HTTPS Redirect Check',
+  category: CAT_AUTO,
+  weight: 15,
+  inputs: ['initialUrl', 'finalResolvedUrl'],
+  run: ({ initialUrl, finalResolvedUrl }) => {
+    const initial = new URL(initialUrl.startsWith('http') ? initialUrl : `https://${initialUrl}`);
+    const final = new URL(finalResolvedUrl);
+    if (initial.protocol === 'http:' && final.protocol === 'https:' && initial.hostname === final.hostname) {
+      return { status: 'pass', message: 'HTTP correctly redirects to HTTPS.' };
+    } else if (final.protocol === 'https:') {
+      return { status: 'pass', message: 'Site uses HTTPS.' };
+    }
+    return { status: 'fail', message: 'No HTTP to HTTPS redirect configured.' };
+  }
+};
+
+// HTTP subresources on an HTTPS page
+export const mixedContentCheck = {
+  id: 'mixed-content',
+  name: 'Mixed Content',
+  category: CAT_AUTO,
+  weight: 5,
+  inputs: ['doc', 'finalResolvedUrl'],
+  run: ({ doc, finalResolvedUrl }) => {
+    if (!finalResolvedUrl.startsWith('https://')) {
+      return { status: 'warn', message: 'Page is served over plain HTTP, so all of its resources are insecure.' };
+    }
+    const mixed = findMixedContent(doc, finalResolvedUrl);
+    const details = mixed;
+    const list = (urls) => urls.slice(0, 3).join(', ') + (urls.length > 3 ? ` and ${urls.length - 3} more` : '');
+    if (mixed.active.length > 0) {
+      return { status: 'fail', message: `Browsers block scripts, stylesheets, frames and forms loaded over HTTP (${mixed.active.length} on this page): ${list(mixed.active)}.`, details };
+    }
+    if (mixed.passive.length > 0) {
+      return { status: 'warn', message: `Images or media loaded over HTTP (${mixed.passive.length}): ${list(mixed.passive)}. Browsers flag the page as not fully secure.`, details };
+    }
+    return { status: 'pass', message: 'All resources load over HTTPS.' };
+  }
+};
+
+// ads.txt Check
+export const adsTxtCheck = {
+  id: 'ads-txt',
+  name: 'Ads.txt Presence',
+  category: CAT_AUTO,
+  weight: 10,
+  async: true,
+  scope: 'site',
+  inputs: ['finalResolvedUrl'],
+  run: async ({ finalResolvedUrl, publisherId, siteCache }) => {
+    let adsTxt;
+    try {
+      adsTxt = await loadAdsTxt(siteCache, new URL(finalResolvedUrl).origin);
+    } catch (e) {
+      return { status: 'warn', message: 'Could not analyze ads.txt due to a network error.' };
+    }
+
+    if (!adsTxt.ok) {
+      return { status: 'warn', message: 'ads.txt file not found. This is recommended for all publishers.' };
+    }
+
+    const parsed = parseAdsTxt(adsTxt.text);
+    const google = googleRecords(parsed);
+    const details = {
+      recordCount: parsed.records.length,
+      googlePublisherIds: [...new Set(google.map(record => record.publisherId))],
+      variables: parsed.variables,
+      errors: parsed.errors,
+      duplicates: parsed.duplicates
+    };
+
+    const problems = [];
+    if (parsed.errors.length > 0) {
+      problems.push(`${parsed.errors.length} syntax error(s), first on line ${parsed.errors[0].line}: ${parsed.errors[0].message}`);
+    }
+    if (parsed.duplicates.length > 0) {
+      problems.push(`${parsed.duplicates.length} duplicate entr${parsed.duplicates.length === 1 ? 'y' : 'ies'} (line ${parsed.duplicates[0].line} repeats line ${parsed.duplicates[0].firstLine})`);
+    }
+    const wrongCertification = google.filter(record =>
+      record.certificationAuthorityId && record.certificationAuthorityId.toLowerCase() !== GOOGLE_CERTIFICATION_ID);
+    if (wrongCertification.length > 0) {
+      problems.push(`Google entry on line ${wrongCertification[0].line} has certification ID "${wrongCertification[0].certificationAuthorityId}" instead of ${GOOGLE_CERTIFICATION_ID}`);
+    }
+    const problemNote = problems.length > 0 ? ` However: ${problems.join('; ')}.` : '';
+
+    if (publisherId) {
+      const entries = google.filter(record => record.publisherId === publisherId);
+      if (entries.some(record => record.relationship === 'DIRECT')) {
+        return { status: problems.length > 0 ? 'warn' : 'pass', message: `ads.txt lists ${publisherId} as DIRECT for google.com.${problemNote}`, details };
+      }
+      if (entries.length > 0) {
+        return { status: 'fail', message: `ads.txt lists ${publisherId} only as RESELLER (line ${entries[0].line}). Your own AdSense account must be DIRECT.`, details };
+      }
+      const others = details.googlePublisherIds.length > 0 ? ` Found instead: ${details.googlePublisherIds.join(', ')}.` : '';
+      return { status: 'fail', message: `ads.txt does not list your publisher ID ${publisherId}. Add "google.com, ${publisherId}, DIRECT, ${GOOGLE_CERTIFICATION_ID}".${others}`, details };
+    }
+
+    if (google.some(record => record.relationship === 'DIRECT')) {
+      return { status: problems.length > 0 ? 'warn' : 'pass', message: `ads.txt file found and contains a DIRECT Google publisher ID.${problemNote}`, details };
+    }
+    if (google.length > 0) {
+      return { status: 'warn', message: `ads.txt lists Google publisher IDs only as RESELLER.${problemNote}`, details };
+    }
+    return { status: 'warn', message: `ads.txt file found, but it does not appear to contain a Google publisher ID.${problemNote}`, details };
+  }
+};
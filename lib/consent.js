@@ -0,0 +1,104 @@
+// Detection of consent management platforms (CMPs) and of scripts that track before consent.
+// Works on the HTML as served; banners injected later are still found through their loader scripts.
+
+// `certified`: listed as a Google-certified CMP (IAB TCF v2.2) for EEA/UK/Swiss traffic.
+// Each signature matches script URLs, inline script text or elements the CMP adds to the page.
+export const CMP_SIGNATURES = [
+  { name: 'Google Privacy & messaging (Funding Choices)', certified: true, src: /fundingchoicesmessages\.google\.com/i, inline: /googlefc|signalGooglefcPresent/ },
+  { name: 'Cookiebot', certified: true, src: /consent\.cookiebot\.(com|eu)/i, selector: '#CybotCookiebotDialog' },
+  { name: 'OneTrust', certified: true, src: /cdn\.cookielaw\.org|optanon|otSDKStub/i, selector: '#onetrust-banner-sdk, #onetrust-consent-sdk' },
+  { name: 'Quantcast Choice', certified: true, src: /quantcast\.mgr\.consensu\.org|cmp\.quantcast\.com|cmp\.inmobi\.com/i, selector: '.qc-cmp2-container' },
+  { name: 'Didomi', certified: true, src: /sdk\.privacy-center\.org|didomi/i, selector: '#didomi-host' },
+  { name: 'Usercentrics', certified: true, src: /usercentrics\.eu/i, selector: '#usercentrics-root' },
+  { name: 'Sourcepoint', certified: true, src: /sourcepoint|sp-prod\.net/i, inline: /_sp_\.config|window\._sp_/ },
+  { name: 'TrustArc', certified: true, src: /consent\.trustarc\.com|truste\.com/i, selector: '#truste-consent-track' },
+  { name: 'CookieYes', certified: true, src: /cdn-cookieyes\.com/i, selector: '.cky-consent-container' },
+  { name: 'iubenda', certified: true, src: /cdn\.iubenda\.com/i, selector: '#iubenda-cs-banner' },
+  { name: 'Complianz', certified: true, src: /complianz/i, selector: '#cmplz-cookiebanner-container, .cmplz-cookiebanner' },
+  { name: 'Osano Cookie Consent', certified: false, src: /cookieconsent(\.min)?\.js|cmp\.osano\.com/i, selector: '.cc-window' },
+  { name: 'Cookie Notice (WordPress)', certified: false, src: /cookie-notice/i, selector: '#cookie-notice' },
+  { name: 'Termly', certified: false, src: /app\.termly\.io/i }
+];
+
+// Scripts that set advertising or analytics cookies
+export const TRACKER_SIGNATURES = [
+  { name: 'Google AdSense', google: true, src: /googlesyndication\.com\/pagead/i },
+  { name: 'Google Ad Manager', google: true, src: /securepubads\.g\.doubleclick\.net|googletagservices\.com/i },
+  { name: 'Google Analytics', google: true, src: /google-analytics\.com\/(analytics|ga)\.js|googletagmanager\.com\/gtag\/js/i },
+  { name: 'Google Tag Manager', google: true, src: /googletagmanager\.com\/gtm\.js/i },
+  { name: 'Meta Pixel', src: /connect\.facebook\.net\/.*\/fbevents\.js/i },
+  { name: 'Hotjar', src: /static\.hotjar\.com/i },
+  { name: 'Microsoft Clarity', src: /clarity\.ms\/tag/i },
+  { name: 'TikTok Pixel', src: /analytics\.tiktok\.com/i }
+];
+
+// Attributes consent tools use to hold a script back until the visitor agrees
+const BLOCKED_SCRIPT_TYPES = /^text\/plain$/i;
+const CONSENT_ATTRIBUTES = ['data-cookieconsent', 'data-cookiecategory', 'data-category', 'data-consent', 'data-cmplz-src', 'data-usercentrics'];
+
+const CONSENT_MODE_DEFAULT = /['"]consent['"]\s*,\s*['"]default['"]/;
+const TCF_STUB = /__tcfapi/;
+const USP_STUB = /__uspapi|__gpp/;
+const CCPA_LINK_TEXT = /do not sell|do not share|your privacy choices|opt[- ]out of (the )?sale/i;
+const CCPA_LINK_HREF = /do-?not-?sell|privacy-?choices|ccpa/i;
+
+const scriptText = (script) => script.textContent || '';
+
+// CMPs, TCF/USP stubs and Google consent mode found on the page, with scripts in document order
+export function detectConsent(doc) {
+  const scripts = Array.from(doc.querySelectorAll('script'));
+
+  const platforms = CMP_SIGNATURES
+    .map(signature => {
+      const index = scripts.findIndex(script =>
+        (signature.src && signature.src.test(script.getAttribute('src') || '')) ||
+        (signature.inline && signature.inline.test(scriptText(script))));
+      const inDom = signature.selector ? Boolean(doc.querySelector(signature.selector)) : false;
+      return index === -1 && !inDom ? null : { name: signature.name, certified: signature.certified, scriptIndex: index };
+    })
+    .filter(Boolean);
+
+  const tcfIndex = scripts.findIndex(script => TCF_STUB.test(scriptText(script)));
+  const consentModeIndex = scripts.findIndex(script => CONSENT_MODE_DEFAULT.test(scriptText(script)));
+
+  const trackers = scripts.flatMap((script, index) => {
+    const src = script.getAttribute('src') || script.getAttribute('data-src') || script.getAttribute('data-cmplz-src') || '';
+    const inline = scriptText(script);
+    const signature = TRACKER_SIGNATURES.find(entry => entry.src.test(src) || entry.src.test(inline));
+    if (!signature) return [];
+    const blocked = BLOCKED_SCRIPT_TYPES.test(script.getAttribute('type') || '') ||
+      CONSENT_ATTRIBUTES.some(attribute => script.hasAttribute(attribute)) ||
+      /optanon-category/i.test(script.className);
+    return [{ name: signature.name, google: Boolean(signature.google), src: src || null, index, blocked }];
+  });
+
+  return {
+    platforms,
+    tcfStub: tcfIndex !== -1,
+    tcfIndex,
+    consentModeIndex,
+    uspStub: scripts.some(script => USP_STUB.test(scriptText(script))),
+    trackers
+  };
+}
+
+// Scripts that run before any consent signal exists. Google tags wait for a TCF CMP or follow
+// consent mode when either is set up earlier in the page; other trackers must be blocked outright.
+export function trackersBeforeConsent(consent) {
+  const certifiedCmpIndex = Math.min(...consent.platforms
+    .filter(platform => platform.certified && platform.scriptIndex !== -1)
+    .map(platform => platform.scriptIndex), consent.tcfIndex === -1 ? Infinity : consent.tcfIndex);
+
+  return consent.trackers.filter(tracker => {
+    if (tracker.blocked) return false;
+    if (!tracker.google) return true;
+    const governedByConsentMode = consent.consentModeIndex !== -1 && consent.consentModeIndex < tracker.index;
+    return !governedByConsentMode && !(certifiedCmpIndex < tracker.index);
+  });
+}
+
+// "Do Not Sell or Share My Personal Information" style link, as CCPA/CPRA require
+export function findCcpaLink(doc) {
+  return Array.from(doc.querySelectorAll('a')).find(link =>
+    CCPA_LINK_TEXT.test(link.textContent || '') || CCPA_LINK_HREF.test(link.getAttribute('href') || '')) || null;
+}
@@ -0,0 +1,155 @@
+import { analyzePage } from './analyzer.js';
+import { createSiteCache, loadSiteSitemaps } from './resources.js';
+import { MIN_WORDS_FOR_QUALITY } from './extract.js';
+import { findNearDuplicates } from './simhash.js';
+import { CancelledError } from './errors.js';
+
+export const DEFAULT_MAX_PAGES = 10;
+export const MAX_PAGES_LIMIT = 50;
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 5;
+
+// Links to files rather than HTML pages are never worth analyzing
+const SKIPPED_EXTENSIONS = /\.(jpe?g|png|gif|webp|svg|ico|pdf|zip|rar|gz|mp3|mp4|avi|mov|css|js|xml|json|txt)$/i;
+
+const clamp = (value, fallback, max) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? Math.min(number, max) : fallback;
+};
+
+// Pages a crawl with the requested `maxPages` analyzes at most
+export const effectiveMaxPages = (maxPages) => clamp(maxPages, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT);
+
+// Resolve a link against the page it was found on; returns null for anything off-site
+function normalizePageUrl(href, base, host) {
+  try {
+    const url = new URL(href, base);
+    if (!['http:', 'https:'].includes(url.protocol) || url.hostname !== host) return null;
+    if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function extractInternalLinks(doc, baseUrl, host) {
+  return Array.from(doc.querySelectorAll('a[href]'))
+    .map(link => normalizePageUrl(link.getAttribute('href'), baseUrl, host))
+    .filter(Boolean);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function summarizeSite(pages, errors) {
+  const failingChecks = {};
+  for (const page of pages) {
+    for (const check of page.checks) {
+      if (check.status !== 'fail') continue;
+      failingChecks[check.name] = failingChecks[check.name] || { count: 0, pages: [] };
+      failingChecks[check.name].count++;
+      failingChecks[check.name].pages.push(page.url);
+    }
+  }
+
+  // Broken URLs from every page's link scan, each listed once with the pages linking to it
+  const brokenLinks = new Map();
+  for (const page of pages) {
+    const scan = page.checks.find(check => check.id === 'broken-links');
+    for (const item of scan?.details?.broken || []) {
+      if (!brokenLinks.has(item.url)) brokenLinks.set(item.url, { url: item.url, kind: item.kind, status: item.status, error: item.error, foundOn: [] });
+      brokenLinks.get(item.url).foundOn.push(page.url);
+    }
+  }
+
+  const scores = pages.map(page => page.score);
+  return {
+    pagesAnalyzed: pages.length,
+    pagesFailed: errors.length,
+    totalArticles: pages.filter(page => page.pageStats.isArticle).length,
+    medianWordCount: median(pages.map(page => page.pageStats.mainWordCount)),
+    averageScore: scores.length ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : 0,
+    averagePerformanceScore: scores.length ? Math.round(pages.reduce((sum, page) => sum + page.performance.score, 0) / pages.length) : 0,
+    brokenLinks: Array.from(brokenLinks.values()),
+    // Pairs of pages that both have enough main content to compare, each listed once
+    nearDuplicates: findNearDuplicates(pages
+      .filter(page => page.content.mainWordCount >= MIN_WORDS_FOR_QUALITY)
+      .map(page => ({ url: page.url, simhash: page.content.simhash }))),
+    failingChecks
+  };
+}
+
+// Analyzes the start page, then internal pages discovered through links and the site's sitemaps,
+// up to `maxPages` pages with at most `concurrency` analyses running at once.
+// Errors on the start page propagate; errors on other pages are reported per URL.
+// `options.onProgress` receives each page's analyzer events tagged with `page`, plus a "page" event
+// per finished page and "page-error" per failed one; aborting `options.signal` stops the crawl.
+export async function crawlSite(initialUrl, options = {}) {
+  const maxPages = effectiveMaxPages(options.maxPages);
+  const concurrency = clamp(options.concurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+  const pageOptions = { siteCache: createSiteCache({ fresh: options.fresh, signal: options.signal }), checks: options.checks, publisherId: options.publisherId, render: options.render, profile: options.profile };
+  const emit = (stage, data) => options.onProgress?.({ stage, ...data });
+  const analyze = (url) => analyzePage(url, { ...pageOptions, onProgress: event => emit(event.stage, { ...event, page: url }) });
+
+  const { result: startResult, doc: startDoc } = await analyze(initialUrl);
+  emit('page', { page: initialUrl, url: startResult.finalResolvedUrl, score: startResult.score });
+  const startUrl = startResult.finalResolvedUrl;
+  const { hostname: host, origin } = new URL(startUrl);
+
+  const pages = [{ url: startUrl, ...startResult }];
+  const errors = [];
+  const analyzed = new Set([startUrl]);
+  const seen = new Set([startUrl]);
+  const queue = [];
+  const enqueue = (url) => {
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      queue.push(url);
+    }
+  };
+
+  extractInternalLinks(startDoc, startUrl, host).forEach(enqueue);
+  const sitemap = await loadSiteSitemaps(pageOptions.siteCache, origin).catch(() => ({ urls: [] }));
+  sitemap.urls.forEach(loc => enqueue(normalizePageUrl(loc, origin, host)));
+
+  let started = 1;
+  const worker = async () => {
+    while (started < maxPages && queue.length > 0) {
+      const url = queue.shift();
+      started++;
+      try {
+        const { result, doc } = await analyze(url);
+        extractInternalLinks(doc, result.finalResolvedUrl, host).forEach(enqueue);
+        // Several links can redirect to the same page; only report it once
+        if (analyzed.has(result.finalResolvedUrl)) continue;
+        analyzed.add(result.finalResolvedUrl);
+        pages.push({ url, ...result });
+        emit('page', { page: url, url: result.finalResolvedUrl, score: result.score });
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        errors.push({ url, error: error.message });
+        emit('page-error', { page: url, error: error.message });
+      }
+    }
+  };
+
+  // Workers stop when the queue runs dry; restart them if the last pages found new links
+  while (started < maxPages && queue.length > 0) {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  }
+
+  return {
+    mode: 'crawl',
+    startUrl,
+    maxPages,
+    concurrency,
+    site: summarizeSite(pages, errors),
+    pages,
+    errors
+  };
+}
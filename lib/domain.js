@@ -0,0 +1,196 @@
+import dns from 'dns';
+import net from 'net';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+import { fetchWithTimeout } from './fetcher.js';
+import { CancelledError } from './errors.js';
+import { assertUrlAllowed, createSafeLookup, getSafetyPolicy } from './safety.js';
+
+// Infrastructure signals for a site: TLS certificate, HSTS, DNS records and domain registration
+// age. Registration data comes from a pluggable WHOIS/RDAP client (see createWhoisClient below),
+// which is off unless configured, since it sends every analyzed domain to a third-party service.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TLS_TIMEOUT_MS = 8000;
+
+// Second-level labels under which registrations happen one level deeper (example.co.uk).
+// Not the full public suffix list, but it covers the common country-code cases.
+const SECOND_LEVEL_SUFFIXES = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go', 'gob', 'nic', 'ltd', 'plc', 'sch', 'me', 'nom']);
+
+export function registrableDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (net.isIP(hostname) || labels.length <= 2) return labels.join('.');
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const keep = topLevel.length === 2 && SECOND_LEVEL_SUFFIXES.has(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+export const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+const describeName = (name = {}) => name.CN || name.O || Object.values(name).join(', ') || null;
+
+// Connects to the host and reads the certificate chain it presents. The chain is not rejected on
+// connection so that expired or mismatched certificates can be reported instead of just failing.
+// Resolves to { authorized, authorizationError, hostnameMatch, hostnameError, protocol, certificate, chain }.
+// Aborting `signal` closes the connection and rejects with CancelledError.
+export async function inspectCertificate(url, { timeoutMs = TLS_TIMEOUT_MS, now = Date.now(), signal } = {}) {
+  const policy = getSafetyPolicy();
+  const parsed = assertUrlAllowed(url, policy);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const port = parseInt(parsed.port, 10) || 443;
+  if (signal?.aborted) throw new CancelledError();
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: hostname,
+      port,
+      servername: net.isIP(hostname) ? undefined : hostname,
+      rejectUnauthorized: false,
+      lookup: createSafeLookup(policy)
+    });
+    const cancel = () => socket.destroy(new CancelledError());
+    signal?.addEventListener('abort', cancel, { once: true });
+    socket.once('close', () => signal?.removeEventListener('abort', cancel));
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`TLS connection to ${hostname} timed out`)));
+    socket.once('error', reject);
+    socket.once('secureConnect', () => {
+      const peer = socket.getPeerCertificate(true);
+      if (!peer || !peer.valid_to) {
+        socket.end();
+        return reject(new Error('The server did not present a certificate'));
+      }
+
+      const chain = [];
+      for (let cert = peer; cert && !chain.includes(cert); cert = cert.issuerCertificate) {
+        chain.push(cert);
+        if (cert.issuerCertificate === cert) break;
+      }
+      const hostnameError = tls.checkServerIdentity(hostname, peer);
+      const validTo = new Date(peer.valid_to);
+      resolve({
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        hostnameMatch: !hostnameError,
+        hostnameError: hostnameError ? hostnameError.message : null,
+        protocol: socket.getProtocol(),
+        certificate: {
+          subject: describeName(peer.subject),
+          issuer: describeName(peer.issuer),
+          subjectAltNames: (peer.subjectaltname || '').split(',').map(name => name.trim().replace(/^DNS:/, '')).filter(Boolean),
+          validFrom: new Date(peer.valid_from).toISOString(),
+          validTo: validTo.toISOString(),
+          daysRemaining: daysBetween(now, validTo.getTime()),
+          selfSigned: chain.length === 1 && describeName(peer.subject) === describeName(peer.issuer)
+        },
+        chain: chain.map(cert => ({ subject: describeName(cert.subject), issuer: describeName(cert.issuer), validTo: new Date(cert.valid_to).toISOString() }))
+      });
+      socket.end();
+    });
+  });
+}
+
+// Parsed Strict-Transport-Security header, or null when absent
+export function parseHsts(header) {
+  if (!header) return null;
+  const maxAge = header.match(/max-age\s*=\s*"?(\d+)"?/i);
+  return {
+    maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : null,
+    includeSubDomains: /(^|;)\s*includeSubDomains\s*(;|$)/i.test(header),
+    preload: /(^|;)\s*preload\s*(;|$)/i.test(header)
+  };
+}
+
+const settle = async (promise) => {
+  try {
+    return await promise;
+  } catch (error) {
+    // No records of that type is an answer, anything else is a lookup failure
+    if (['ENODATA', 'ENOTFOUND', 'ENOTIMP'].includes(error.code)) return [];
+    throw error;
+  }
+};
+
+// Address records of a host: { a: [...], aaaa: [...] }
+export async function lookupAddresses(hostname) {
+  const [a, aaaa] = await Promise.all([settle(dns.promises.resolve4(hostname)), settle(dns.promises.resolve6(hostname))]);
+  return { a, aaaa };
+}
+
+// Mail exchangers of a domain, lowest priority first: [{ exchange, priority }]
+export async function lookupMx(domain) {
+  const records = await settle(dns.promises.resolveMx(domain));
+  return records.sort((a, b) => a.priority - b.priority);
+}
+
+// WHOIS/RDAP clients implement async lookup(domain, { signal }) resolving to
+// { domain, createdAt, expiresAt, registrar, source } (ISO dates, null when unknown) or null
+// when the registry has no record. Aborting `signal` cancels a lookup in progress.
+
+// Registration data over RDAP, the JSON successor of WHOIS. rdap.org redirects to the registry
+// responsible for the domain's TLD.
+export class RdapClient {
+  constructor({ baseUrl = 'https://rdap.org', timeoutMs = 8000 } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async lookup(domain, { signal } = {}) {
+    const res = await fetchWithTimeout(`${this.baseUrl}/domain/${encodeURIComponent(domain)}`, { headers: { Accept: 'application/rdap+json, application/json' }, signal }, this.timeoutMs);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`RDAP lookup failed with HTTP ${res.status}`);
+
+    const data = await res.json();
+    const eventDate = (action) => (data.events || []).find(event => event.eventAction === action)?.eventDate || null;
+    const registrar = (data.entities || []).find(entity => (entity.roles || []).includes('registrar'));
+    const registrarName = registrar?.vcardArray?.[1]?.find(field => field[0] === 'fn')?.[3] || registrar?.handle || null;
+    return {
+      domain: (data.ldhName || domain).toLowerCase(),
+      createdAt: eventDate('registration'),
+      expiresAt: eventDate('expiration'),
+      registrar: registrarName,
+      source: 'rdap'
+    };
+  }
+}
+
+// Fixed registration records, { "example.com": { createdAt, expiresAt?, registrar? } }, for tests
+// and offline runs
+export class StaticWhoisClient {
+  constructor(records = {}) {
+    this.records = new Map(Object.entries(records).map(([domain, record]) => [domain.toLowerCase(), record]));
+  }
+
+  async lookup(domain) {
+    const record = this.records.get(domain.toLowerCase());
+    if (!record) return null;
+    return { domain: domain.toLowerCase(), createdAt: null, expiresAt: null, registrar: null, ...record, source: 'static' };
+  }
+}
+
+// Registration lookups from the environment:
+//   WHOIS_CLIENT       "none" (default), "rdap" or "static"
+//   RDAP_BASE_URL      RDAP bootstrap server for the rdap client
+//   WHOIS_STATIC_FILE  JSON records for the static client
+export function createWhoisClient(env = process.env) {
+  switch (env.WHOIS_CLIENT || 'none') {
+    case 'rdap':
+      return new RdapClient({ baseUrl: env.RDAP_BASE_URL || undefined });
+    case 'static':
+      return new StaticWhoisClient(env.WHOIS_STATIC_FILE ? JSON.parse(readFileSync(env.WHOIS_STATIC_FILE, 'utf8')) : {});
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown WHOIS_CLIENT "${env.WHOIS_CLIENT}". Expected none, rdap or static.`);
+  }
+}
+
+let activeWhoisClient = createWhoisClient();
+
+export function getWhoisClient() {
+  return activeWhoisClient;
+}
+
+// Replaces the process-wide registration client (tests and embedding code); null disables lookups
+export function setWhoisClient(client) {
+  activeWhoisClient = client;
+}
@@ -0,0 +1,27 @@
+// Error carrying the HTTP status the API should answer with
+export class AnalysisError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.status = status;
+  }
+}
+
+// Raised by the fetch safety policy for private, loopback or otherwise disallowed targets
+export class UnsafeUrlError extends AnalysisError {
+  constructor(message) {
+    super(`Target not allowed: ${message}`, 400);
+    this.name = 'UnsafeUrlError';
+    this.code = 'ERR_UNSAFE_URL';
+  }
+}
+
+// The caller went away (e.g. a streaming client disconnected) and the analysis was stopped.
+// 499 is the de facto "client closed request" status.
+export class CancelledError extends AnalysisError {
+  constructor(message = 'Analysis cancelled.') {
+    super(message, 499);
+    this.name = 'CancelledError';
+    this.code = 'ERR_CANCELLED';
+  }
+}
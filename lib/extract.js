@@ -0,0 +1,161 @@
+import { countWords } from './checks/helpers.js';
+
+// Main-content extraction in the spirit of Mozilla Readability: drop page chrome, score
+// paragraph containers by text length, commas and link density, then keep the best container
+// and its strong siblings. Works on a copy, the document itself is not modified.
+
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, iframe, object, embed, canvas, form, button, select, input, textarea';
+const CHROME_SELECTOR = 'nav, header, footer, aside, menu, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], ins.adsbygoogle';
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|cookie|newsletter|share/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const SCORED_TAGS = 'p, pre, td, blockquote, li, h2, h3';
+const MIN_PARAGRAPH_CHARS = 25;
+
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const classWeight = (element) => {
+  const names = `${element.className || ''} ${element.id || ''}`;
+  let weight = 0;
+  if (NEGATIVE_CLASS.test(names)) weight -= 25;
+  if (POSITIVE_CLASS.test(names)) weight += 25;
+  return weight;
+};
+
+const TAG_WEIGHTS = { div: 5, article: 10, main: 10, section: 3, pre: 3, td: 3, blockquote: 3, address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5 };
+
+// Share of an element's text that sits inside links
+export function linkDensity(element) {
+  const length = normalizeText(element.textContent).length;
+  if (length === 0) return 0;
+  const linkLength = Array.from(element.querySelectorAll('a')).reduce((sum, link) => sum + normalizeText(link.textContent).length, 0);
+  return linkLength / length;
+}
+
+// Visible text of the page: the body without scripts, styles and other non-content elements
+export function visibleText(doc) {
+  if (!doc.body) return '';
+  const body = doc.body.cloneNode(true);
+  body.querySelectorAll(NON_CONTENT_SELECTOR).forEach(el => el.remove());
+  return normalizeText(body.textContent);
+}
+
+// Returns { text, wordCount, paragraphs, method } where method is "readability" when a content
+// container was found and "fallback" when the cleaned body had to be used.
+export function extractMainContent(doc) {
+  if (!doc.body) return { text: '', wordCount: 0, paragraphs: 0, method: 'fallback' };
+
+  const body = doc.body.cloneNode(true);
+  body.querySelectorAll(NON_CONTENT_SELECTOR).forEach(el => el.remove());
+  const fallbackText = normalizeText(body.textContent);
+
+  body.querySelectorAll(CHROME_SELECTOR).forEach(el => el.remove());
+  Array.from(body.querySelectorAll('*')).forEach(el => {
+    const names = `${el.className || ''} ${el.id || ''}`;
+    if (!body.contains(el) || el.localName === 'a' || el.closest('article, main')) return;
+    if (UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATE.test(names)) el.remove();
+  });
+
+  const scores = new Map();
+  const initialize = (element) => {
+    if (!scores.has(element)) scores.set(element, (TAG_WEIGHTS[element.localName] || 0) + classWeight(element));
+  };
+
+  let paragraphs = 0;
+  body.querySelectorAll(SCORED_TAGS).forEach(node => {
+    const text = normalizeText(node.textContent);
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+    paragraphs++;
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = node.parentElement;
+    const grandparent = parent?.parentElement;
+    if (parent) {
+      initialize(parent);
+      scores.set(parent, scores.get(parent) + score);
+    }
+    if (grandparent) {
+      initialize(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + score / 2);
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity(element));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  }
+
+  if (!top) {
+    return { text: fallbackText, wordCount: countWords(fallbackText), paragraphs, method: 'fallback' };
+  }
+
+  // Siblings that score well or read like prose belong to the article too
+  const threshold = Math.max(10, topScore * 0.2);
+  const parts = Array.from(top.parentElement ? top.parentElement.children : [top]).filter(sibling => {
+    if (sibling === top) return true;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    const text = normalizeText(sibling.textContent);
+    return sibling.localName === 'p' && text.length > 80 && linkDensity(sibling) < 0.25;
+  });
+  const text = parts.map(part => normalizeText(part.textContent)).join(' ').trim();
+  return { text, wordCount: countWords(text), paragraphs, method: 'readability' };
+}
+
+// Syllables in an English word, by vowel groups; good enough for readability formulas
+const countSyllables = (word) => {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (clean.length <= 3) return clean ? 1 : 0;
+  const groups = clean.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+// Flesch Reading Ease (0-100, higher is easier) and Flesch-Kincaid grade level of English text
+export function readabilityScores(text) {
+  const words = (text || '').split(/\s+/).filter(word => /[a-z]/i.test(word));
+  const sentences = Math.max(1, ((text || '').match(/[^.!?]+[.!?]+/g) || []).length);
+  if (words.length === 0) {
+    return { words: 0, sentences: 0, wordsPerSentence: 0, fleschReadingEase: null, fleschKincaidGrade: null };
+  }
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const wordsPerSentence = words.length / sentences;
+  const syllablesPerWord = syllables / words.length;
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    words: words.length,
+    sentences,
+    wordsPerSentence: round(wordsPerSentence),
+    fleschReadingEase: round(Math.min(100, Math.max(0, 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord))),
+    fleschKincaidGrade: round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59))
+  };
+}
+
+// Below this much main content, readability and near-duplicate signals are not meaningful
+export const MIN_WORDS_FOR_QUALITY = 150;
+
+const cache = new WeakMap();
+
+// Content statistics for a page: extraction result, readability, text-to-HTML ratio and the share
+// of visible words outside the main content (navigation, footers, sidebars). Cached per document.
+export function analyzeContent(doc) {
+  if (cache.has(doc)) return cache.get(doc);
+
+  const main = extractMainContent(doc);
+  const visible = visibleText(doc);
+  const visibleWords = countWords(visible);
+  const htmlLength = doc.documentElement.outerHTML.length;
+  const stats = {
+    main,
+    visibleWordCount: visibleWords,
+    readability: readabilityScores(main.text),
+    textToHtmlRatio: htmlLength > 0 ? Math.round((visible.length / htmlLength) * 1000) / 10 : 0,
+    boilerplateShare: visibleWords > 0 ? Math.round(Math.max(0, 1 - main.wordCount / visibleWords) * 100) : 0
+  };
+  cache.set(doc, stats);
+  return stats;
+}
@@ -0,0 +1,157 @@
+import fetch from 'node-fetch';
+import { finished } from 'stream';
+import { CancelledError, UnsafeUrlError } from './errors.js';
+import { cacheInfo, getCacheConfig, readCache, writeCache } from './cache.js';
+import { assertUrlAllowed, getSafetyPolicy, safeAgentFor } from './safety.js';
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate',
+  'DNT': '1',
+  'Upgrade-Insecure-Requests': '1'
+};
+
+// Every outbound request goes through here. Redirects are followed by hand so each hop is
+// checked against the safety policy (scheme, port, resolved address); the body is capped at
+// `maxBytes` (node-fetch rejects while reading a larger body). `onRedirect({ from, to, status })`
+// is called for every hop followed. Aborting `options.signal` cancels the request with CancelledError.
+// The timeout and the signal cover reading the body too: they stay armed until the body has been
+// read, failed or been cut off, so a server that drips its body cannot hold the request open.
+export async function safeFetch(url, { signal, ...options } = {}, { timeoutMs = 30000, maxRedirects, maxBytes, onRedirect } = {}) {
+  const policy = getSafetyPolicy();
+  const redirectLimit = maxRedirects ?? policy.maxRedirects;
+  const requestTimeoutMs = policy.maxTimeoutMs ? Math.min(timeoutMs, policy.maxTimeoutMs) : timeoutMs;
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= redirectLimit; hop++) {
+    assertUrlAllowed(currentUrl, policy);
+    if (signal?.aborted) throw new CancelledError();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), requestTimeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+    const release = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    };
+    const abortError = () => (signal?.aborted
+      ? new CancelledError()
+      : new Error('Request timeout - website took too long to respond'));
+
+    let response;
+    try {
+      response = await fetch(currentUrl, {
+        ...options,
+        redirect: 'manual',
+        agent: safeAgentFor(policy),
+        size: maxBytes ?? policy.maxResponseBytes,
+        signal: controller.signal
+      });
+    } catch (error) {
+      release();
+      // node-fetch wraps the agent lookup's rejection in a FetchError that keeps only code and message
+      if (error.code === 'ERR_UNSAFE_URL') {
+        throw new UnsafeUrlError(error.message.replace(/^.*Target not allowed: /, ''));
+      }
+      if (error.name === 'AbortError') throw abortError();
+      throw error;
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.has('location')) {
+      release();
+      response.body?.resume();
+      const nextUrl = new URL(response.headers.get('location'), currentUrl).href;
+      onRedirect?.({ from: currentUrl, to: nextUrl, status: response.status });
+      currentUrl = nextUrl;
+      continue;
+    }
+
+    if (!response.body) {
+      release();
+      return response;
+    }
+    finished(response.body, release);
+    // Reading an aborted body rejects with node-fetch's AbortError; report it like an aborted request
+    for (const method of ['arrayBuffer', 'blob', 'buffer', 'json', 'text']) {
+      const read = response[method].bind(response);
+      response[method] = () => read().catch(error => {
+        throw error.name === 'AbortError' ? abortError() : error;
+      });
+    }
+    return response;
+  }
+
+  throw new Error(`Too many redirects (more than ${redirectLimit})`);
+}
+
+// Fetch with browser request headers; failures propagate to the caller, which reports them
+export function fetchWithRedirects(url, options = {}, { maxRedirects, onRedirect } = {}) {
+  return safeFetch(url, { ...options, headers: { ...BROWSER_HEADERS, ...options.headers } }, { maxRedirects, onRedirect });
+}
+
+// Fetch with a short timeout, used for small auxiliary files (sitemaps, robots.txt, ...)
+export async function fetchWithTimeout(url, options = {}, timeoutMs = 8000, maxBytes) {
+  return safeFetch(url, {
+    ...options,
+    headers: { 'User-Agent': 'AdSense-Analyzer-Bot/1.0', ...options.headers }
+  }, { timeoutMs, maxBytes });
+}
+
+// Responses worth keeping: successes and "does not exist" (a missing ads.txt is an answer too)
+const CACHEABLE_STATUSES = [200, 203, 404, 410];
+
+// Fetches `url` through the resource cache and resolves to a plain snapshot
+//   { url, ok, status, statusText, headers, text, responseTime, downloadTime, fetchedAt, cache }
+// where `url` is the final URL after redirects, `headers` is an object of lower-case names,
+// `responseTime` is the time to the response headers and `downloadTime` the time to read the body.
+// Snapshots younger than the cache TTL are served as they are; older ones are revalidated with
+// If-None-Match / If-Modified-Since and reused on 304. `fresh` skips the cache lookup.
+// `fetcher(url, init)` performs the request (fetchWithTimeout by default); `signal` cancels it.
+export async function fetchCached(url, { fresh = false, fetcher = fetchWithTimeout, signal } = {}) {
+  const { ttlMs, revalidateMs } = getCacheConfig();
+  const key = `fetch:${url}`;
+  const stored = fresh ? undefined : await readCache(key);
+  if (stored && Date.now() - stored.fetchedAt < ttlMs) {
+    return { ...stored, cache: cacheInfo('hit', stored.fetchedAt) };
+  }
+
+  const conditional = {};
+  if (stored?.headers.etag) conditional['If-None-Match'] = stored.headers.etag;
+  if (stored?.headers['last-modified']) conditional['If-Modified-Since'] = stored.headers['last-modified'];
+
+  const started = Date.now();
+  const res = await fetcher(url, { headers: conditional, signal });
+  const responseTime = Date.now() - started;
+
+  if (res.status === 304 && stored) {
+    const renewed = { ...stored, fetchedAt: Date.now() };
+    await writeCache(key, renewed, revalidateMs);
+    return { ...renewed, cache: cacheInfo('revalidated', renewed.fetchedAt) };
+  }
+
+  const text = await res.text();
+  const snapshot = {
+    url: res.url || url,
+    ok: res.ok,
+    status: res.status,
+    statusText: res.statusText,
+    headers: Object.fromEntries(res.headers.entries()),
+    text,
+    responseTime,
+    downloadTime: Date.now() - started - responseTime,
+    fetchedAt: Date.now()
+  };
+  if (CACHEABLE_STATUSES.includes(res.status)) {
+    await writeCache(key, snapshot, revalidateMs);
+  }
+  return { ...snapshot, cache: cacheInfo(fresh ? 'bypass' : 'miss', snapshot.fetchedAt) };
+}
+
+// Fetches a small text file such as robots.txt; network errors propagate to the caller
+export async function fetchTextFile(url, timeoutMs = 8000, { fresh, signal } = {}) {
+  const res = await fetchCached(url, { fresh, signal, fetcher: (target, init) => fetchWithTimeout(target, init, timeoutMs) });
+  return { ok: res.ok, status: res.status, text: res.ok ? res.text : '' };
+}
@@ -0,0 +1,160 @@
+import { createHash, randomBytes } from 'crypto';
+import { appendFile, mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_HISTORY_DIR = path.join(process.cwd(), 'data', 'history');
+
+// Key under which runs of the same site are grouped: scheme, "www.", default ports,
+// fragments and trailing slashes are ignored so "http://www.example.com/" and
+// "example.com" share one history.
+export function normalizeHistoryUrl(url) {
+  const parsed = new URL(/^https?:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`);
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  return `${host}${port}${pathname}${parsed.search}`;
+}
+
+function createRunId() {
+  return `${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`;
+}
+
+// Score and per-check statuses of a stored result. Crawl results are summarized by the
+// site average score and the start page checks.
+function summarizeResult(result) {
+  if (result.mode === 'crawl') {
+    return { score: result.site.averageScore, checks: result.pages[0]?.checks || [] };
+  }
+  return { score: result.score, checks: result.checks };
+}
+
+function buildRun(requestedUrl, result) {
+  const { score } = summarizeResult(result);
+  return {
+    id: createRunId(),
+    url: normalizeHistoryUrl(requestedUrl),
+    requestedUrl,
+    finalResolvedUrl: result.finalResolvedUrl || result.startUrl,
+    mode: result.mode || 'page',
+    createdAt: new Date().toISOString(),
+    score,
+    result
+  };
+}
+
+const toSummary = ({ result, ...summary }) => summary;
+
+// Stores each run as <dir>/runs/<id>.json and appends its summary to a per-URL index
+// (<dir>/index/<sha1 of normalized URL>.jsonl), so listing never reads full results.
+export class FileHistoryStore {
+  constructor(dir = DEFAULT_HISTORY_DIR) {
+    this.dir = dir;
+  }
+
+  indexPath(url) {
+    return path.join(this.dir, 'index', `${createHash('sha1').update(url).digest('hex')}.jsonl`);
+  }
+
+  runPath(id) {
+    // Ids are generated by createRunId(); anything else could escape the directory
+    if (!/^[a-z0-9]+-[a-f0-9]{8}$/.test(id)) return null;
+    return path.join(this.dir, 'runs', `${id}.json`);
+  }
+
+  async save(requestedUrl, result) {
+    const run = buildRun(requestedUrl, result);
+    await mkdir(path.join(this.dir, 'runs'), { recursive: true });
+    await mkdir(path.join(this.dir, 'index'), { recursive: true });
+    await writeFile(this.runPath(run.id), JSON.stringify(run));
+    await appendFile(this.indexPath(run.url), `${JSON.stringify(toSummary(run))}\n`);
+    return toSummary(run);
+  }
+
+  // Newest first
+  async list(url, { limit = 50 } = {}) {
+    let text;
+    try {
+      text = await readFile(this.indexPath(normalizeHistoryUrl(url)), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line)).reverse().slice(0, limit);
+  }
+
+  async get(id) {
+    const file = this.runPath(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Keeps runs in process memory; used when HISTORY_STORE=memory
+export class MemoryHistoryStore {
+  constructor() {
+    this.runs = new Map();
+  }
+
+  async save(requestedUrl, result) {
+    const run = buildRun(requestedUrl, result);
+    this.runs.set(run.id, run);
+    return toSummary(run);
+  }
+
+  async list(url, { limit = 50 } = {}) {
+    const key = normalizeHistoryUrl(url);
+    return Array.from(this.runs.values())
+      .filter(run => run.url === key)
+      .reverse()
+      .slice(0, limit)
+      .map(toSummary);
+  }
+
+  async get(id) {
+    return this.runs.get(id) || null;
+  }
+}
+
+// Store selected by HISTORY_STORE ("file", the default, or "memory") and HISTORY_DIR
+export function createHistoryStore(env = process.env) {
+  if (env.HISTORY_STORE === 'memory') return new MemoryHistoryStore();
+  return new FileHistoryStore(env.HISTORY_DIR || DEFAULT_HISTORY_DIR);
+}
+
+// Compares two stored runs: score movement and every check whose status changed,
+// matched by check id (or name for runs stored before checks had ids).
+export function diffRuns(from, to) {
+  const before = summarizeResult(from.result);
+  const after = summarizeResult(to.result);
+  const keyOf = check => check.id || check.name;
+  const beforeChecks = new Map(before.checks.map(check => [keyOf(check), check]));
+  const afterChecks = new Map(after.checks.map(check => [keyOf(check), check]));
+
+  const changed = [];
+  let unchanged = 0;
+  for (const [key, check] of afterChecks) {
+    const previous = beforeChecks.get(key);
+    if (!previous) continue;
+    if (previous.status === check.status) {
+      unchanged++;
+    } else {
+      changed.push({ id: check.id, name: check.name, from: previous.status, to: check.status, message: check.message });
+    }
+  }
+
+  const describe = check => ({ id: check.id, name: check.name, status: check.status });
+  return {
+    from: toSummary(from),
+    to: toSummary(to),
+    scoreChange: after.score - before.score,
+    changed,
+    added: after.checks.filter(check => !beforeChecks.has(keyOf(check))).map(describe),
+    removed: before.checks.filter(check => !afterChecks.has(keyOf(check))).map(describe),
+    unchanged
+  };
+}
@@ -0,0 +1,135 @@
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+
+export const DEFAULT_JOB_CONCURRENCY = 3;
+// Minimum pause between two analyses of the same host
+export const DEFAULT_HOST_DELAY_MS = 2000;
+// Finished jobs are kept this long for polling, then dropped
+export const DEFAULT_JOB_TTL_MS = 60 * 60 * 1000;
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+};
+
+// In-process queue for batch analyses. Items of all jobs share one pool of `concurrency`
+// slots; a host never has two analyses in flight and waits `hostDelayMs` between them.
+// Each job emits 'item' (an item finished), 'progress' and 'done' events on job.events.
+export class JobQueue {
+  constructor(runItem, options = {}) {
+    this.runItem = runItem;
+    this.concurrency = options.concurrency || DEFAULT_JOB_CONCURRENCY;
+    this.hostDelayMs = options.hostDelayMs ?? DEFAULT_HOST_DELAY_MS;
+    this.jobTtlMs = options.jobTtlMs ?? DEFAULT_JOB_TTL_MS;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.busyHosts = new Set();
+    this.lastRunByHost = new Map();
+    this.timer = null;
+  }
+
+  // `urls` must already be validated; `options` are passed to runItem for every URL
+  createJob(urls, options = {}) {
+    const job = {
+      id: randomBytes(8).toString('hex'),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      options,
+      items: urls.map((url, index) => ({ index, url, host: hostOf(url), status: 'queued', result: null, error: null })),
+      events: new EventEmitter()
+    };
+    this.jobs.set(job.id, job);
+    job.items.forEach(item => this.pending.push({ job, item }));
+    this.schedule();
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id);
+  }
+
+  progress(job) {
+    const count = status => job.items.filter(item => item.status === status).length;
+    return {
+      total: job.items.length,
+      queued: count('queued'),
+      running: count('running'),
+      completed: count('completed'),
+      failed: count('failed')
+    };
+  }
+
+  // Public view of a job, without the emitter and internal fields
+  describe(job, { includeResults = true } = {}) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      progress: this.progress(job),
+      items: job.items.map(({ host, result, ...item }) => (includeResults ? { ...item, result } : item))
+    };
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    let nextWait = Infinity;
+    for (let i = 0; i < this.pending.length && this.running < this.concurrency;) {
+      const { item } = this.pending[i];
+      const wait = (this.lastRunByHost.get(item.host) || 0) + this.hostDelayMs - Date.now();
+      if (this.busyHosts.has(item.host)) {
+        i++;
+      } else if (wait > 0) {
+        nextWait = Math.min(nextWait, wait);
+        i++;
+      } else {
+        const [entry] = this.pending.splice(i, 1);
+        this.start(entry);
+      }
+    }
+
+    // Some items are only waiting for their host's politeness delay
+    if (nextWait !== Infinity) {
+      this.timer = setTimeout(() => this.schedule(), nextWait);
+      this.timer.unref?.();
+    }
+  }
+
+  async start({ job, item }) {
+    this.running++;
+    this.busyHosts.add(item.host);
+    item.status = 'running';
+    job.status = 'running';
+    job.events.emit('progress', this.progress(job));
+
+    try {
+      item.result = await this.runItem(item.url, job.options);
+      item.status = 'completed';
+    } catch (error) {
+      item.error = error.message;
+      item.status = 'failed';
+    }
+
+    this.running--;
+    this.busyHosts.delete(item.host);
+    this.lastRunByHost.set(item.host, Date.now());
+    job.events.emit('item', { index: item.index, url: item.url, status: item.status, result: item.result, error: item.error });
+    job.events.emit('progress', this.progress(job));
+
+    if (job.items.every(entry => entry.status === 'completed' || entry.status === 'failed')) {
+      job.status = 'completed';
+      job.finishedAt = new Date().toISOString();
+      job.events.emit('done', this.describe(job, { includeResults: false }));
+      const cleanup = setTimeout(() => this.jobs.delete(job.id), this.jobTtlMs);
+      cleanup.unref?.();
+    }
+    this.schedule();
+  }
+}
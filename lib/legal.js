@@ -0,0 +1,105 @@
+import { countWords } from './checks/helpers.js';
+
+// Content analysis of the legal and trust pages. Each analyzer takes a page loaded with
+// loadPage() and returns { url, status, wordCount, findings, missing } where `findings` maps
+// each requirement to true/false and `missing` lists the unmet ones in plain words.
+
+export const MIN_WORDS = { privacy: 300, terms: 200, about: 100, contact: 20 };
+
+// What AdSense requires a privacy policy to disclose (AdSense Program policies, "Privacy")
+const PRIVACY_REQUIREMENTS = {
+  cookies: { label: 'use of cookies', test: text => /cookie/i.test(text) },
+  thirdPartyAds: {
+    label: 'third-party vendors serving ads',
+    test: text => /third[\s-]part(y|ies)/i.test(text) && /advertis/i.test(text)
+  },
+  googleDataUse: {
+    label: "Google's use of advertising cookies and data",
+    test: (text, doc) => /google/i.test(text) && (
+      /(advertising|dart|doubleclick)\s+cookie/i.test(text) ||
+      /how google uses/i.test(text) ||
+      Array.from(doc.querySelectorAll('a[href]')).some(a => /policies\.google\.com|google\.com\/(policies|settings\/ads)|adssettings\.google/i.test(a.getAttribute('href')))
+    )
+  },
+  optOut: {
+    label: 'how users can opt out of personalized ads',
+    test: text => /opt[\s-]?out|ads settings|aboutads\.info|youronlinechoices/i.test(text)
+  }
+};
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+(@|\s?\[at\]\s?)[A-Z0-9.-]+(\.|\s?\[dot\]\s?)[A-Z]{2,}/i;
+const STREET_PATTERN = /\b\d{1,5}\s+([A-Z][\w.]*\s+){1,4}(street|st\.?|avenue|ave\.?|road|rd\.?|boulevard|blvd\.?|lane|ln\.?|drive|dr\.?|way|suite)\b/i;
+const POSTCODE_PATTERN = /\b([A-Z]{2}\s+\d{5}(-\d{4})?|[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}|\d{5}\s+[A-Z][a-z]+|P\.?O\.? Box \d+)\b/;
+
+function baseReport(page, kind) {
+  const wordCount = page.ok ? countWords(page.text) : 0;
+  return {
+    url: page.url,
+    status: page.status,
+    reachable: page.ok,
+    error: page.ok ? undefined : page.error,
+    wordCount,
+    hasContent: wordCount >= MIN_WORDS[kind]
+  };
+}
+
+function withRequirements(report, requirements) {
+  const findings = Object.fromEntries(Object.entries(requirements).map(([key, found]) => [key, Boolean(found)]));
+  return { ...report, findings };
+}
+
+export function analyzePrivacyPolicy(page) {
+  const report = baseReport(page, 'privacy');
+  if (!page.ok) return { ...report, findings: {}, missing: [] };
+
+  const findings = {};
+  const missing = [];
+  for (const [key, requirement] of Object.entries(PRIVACY_REQUIREMENTS)) {
+    findings[key] = requirement.test(page.text, page.doc);
+    if (!findings[key]) missing.push(requirement.label);
+  }
+  return { ...report, findings, missing };
+}
+
+export function analyzeTermsPage(page) {
+  const report = baseReport(page, 'terms');
+  if (!page.ok) return { ...report, findings: {}, missing: [] };
+
+  const result = withRequirements(report, {
+    termsLanguage: /terms|conditions|agreement/i.test(page.text),
+    liability: /liabilit|warrant/i.test(page.text)
+  });
+  const missing = [];
+  if (!result.findings.termsLanguage) missing.push('terms or conditions wording');
+  if (!result.findings.liability) missing.push('liability or warranty disclaimer');
+  return { ...result, missing };
+}
+
+export function analyzeAboutPage(page) {
+  const report = baseReport(page, 'about');
+  return { ...report, findings: {}, missing: page.ok && !report.hasContent ? ['a description of the site or its authors'] : [] };
+}
+
+// Whether JSON-LD data holds a PostalAddress anywhere, such as an Organization's address
+function hasPostalAddress(value) {
+  if (Array.isArray(value)) return value.some(hasPostalAddress);
+  if (!value || typeof value !== 'object') return false;
+  const types = Array.isArray(value['@type']) ? value['@type'] : [value['@type']];
+  return types.includes('PostalAddress') || Object.values(value).some(hasPostalAddress);
+}
+
+export function analyzeContactPage(page) {
+  const report = baseReport(page, 'contact');
+  if (!page.ok) return { ...report, findings: {}, missing: [] };
+
+  const { doc, text } = page;
+  const result = withRequirements(report, {
+    form: Array.from(doc.querySelectorAll('form')).some(form => form.querySelector('textarea, input:not([type="hidden"]):not([type="search"])')),
+    email: Boolean(doc.querySelector('a[href^="mailto:" i]')) || EMAIL_PATTERN.test(text),
+    postalAddress: Boolean(doc.querySelector('address')) || hasPostalAddress(page.jsonLd || []) ||
+      STREET_PATTERN.test(text) || POSTCODE_PATTERN.test(text)
+  });
+  const hasMethod = Object.values(result.findings).some(Boolean);
+  // A contact page only needs one way to reach the owner
+  return { ...result, hasContent: report.hasContent || hasMethod, missing: hasMethod ? [] : ['a contact form, email address or postal address'] };
+}
@@ -0,0 +1,198 @@
+import { randomUUID } from 'crypto';
+import { JSDOM } from 'jsdom';
+import { safeFetch } from './fetcher.js';
+import { UnsafeUrlError } from './errors.js';
+import { siteResource } from './resources.js';
+import { extractMainContent } from './extract.js';
+import { hammingDistance, simhash } from './simhash.js';
+
+// Link and resource integrity: requests the internal links, images, stylesheets and scripts of a
+// page with a concurrency limit and records status codes, redirect chains and soft 404s.
+// Results are memoized in the site cache so a crawl requests each URL once.
+
+export const DEFAULT_LINK_CONCURRENCY = 5;
+// Requests per page; stylesheets and scripts come first, then images, then links
+export const DEFAULT_MAX_LINKS = 60;
+const LINK_TIMEOUT_MS = 8000;
+// Internal pages are read to spot soft 404s; larger pages keep their status but get no signature
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const REQUEST_HEADERS = { 'User-Agent': 'AdSense-Analyzer-Bot/1.0' };
+// Pages within this simhash distance of the site's not-found page are treated as the same page
+const NOT_FOUND_DISTANCE = 6;
+const NOT_FOUND_TITLE = /\b(404|not found|page (?:does not|doesn't) exist|no longer available)\b/i;
+
+const KIND_ORDER = ['stylesheet', 'script', 'image', 'link'];
+
+// Every http(s) resource on the page: [{ url, kind, count }]. Links are limited to the page's host
+// since only internal links reflect the site's own maintenance.
+export function collectResources(doc, pageUrl) {
+  const pageHost = new URL(pageUrl).hostname;
+  const found = new Map();
+  const add = (value, kind) => {
+    if (!value) return;
+    let url;
+    try {
+      url = new URL(value.trim(), pageUrl);
+    } catch (e) {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol)) return;
+    if (kind === 'link' && url.hostname !== pageHost) return;
+    url.hash = '';
+    const key = `${kind} ${url.href}`;
+    if (found.has(key)) {
+      found.get(key).count++;
+    } else {
+      found.set(key, { url: url.href, kind, count: 1 });
+    }
+  };
+
+  doc.querySelectorAll('link[rel~="stylesheet" i][href]').forEach(el => add(el.getAttribute('href'), 'stylesheet'));
+  doc.querySelectorAll('script[src]').forEach(el => add(el.getAttribute('src'), 'script'));
+  doc.querySelectorAll('img[src]').forEach(el => add(el.getAttribute('src'), 'image'));
+  doc.querySelectorAll('a[href]').forEach(el => add(el.getAttribute('href'), 'link'));
+  return Array.from(found.values()).sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+}
+
+// Subresources loaded over plain HTTP by an HTTPS page. Scripts, stylesheets and frames are
+// blocked by browsers ("active"); images and media are upgraded or shown with a warning ("passive").
+export function findMixedContent(doc, pageUrl) {
+  if (new URL(pageUrl).protocol !== 'https:') return { active: [], passive: [] };
+  const insecure = (selector, attribute) => Array.from(doc.querySelectorAll(selector))
+    .map(el => {
+      try {
+        return new URL(el.getAttribute(attribute).trim(), pageUrl);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(url => url && url.protocol === 'http:')
+    .map(url => url.href);
+  return {
+    active: [
+      ...insecure('script[src]', 'src'),
+      ...insecure('link[rel~="stylesheet" i][href]', 'href'),
+      ...insecure('iframe[src]', 'src'),
+      ...insecure('form[action]', 'action')
+    ],
+    passive: [
+      ...insecure('img[src]', 'src'),
+      ...insecure('video[src], audio[src], source[src]', 'src')
+    ]
+  };
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep the input order
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Title and main-content fingerprint of an HTML body, for comparing pages with the not-found probe.
+// Navigation and footers are left out so pages of one template do not all look alike.
+export function pageSignature(text) {
+  const doc = new JSDOM(text).window.document;
+  return { title: doc.title.trim(), simhash: simhash(extractMainContent(doc).text) };
+}
+
+async function request(url, method, signal, onRedirect) {
+  return safeFetch(url, { method, headers: REQUEST_HEADERS, signal }, { timeoutMs: LINK_TIMEOUT_MS, maxBytes: MAX_PAGE_BYTES, onRedirect });
+}
+
+// The signature of an HTML response, or null when the body is over MAX_PAGE_BYTES
+async function readSignature(res) {
+  if (parseInt(res.headers.get('content-length'), 10) > MAX_PAGE_BYTES) {
+    res.body?.resume?.();
+    return null;
+  }
+  try {
+    return pageSignature(await res.text());
+  } catch (error) {
+    if (error.type === 'max-size') return null;
+    throw error;
+  }
+}
+
+// Requests one URL: HEAD for files, GET for internal pages (their body is needed for soft-404
+// detection) and as a fallback for servers that refuse HEAD.
+// Resolves to { url, kind, status, ok, finalUrl, redirects, error, blocked, signature? }; never rejects.
+// `blocked` marks URLs the safety policy refused to request, whose status is unknown.
+export function checkResource(siteCache, { url, kind }) {
+  return siteResource(siteCache, `link:${kind}:${url}`, async () => {
+    const redirects = [];
+    const onRedirect = (hop) => redirects.push(hop);
+    try {
+      let res = await request(url, kind === 'link' ? 'GET' : 'HEAD', siteCache?.signal, onRedirect);
+      if (kind !== 'link' && [403, 405, 501].includes(res.status)) {
+        redirects.length = 0;
+        res = await request(url, 'GET', siteCache?.signal, onRedirect);
+      }
+      const result = { url, kind, status: res.status, ok: res.ok, finalUrl: res.url || url, redirects, error: null, blocked: false };
+      if (kind === 'link' && res.ok && (res.headers.get('content-type') || '').includes('text/html')) {
+        result.signature = await readSignature(res);
+      } else {
+        res.body?.resume?.();
+      }
+      return result;
+    } catch (error) {
+      return { url, kind, status: null, ok: false, finalUrl: url, redirects, error: error.message, blocked: error instanceof UnsafeUrlError };
+    }
+  });
+}
+
+// Requests a random path that cannot exist to learn how the site answers missing pages.
+// Resolves to { url, finalUrl, status, softNotFound, signature } or { url, error }. A probe that was
+// redirected (often to the homepage) has no signature: the page it landed on is a real page.
+export function probeNotFound(siteCache, origin) {
+  return siteResource(siteCache, `probe:not-found:${origin}`, async () => {
+    const url = `${origin}/${randomUUID()}-adsense-analyzer-probe`;
+    try {
+      const redirects = [];
+      const res = await request(url, 'GET', siteCache?.signal, hop => redirects.push(hop));
+      const html = redirects.length === 0 && (res.headers.get('content-type') || '').includes('text/html');
+      const signature = html ? await readSignature(res) : null;
+      if (!html) res.body?.resume?.();
+      return { url, finalUrl: res.url || url, status: res.status, softNotFound: res.ok, signature };
+    } catch (error) {
+      return { url, error: error.message };
+    }
+  });
+}
+
+// Whether a page with `signature` looks like the not-found page the probe received, or says so in its
+// title. Content is only compared with a probe that answered an error status: when missing pages
+// answer 2xx, the probe may have landed on an ordinary page (a catch-all route or the homepage)
+// and every page resembling it would be flagged. That case is the site-level soft-404 warning.
+export function looksNotFound(signature, probe) {
+  if (!signature) return false;
+  if (NOT_FOUND_TITLE.test(signature.title)) return true;
+  const probeSignature = probe?.status >= 400 ? probe.signature : null;
+  if (!probeSignature || !signature.simhash || !probeSignature.simhash) return false;
+  return hammingDistance(signature.simhash, probeSignature.simhash) <= NOT_FOUND_DISTANCE;
+}
+
+// Checks the page's links and resources. Resolves to { checked, skipped, blocked, results } where each
+// result carries `softNotFound` for internal pages that answer 200 with not-found content. URLs the
+// safety policy does not allow are counted in `blocked` and left out of `results`.
+export async function scanLinks(doc, pageUrl, siteCache, { concurrency = DEFAULT_LINK_CONCURRENCY, maxLinks = DEFAULT_MAX_LINKS } = {}) {
+  const pageKey = new URL(pageUrl);
+  pageKey.hash = '';
+  const resources = collectResources(doc, pageUrl).filter(resource => resource.url !== pageKey.href);
+  const selected = resources.slice(0, maxLinks);
+
+  const probe = await probeNotFound(siteCache, new URL(pageUrl).origin);
+  const scanned = await mapLimit(selected, concurrency, async resource => {
+    const { signature, ...result } = await checkResource(siteCache, resource);
+    return { ...result, count: resource.count, softNotFound: result.ok && result.kind === 'link' && looksNotFound(signature, probe) };
+  });
+  const results = scanned.filter(result => !result.blocked);
+  return { checked: results.length, skipped: resources.length - selected.length, blocked: scanned.length - results.length, results };
+}
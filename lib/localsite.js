@@ -0,0 +1,127 @@
+import http from 'http';
+import path from 'path';
+import { readFile, stat } from 'fs/promises';
+
+// Serves a directory over HTTP on a loopback port, standing in for a real site in tests and in
+// offline runs (bin/analyze-local.js). Nothing here is reachable from outside the machine.
+
+export const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf'
+};
+const TEXT_TYPE = /^(text\/|application\/(xml|json))|\+xml/;
+
+// Reads `pathname` below `root`; directories serve their index.html. Null when missing or outside root.
+async function readStatic(root, pathname) {
+  let file = path.join(root, decodeURIComponent(pathname));
+  if (file !== root && !file.startsWith(`${root}${path.sep}`)) return null;
+  try {
+    if ((await stat(file)).isDirectory()) file = path.join(file, 'index.html');
+    return { body: await readFile(file), contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Starts the server and resolves to { origin, port, pending(), close() }; pending() counts the
+// responses still being sent. Files are served with a content type
+// by extension and `{{origin}}` in text files is replaced by the server's origin, so robots.txt and
+// sitemaps can hold absolute URLs. Missing paths answer 404 with the site's 404.html when it has one.
+// `routes` override single paths:
+//   { redirect: '/new', status: 301 }               redirect
+//   { delayMs: 5000 }                               answer late (before serving the file or body)
+//   { dripMs: 200 }                                 send the headers at once, then one byte of the body per interval
+//   { status, contentType, body, headers }          fixed response instead of a file
+export async function startSiteServer(root, { routes = {}, host = '127.0.0.1', port = 0 } = {}) {
+  const siteRoot = path.resolve(root);
+  const timers = new Set();
+  const open = new Set();
+  let origin;
+
+  const respond = async (req, res) => {
+    const { pathname } = new URL(req.url, origin);
+    const route = routes[pathname] || {};
+    const send = (status, headers, body) => {
+      res.writeHead(status, { 'Content-Length': Buffer.byteLength(body), ...headers });
+      if (!route.dripMs || req.method === 'HEAD') return res.end(req.method === 'HEAD' ? undefined : body);
+      res.flushHeaders();
+      const bytes = Buffer.from(body);
+      let sent = 0;
+      const timer = setInterval(() => {
+        res.write(bytes.subarray(sent, ++sent));
+        if (sent >= bytes.length) stop();
+      }, route.dripMs);
+      const stop = () => {
+        clearInterval(timer);
+        timers.delete(timer);
+        res.end();
+      };
+      timers.add(timer);
+      res.on('close', stop);
+    };
+
+    if (route.redirect) {
+      res.writeHead(route.status || 302, { Location: route.redirect });
+      return res.end();
+    }
+    if (route.body !== undefined) {
+      return send(route.status || 200, { 'Content-Type': route.contentType || 'text/html; charset=utf-8', ...route.headers }, route.body);
+    }
+
+    let status = route.status || 200;
+    let file = await readStatic(siteRoot, pathname);
+    if (!file) {
+      status = 404;
+      file = (await readStatic(siteRoot, '/404.html')) || { body: Buffer.from('Not found'), contentType: 'text/plain; charset=utf-8' };
+    }
+    const body = TEXT_TYPE.test(file.contentType) ? file.body.toString('utf8').replaceAll('{{origin}}', origin) : file.body;
+    send(status, { 'Content-Type': route.contentType || file.contentType, ...route.headers }, body);
+  };
+
+  const server = http.createServer((req, res) => {
+    open.add(res);
+    res.on('close', () => open.delete(res));
+    const { delayMs } = routes[new URL(req.url, 'http://localhost').pathname] || {};
+    const handle = () => respond(req, res).catch(error => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+    });
+    if (!delayMs) return handle();
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      handle();
+    }, delayMs);
+    timers.add(timer);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  origin = `http://${host}:${address.port}`;
+
+  return {
+    origin,
+    port: address.port,
+    pending: () => open.size,
+    close: () => new Promise(resolve => {
+      timers.forEach(clearTimeout);
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
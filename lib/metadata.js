@@ -0,0 +1,174 @@
+// SEO metadata of a parsed page: JSON-LD structured data, canonical link, robots directives,
+// Open Graph / Twitter Card tags and hreflang alternates. Everything here reads the document and
+// response headers only; fetching alternates for hreflang reciprocity is left to the check.
+
+// Properties a JSON-LD item needs to be usable, following Google's structured data guidelines.
+// Subtypes share their parent's requirements.
+export const REQUIRED_PROPERTIES = {
+  Article: ['headline', 'author', 'datePublished'],
+  Organization: ['name', 'url'],
+  BreadcrumbList: ['itemListElement']
+};
+const TYPE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  ScholarlyArticle: 'Article',
+  Report: 'Article',
+  Corporation: 'Organization',
+  NewsMediaOrganization: 'Organization',
+  LocalBusiness: 'Organization',
+  OnlineStore: 'Organization'
+};
+
+// Crawlers whose directives matter for AdSense: search indexing and the AdSense crawler
+const RELEVANT_AGENTS = ['robots', 'googlebot', 'mediapartners-google'];
+// Directives that take a value after a colon, as opposed to "agent: directive"
+const VALUE_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+export const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:image', 'og:url', 'og:type'];
+export const TWITTER_TAGS = ['twitter:card', 'twitter:title', 'twitter:description', 'twitter:image'];
+// Twitter falls back to these Open Graph tags when its own are missing
+const TWITTER_FALLBACKS = { 'twitter:title': 'og:title', 'twitter:description': 'og:description', 'twitter:image': 'og:image' };
+
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+const resolve = (value, pageUrl) => {
+  try {
+    const url = new URL(value, pageUrl);
+    url.hash = '';
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+};
+
+// URLs that differ only in a trailing slash or default port point at the same page
+export const sameUrl = (a, b) => {
+  const normalize = (value) => resolve(value)?.replace(/\/$/, '');
+  return Boolean(a && b) && normalize(a) === normalize(b);
+};
+
+const asArray = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+function validateItem(item, path) {
+  const types = asArray(item['@type']).map(String);
+  const result = { types, path, missing: [], errors: [] };
+  if (types.length === 0) {
+    result.errors.push('no @type');
+    return result;
+  }
+
+  for (const type of types) {
+    const base = TYPE_ALIASES[type] || type;
+    for (const property of REQUIRED_PROPERTIES[base] || []) {
+      if (isEmpty(item[property])) result.missing.push(property);
+    }
+    if (base === 'BreadcrumbList') {
+      asArray(item.itemListElement).forEach((element, index) => {
+        const isLast = index === asArray(item.itemListElement).length - 1;
+        if (typeof element !== 'object' || element === null) {
+          result.errors.push(`itemListElement[${index}] is not a ListItem`);
+          return;
+        }
+        if (!Number.isInteger(Number(element.position))) result.errors.push(`itemListElement[${index}] has no numeric position`);
+        if (isEmpty(element.name) && isEmpty(element.item?.name)) result.errors.push(`itemListElement[${index}] has no name`);
+        // Only the last crumb (the current page) may omit its URL
+        if (!isLast && isEmpty(element.item)) result.errors.push(`itemListElement[${index}] has no item URL`);
+      });
+    }
+  }
+  return result;
+}
+
+// Every JSON-LD block on the page: [{ index, valid, error, items }] where `items` are the typed
+// objects found (top level and @graph) with missing required properties and other errors.
+export function parseJsonLd(doc) {
+  return Array.from(doc.querySelectorAll('script[type="application/ld+json" i]')).map((script, index) => {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (error) {
+      return { index, valid: false, error: error.message, items: [] };
+    }
+    const items = [];
+    asArray(data).forEach((entry, entryIndex) => {
+      if (typeof entry !== 'object' || entry === null) return;
+      const prefix = Array.isArray(data) ? `[${entryIndex}]` : '';
+      if (Array.isArray(entry['@graph'])) {
+        entry['@graph'].forEach((node, nodeIndex) => {
+          if (typeof node === 'object' && node !== null) items.push(validateItem(node, `${prefix}@graph[${nodeIndex}]`));
+        });
+      } else {
+        items.push(validateItem(entry, prefix || '$'));
+      }
+    });
+    return { index, valid: true, error: null, items };
+  });
+}
+
+// rel="canonical" from the markup and the Link header: { urls, sources, matchesPage }
+export function findCanonical(doc, pageUrl, headers = {}) {
+  const sources = Array.from(doc.querySelectorAll('link[rel~="canonical" i][href]'))
+    .map(link => ({ source: 'link', url: resolve(link.getAttribute('href'), pageUrl) }));
+  for (const part of (headers.link || '').split(/,(?=\s*<)/)) {
+    const match = part.match(/<([^>]+)>\s*;.*rel="?canonical"?/i);
+    if (match) sources.push({ source: 'header', url: resolve(match[1], pageUrl) });
+  }
+  const urls = [...new Set(sources.map(source => source.url))];
+  return { urls, sources, matchesPage: urls.length === 1 && sameUrl(urls[0], pageUrl) };
+}
+
+const parseDirectives = (value, agent, origin) => {
+  const found = [];
+  let currentAgent = agent;
+  for (const token of value.split(',').map(part => part.trim().toLowerCase()).filter(Boolean)) {
+    const prefixed = token.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+    let directive = token;
+    if (prefixed && !VALUE_DIRECTIVES.includes(prefixed[1])) {
+      currentAgent = prefixed[1];
+      directive = prefixed[2];
+    }
+    if (directive) found.push({ agent: currentAgent, directive, source: origin });
+  }
+  return found;
+};
+
+// Robots directives from <meta name="robots|googlebot|..."> and X-Robots-Tag that apply to Google
+// or the AdSense crawler: { noindex, nofollow, directives: [{ agent, directive, source }] }
+export function robotsDirectives(doc, headers = {}) {
+  const directives = [];
+  doc.querySelectorAll('meta[name][content]').forEach(meta => {
+    const name = meta.getAttribute('name').toLowerCase();
+    if (RELEVANT_AGENTS.includes(name)) directives.push(...parseDirectives(meta.getAttribute('content'), name, 'meta'));
+  });
+  if (headers['x-robots-tag']) {
+    directives.push(...parseDirectives(headers['x-robots-tag'], 'robots', 'header'));
+  }
+  const relevant = directives.filter(entry => RELEVANT_AGENTS.includes(entry.agent));
+  const has = (...names) => relevant.some(entry => names.includes(entry.directive));
+  return { noindex: has('noindex', 'none'), nofollow: has('nofollow', 'none'), directives: relevant };
+}
+
+// Open Graph and Twitter Card values, with the tags still missing after Twitter's fallbacks
+export function socialTags(doc) {
+  const content = (key) => doc.querySelector(`meta[property="${key}"], meta[name="${key}"]`)?.getAttribute('content')?.trim() || null;
+  const openGraph = Object.fromEntries(OPEN_GRAPH_TAGS.map(tag => [tag, content(tag)]));
+  const twitter = Object.fromEntries(TWITTER_TAGS.map(tag => [tag, content(tag)]));
+  return {
+    openGraph,
+    twitter,
+    missingOpenGraph: OPEN_GRAPH_TAGS.filter(tag => !openGraph[tag]),
+    missingTwitter: TWITTER_TAGS.filter(tag => !twitter[tag] && !openGraph[TWITTER_FALLBACKS[tag]])
+  };
+}
+
+// hreflang alternates: [{ lang, url, valid }] plus whether the page lists itself
+export function hreflangLinks(doc, pageUrl) {
+  const alternates = Array.from(doc.querySelectorAll('link[rel~="alternate" i][hreflang][href]')).map(link => {
+    const lang = link.getAttribute('hreflang').trim();
+    return { lang, url: resolve(link.getAttribute('href'), pageUrl), valid: HREFLANG_PATTERN.test(lang) };
+  });
+  return { alternates, selfReferenced: alternates.some(alternate => sameUrl(alternate.url, pageUrl)) };
+}
@@ -0,0 +1,177 @@
+// Page performance metrics from the main document fetch and the parsed HTML, summarized as a
+// weighted 0-100 score. Timing and header metrics need the fetch snapshot; the rest reads the DOM.
+
+// Each metric scores 1 at or below `good`, 0 at or above `poor`, linearly in between.
+// Thresholds follow common web performance guidance (web.dev, Lighthouse) for a single document.
+export const PERFORMANCE_METRICS = {
+  ttfb: { label: 'Time to first byte', unit: 'ms', good: 800, poor: 1800, weight: 25 },
+  download: { label: 'HTML download time', unit: 'ms', good: 500, poor: 2000, weight: 10 },
+  htmlSize: { label: 'HTML size', unit: 'KB', good: 100, poor: 500, weight: 10 },
+  compression: { label: 'HTML compression', unit: '', good: 1, poor: 0, weight: 10 },
+  renderBlocking: { label: 'Render-blocking resources', unit: '', good: 2, poor: 8, weight: 20 },
+  thirdParty: { label: 'Third-party requests', unit: '', good: 10, poor: 30, weight: 10 },
+  images: { label: 'Images without dimensions or lazy loading', unit: '%', good: 10, poor: 50, weight: 10 },
+  caching: { label: 'Cache headers', unit: '', good: 1, poor: 0, weight: 5 }
+};
+
+// Images this early in the document are likely visible on load and should not be lazy
+export const EAGER_IMAGES = 3;
+const COMPRESSED_ENCODINGS = ['gzip', 'br', 'deflate', 'zstd'];
+// Small documents gain nothing from compression
+const MIN_COMPRESSIBLE_BYTES = 1024;
+
+const cache = new WeakMap();
+
+export function metricScore(name, value) {
+  const { good, poor } = PERFORMANCE_METRICS[name];
+  if (good > poor) return value >= good ? 1 : value <= poor ? 0 : (value - poor) / (good - poor);
+  return value <= good ? 1 : value >= poor ? 0 : (poor - value) / (poor - good);
+}
+
+// "good", "average" or "poor", for check statuses
+export function metricRating(name, value) {
+  const score = metricScore(name, value);
+  return score >= 0.9 ? 'good' : score > 0 ? 'average' : 'poor';
+}
+
+const resolve = (value, pageUrl) => {
+  try {
+    return new URL(value, pageUrl);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Same site: the page host or one of its subdomains ("www." ignored)
+const isFirstParty = (hostname, pageHost) => {
+  const base = pageHost.replace(/^www\./, '');
+  return hostname === pageHost || hostname === base || hostname.endsWith(`.${base}`);
+};
+
+function findRenderBlocking(doc, pageUrl) {
+  const stylesheets = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'))
+    .filter(link => !link.disabled && /^(|all|screen)$/i.test((link.getAttribute('media') || '').trim()))
+    .map(link => resolve(link.getAttribute('href'), pageUrl)?.href || link.getAttribute('href'));
+  // Only parser-blocking scripts in the head hold up the first render
+  const scripts = Array.from(doc.querySelectorAll('head script[src]'))
+    .filter(script => !script.hasAttribute('async') && !script.hasAttribute('defer'))
+    .filter(script => /^(|text\/javascript|application\/javascript)$/i.test((script.getAttribute('type') || '').trim()))
+    .map(script => resolve(script.getAttribute('src'), pageUrl)?.href || script.getAttribute('src'));
+  return { stylesheets, scripts };
+}
+
+function findThirdPartyRequests(doc, pageUrl) {
+  const pageHost = new URL(pageUrl).hostname;
+  const sources = [
+    ...Array.from(doc.querySelectorAll('script[src]'), el => el.getAttribute('src')),
+    ...Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href], link[rel~="preload"][href], link[rel~="modulepreload"][href]'), el => el.getAttribute('href')),
+    ...Array.from(doc.querySelectorAll('img[src], iframe[src], video[src], audio[src], source[src]'), el => el.getAttribute('src'))
+  ];
+  const requests = sources
+    .map(source => resolve(source, pageUrl))
+    .filter(url => url && /^https?:$/.test(url.protocol) && !isFirstParty(url.hostname, pageHost));
+
+  const hosts = new Map();
+  requests.forEach(url => hosts.set(url.hostname, (hosts.get(url.hostname) || 0) + 1));
+  return {
+    count: requests.length,
+    hosts: Array.from(hosts, ([host, count]) => ({ host, count })).sort((a, b) => b.count - a.count)
+  };
+}
+
+function inspectImages(doc) {
+  const images = Array.from(doc.querySelectorAll('img'));
+  const hasDimensions = img =>
+    (img.hasAttribute('width') && img.hasAttribute('height')) || (/width\s*:/.test(img.getAttribute('style') || '') && /height\s*:/.test(img.getAttribute('style') || ''));
+  const isLazy = img =>
+    img.getAttribute('loading') === 'lazy' || img.hasAttribute('data-src') || img.hasAttribute('data-lazy-src') || img.classList.contains('lazyload');
+
+  const withoutDimensions = images.filter(img => !hasDimensions(img)).map(img => img.getAttribute('src') || img.getAttribute('data-src') || '');
+  const notLazy = images.slice(EAGER_IMAGES).filter(img => !isLazy(img)).map(img => img.getAttribute('src') || '');
+  const flagged = new Set([
+    ...images.filter(img => !hasDimensions(img)),
+    ...images.slice(EAGER_IMAGES).filter(img => !isLazy(img))
+  ]);
+  return {
+    total: images.length,
+    withoutDimensions,
+    notLazy,
+    flaggedPercent: images.length > 0 ? Math.round((flagged.size / images.length) * 100) : 0
+  };
+}
+
+function inspectCaching(headers) {
+  const cacheControl = headers['cache-control'] || null;
+  const validators = Boolean(headers.etag || headers['last-modified']);
+  const maxAge = cacheControl?.match(/(?:s-)?max-age=(\d+)/i);
+  return {
+    cacheControl,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    expires: headers.expires || null,
+    maxAgeSeconds: maxAge ? parseInt(maxAge[1], 10) : null,
+    // Revalidation is what HTML needs: an ETag or Last-Modified lets repeat visits get a 304
+    ok: validators || Boolean(maxAge)
+  };
+}
+
+// All performance metrics for a page. `response` is { status, ttfbMs, downloadMs, htmlBytes, transferBytes,
+// headers } from the document fetch, or null when only the HTML is available.
+// Results are cached per document, page URL and response since several checks read them.
+export function analyzePerformance(doc, pageUrl, response = null) {
+  if (!cache.has(doc)) cache.set(doc, new Map());
+  const key = `${pageUrl}`;
+  const byUrl = cache.get(doc);
+  if (!byUrl.has(key)) byUrl.set(key, new Map());
+  const byResponse = byUrl.get(key);
+  if (byResponse.has(response)) return byResponse.get(response);
+
+  const metrics = {
+    renderBlocking: findRenderBlocking(doc, pageUrl),
+    thirdParty: findThirdPartyRequests(doc, pageUrl),
+    images: inspectImages(doc)
+  };
+  if (response) {
+    const encoding = (response.headers['content-encoding'] || '').toLowerCase();
+    metrics.timing = { ttfbMs: response.ttfbMs, downloadMs: response.downloadMs, totalMs: response.ttfbMs + response.downloadMs };
+    metrics.html = {
+      bytes: response.htmlBytes,
+      transferBytes: response.transferBytes,
+      encoding: encoding || null,
+      compressed: COMPRESSED_ENCODINGS.includes(encoding),
+      compressible: response.htmlBytes >= MIN_COMPRESSIBLE_BYTES
+    };
+    metrics.caching = inspectCaching(response.headers);
+  }
+
+  // Metric values fed to the weighted score, skipping those without data
+  const values = {
+    renderBlocking: metrics.renderBlocking.stylesheets.length + metrics.renderBlocking.scripts.length,
+    thirdParty: metrics.thirdParty.count,
+    images: metrics.images.flaggedPercent
+  };
+  if (response) {
+    values.ttfb = metrics.timing.ttfbMs;
+    values.download = metrics.timing.downloadMs;
+    values.htmlSize = Math.round(metrics.html.bytes / 1024);
+    values.compression = metrics.html.compressed || !metrics.html.compressible ? 1 : 0;
+    values.caching = metrics.caching.ok ? 1 : 0;
+  }
+
+  const breakdown = Object.keys(PERFORMANCE_METRICS).filter(name => name in values).map(name => {
+    const { label, unit, weight } = PERFORMANCE_METRICS[name];
+    const value = values[name];
+    const score = metricScore(name, value);
+    return { metric: name, label, value, unit, weight, score: Math.round(score * 100), points: Math.round(score * weight * 10) / 10 };
+  });
+  const totalWeight = breakdown.reduce((sum, item) => sum + item.weight, 0);
+  const points = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  const performance = {
+    score: totalWeight > 0 ? Math.round((points / totalWeight) * 100) : 0,
+    metrics,
+    breakdown
+  };
+  byResponse.set(response, performance);
+  return performance;
+}
@@ -0,0 +1,155 @@
+import { analyzeContent } from './extract.js';
+
+// Offline classifier for AdSense policy-restricted content. Each category has lexicons of strong
+// phrases (selling or offering the restricted thing), weak terms (topics that are fine to write
+// about in moderation) and link hosts. Matches in the main text, link text and image alt text add
+// up to a per-category score that maps to a confidence level; "high" needs a strong phrase or link
+// host, so a page that only writes about a topic stays below it. Nothing leaves the machine.
+
+const STRONG = 3;
+const WEAK = 1;
+// A term repeated all over a page counts at most this many times
+const MAX_HITS_PER_TERM = 3;
+// Weak terms together add at most this much to a category score
+const MAX_WEAK_SCORE = 5;
+// Category score thresholds for "medium" and "high" confidence
+export const CONFIDENCE_THRESHOLDS = { medium: 4, high: 8 };
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPETS = 5;
+
+export const POLICY_CATEGORIES = [
+  {
+    id: 'adult',
+    label: 'Adult content',
+    strong: ['porn', 'porno', 'pornography', 'xxx', 'adult videos', 'sex cams', 'live sex', 'nude photos', 'hardcore sex', 'escort services', 'onlyfans leaks', 'hentai'],
+    weak: ['nsfw', 'erotic', 'nude', 'naked', 'escort', 'fetish', '18+'],
+    hosts: ['pornhub.com', 'xvideos.com', 'xhamster.com', 'xnxx.com', 'onlyfans.com', 'chaturbate.com']
+  },
+  {
+    id: 'gambling',
+    label: 'Gambling',
+    strong: ['online casino', 'sports betting', 'bet now', 'free spins', 'slot machines', 'online poker', 'betting odds', 'sportsbook', 'deposit bonus', 'no deposit bonus', 'casino bonus'],
+    weak: ['casino', 'gambling', 'jackpot', 'roulette', 'blackjack', 'poker', 'bookmaker', 'betting'],
+    hosts: ['bet365.com', 'pokerstars.com', '888casino.com', 'stake.com', 'betway.com', 'williamhill.com']
+  },
+  {
+    id: 'weapons',
+    label: 'Weapons and explosives',
+    strong: ['guns for sale', 'buy guns', 'ammunition for sale', 'ammo for sale', 'ghost gun', '3d printed gun', 'bump stock', 'silencers for sale', 'how to make a bomb', 'explosives for sale', 'pipe bomb'],
+    weak: ['firearm', 'firearms', 'handgun', 'handguns', 'rifle', 'rifles', 'ammunition', 'ammo', 'pistol', 'assault rifle', 'explosives'],
+    hosts: ['gunbroker.com', 'armslist.com']
+  },
+  {
+    id: 'drugs',
+    label: 'Drugs and drug paraphernalia',
+    strong: ['buy cocaine', 'buy weed online', 'buy cannabis online', 'mdma for sale', 'magic mushrooms for sale', 'without prescription', 'no prescription needed', 'research chemicals', 'buy oxycodone', 'buy xanax', 'weed delivery', 'drug paraphernalia'],
+    weak: ['cocaine', 'heroin', 'methamphetamine', 'lsd', 'mdma', 'ecstasy', 'marijuana', 'cannabis', 'kratom', 'psilocybin', 'opioids'],
+    hosts: []
+  },
+  {
+    id: 'warez',
+    label: 'Copyrighted material and warez',
+    strong: ['keygen', 'crack download', 'cracked apk', 'mod apk', 'nulled', 'warez', 'serial key', 'license key generator', 'full version free download', 'free download full version', 'torrent download', 'watch free movies online', 'full movie download', 'download full movie'],
+    weak: ['torrent', 'torrents', 'cracked', 'activator', 'free download', 'magnet link', 'leaked'],
+    hosts: ['thepiratebay.org', '1337x.to', 'rarbg.to', 'yts.mx', 'getintopc.com', 'fmovies.to', 'nyaa.si']
+  },
+  {
+    id: 'misleading',
+    label: 'Misleading claims',
+    strong: ['miracle cure', 'cures cancer', 'cure cancer', 'get rich quick', 'guaranteed income', 'doctors hate', 'one weird trick', '100% guaranteed results', 'lose weight fast', 'earn money fast', 'make money fast', 'shocking truth', 'they don\'t want you to know'],
+    weak: ['guaranteed', 'risk-free', 'overnight results', 'instant results', 'you won\'t believe'],
+    hosts: []
+  }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Whole words or phrases; lookarounds instead of \b so terms like "18+" match too
+const termPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(term).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+
+const compiled = new WeakMap();
+const patternsFor = (category) => {
+  if (!compiled.has(category)) {
+    compiled.set(category, [
+      ...category.strong.map(term => ({ term, weight: STRONG, pattern: termPattern(term) })),
+      ...category.weak.map(term => ({ term, weight: WEAK, pattern: termPattern(term) }))
+    ]);
+  }
+  return compiled.get(category);
+};
+
+const snippetAround = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+const hostMatches = (hostname, hosts) => hosts.find(host => hostname === host || hostname.endsWith(`.${host}`));
+
+// `hasStrongSignal`: a strong phrase or link host matched; weak terms alone top out at "medium"
+export function confidenceFor(score, hasStrongSignal) {
+  if (score >= CONFIDENCE_THRESHOLDS.high && hasStrongSignal) return 'high';
+  if (score >= CONFIDENCE_THRESHOLDS.medium) return 'medium';
+  return 'low';
+}
+
+// The text sources a page is scanned in: [{ source, text }] plus absolute link URLs
+function collectSources(doc, pageUrl) {
+  const links = Array.from(doc.querySelectorAll('a[href]'));
+  const alts = Array.from(doc.querySelectorAll('img[alt]'), img => img.getAttribute('alt').trim()).filter(Boolean);
+  const urls = links.map(link => {
+    try {
+      return new URL(link.getAttribute('href'), pageUrl);
+    } catch (e) {
+      return null;
+    }
+  }).filter(url => url && /^https?:$/.test(url.protocol));
+  return {
+    texts: [
+      { source: 'text', text: analyzeContent(doc).main.text },
+      { source: 'title', text: doc.title || '' },
+      { source: 'link', text: links.map(link => link.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean).join(' | ') },
+      { source: 'alt', text: alts.join(' | ') }
+    ],
+    urls
+  };
+}
+
+// Scans a page and returns { categories: [{ id, label, score, confidence, signals }], highest }
+// where `signals` are [{ term, source, weight, count, snippet }] and `highest` is the strongest
+// confidence found ("none" without matches). Only categories with at least one match are listed.
+export function classifyPolicyRisk(doc, pageUrl) {
+  const { texts, urls } = collectSources(doc, pageUrl);
+  const categories = [];
+
+  for (const category of POLICY_CATEGORIES) {
+    const signals = [];
+    for (const { term, weight, pattern } of patternsFor(category)) {
+      for (const { source, text } of texts) {
+        const matches = Array.from(text.matchAll(pattern));
+        if (matches.length === 0) continue;
+        signals.push({ term, source, weight, count: matches.length, snippet: snippetAround(text, matches[0].index, matches[0][0].length) });
+      }
+    }
+    const hosts = new Map();
+    urls.forEach(url => {
+      const host = hostMatches(url.hostname, category.hosts);
+      if (host && !hosts.has(host)) hosts.set(host, url.href);
+    });
+    hosts.forEach((href, host) => signals.push({ term: host, source: 'link-host', weight: STRONG, count: 1, snippet: href }));
+    if (signals.length === 0) continue;
+
+    // Strong phrases already contain some weak terms; counting both would double the score
+    const strong = signals.filter(signal => signal.weight === STRONG);
+    const strongText = strong.map(signal => signal.term).join(' ');
+    const points = (list) => list.reduce((sum, signal) => sum + signal.weight * Math.min(signal.count, MAX_HITS_PER_TERM), 0);
+    const weak = signals.filter(signal => signal.weight === WEAK && !termPattern(signal.term).test(strongText));
+    const score = points(strong) + Math.min(points(weak), MAX_WEAK_SCORE);
+    signals.sort((a, b) => b.weight - a.weight || b.count - a.count);
+    categories.push({ id: category.id, label: category.label, score, confidence: confidenceFor(score, strong.length > 0), signals: signals.slice(0, MAX_SNIPPETS) });
+  }
+
+  categories.sort((a, b) => b.score - a.score);
+  const levels = ['none', 'low', 'medium', 'high'];
+  const highest = categories.reduce((best, category) => levels.indexOf(category.confidence) > levels.indexOf(best) ? category.confidence : best, 'none');
+  return { categories, highest };
+}
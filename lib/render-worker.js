@@ -0,0 +1,160 @@
+// Child process side of the "jsdom" renderer (see render.js). Runs the page's scripts, waits for
+// the load event plus a settle period, and sends back the serialized DOM.
+import { JSDOM, ResourceLoader, VirtualConsole } from 'jsdom';
+import { safeFetch } from './fetcher.js';
+
+const MAX_REPORTED_ERRORS = 20;
+
+const errors = [];
+let resourcesLoaded = 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+const reportError = message => {
+  if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+};
+
+// Every script and data request counts against maxResources and goes through the safety policy
+function fetchLimited(resourceUrl, init, limits, deadline) {
+  if (resourcesLoaded >= limits.maxResources) {
+    return Promise.reject(new Error(`Resource limit of ${limits.maxResources} reached, skipped ${resourceUrl}`));
+  }
+  resourcesLoaded++;
+  return safeFetch(resourceUrl, init, {
+    timeoutMs: Math.max(1000, deadline - Date.now()),
+    maxBytes: limits.maxResourceBytes
+  });
+}
+
+// Only scripts matter for rendering; stylesheets, images and frames are never loaded
+class SafeResourceLoader extends ResourceLoader {
+  constructor(limits, deadline) {
+    super();
+    this.limits = limits;
+    this.deadline = deadline;
+  }
+
+  fetch(resourceUrl, options) {
+    if (options.element?.localName !== 'script') return null;
+
+    const request = fetchLimited(resourceUrl, {}, this.limits, this.deadline)
+      .then(async res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return Buffer.from(await res.arrayBuffer());
+      })
+      .catch(error => {
+        reportError(`Script ${resourceUrl}: ${error.message}`);
+        throw error;
+      });
+    request.abort = () => {};
+    return request;
+  }
+}
+
+// window.fetch for page scripts, compiled inside the window's realm. Page code must never get hold
+// of a function or object from this module: its .constructor would be this realm's Function, and
+// from there `process`. The shim keeps the bridge in a closure, hands it strings only, and gets
+// the response back as a JSON string, from which it builds the Response-like object itself.
+const FETCH_SHIM = `(function (bridge) {
+  'use strict';
+  const { Promise, JSON, String, Error, URL, Map } = globalThis;
+  const location = globalThis.location;
+  const pending = new Map();
+  let nextId = 0;
+  globalThis.fetch = function fetch(input, init) {
+    const options = init || {};
+    let target;
+    try {
+      target = new URL(String(typeof input === 'string' ? input : input.url), location.href).href;
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    const id = ++nextId;
+    const headers = options.headers ? JSON.stringify(options.headers) : '';
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      bridge(id, target, options.method ? String(options.method) : 'GET', headers, options.body == null ? '' : String(options.body));
+    });
+  };
+  return function deliver(id, payload) {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    const message = JSON.parse(payload);
+    if (message.error) return request.reject(new Error(message.error));
+    const headers = new Map(message.headers);
+    request.resolve({
+      ok: message.status >= 200 && message.status < 300,
+      status: message.status,
+      statusText: message.statusText,
+      url: message.url,
+      headers: { get: name => headers.get(String(name).toLowerCase()) ?? null, has: name => headers.has(String(name).toLowerCase()) },
+      text: () => Promise.resolve(message.body),
+      json: () => Promise.resolve().then(() => JSON.parse(message.body))
+    });
+  };
+})`;
+
+// XMLHttpRequest and WebSocket are removed because jsdom would send them without the safety policy
+function networkShims(limits, deadline) {
+  return (window) => {
+    window.XMLHttpRequest = undefined;
+    window.WebSocket = undefined;
+
+    // Only primitives cross between the realms, in both directions, and the bridge never throws
+    let deliver;
+    const send = (id, message) => {
+      try {
+        deliver(id, JSON.stringify(message));
+      } catch {
+        // An error thrown by page code; nothing to hand back
+      }
+    };
+    const bridge = (id, target, method, headers, body) => {
+      let init;
+      try {
+        init = { method, headers: headers ? JSON.parse(headers) : undefined, body: body || undefined };
+      } catch {
+        init = { method, body: body || undefined };
+      }
+      fetchLimited(target, init, limits, deadline)
+        .then(async res => ({
+          status: res.status,
+          statusText: res.statusText,
+          url: res.url,
+          headers: Array.from(res.headers.entries()),
+          body: await res.text()
+        }))
+        .then(message => send(id, message), error => send(id, { error: String(error.message) }));
+    };
+    deliver = window.eval(FETCH_SHIM)(bridge);
+  };
+}
+
+async function render({ url, html, limits }) {
+  const deadline = Date.now() + limits.timeoutMs;
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => reportError(error.message));
+
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'dangerously',
+    resources: new SafeResourceLoader(limits, deadline),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: networkShims(limits, deadline)
+  });
+
+  const loaded = new Promise(resolve => dom.window.addEventListener('load', resolve));
+  await Promise.race([loaded, sleep(deadline - Date.now())]);
+  await sleep(Math.min(limits.settleMs, deadline - Date.now()));
+
+  const rendered = dom.serialize();
+  dom.window.close();
+  return rendered;
+}
+
+process.once('message', job => {
+  render(job)
+    .then(rendered => process.send({ html: rendered, resourcesLoaded, errors }))
+    .catch(error => process.send({ error: error.message }));
+});
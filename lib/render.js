@@ -0,0 +1,95 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { AnalysisError } from './errors.js';
+import { getSafetyPolicy } from './safety.js';
+
+export const DEFAULT_RENDER_LIMITS = {
+  timeoutMs: 10000,
+  // Quiet time after the load event for timers and data fetches to finish
+  settleMs: 1000,
+  maxResources: 40,
+  maxResourceBytes: 2 * 1024 * 1024,
+  memoryMb: 256
+};
+
+const renderers = new Map();
+
+// A renderer turns the raw HTML of `url` into the HTML after client-side scripts ran:
+//   render(url, html, limits) => Promise<{ html, resourcesLoaded, errors }>
+// It must enforce `limits` itself. Headless browsers can be plugged in under their own name.
+export function registerRenderer(name, render) {
+  renderers.set(name, render);
+}
+
+export function listRenderers() {
+  return Array.from(renderers.keys());
+}
+
+export function hasRenderer(name) {
+  return renderers.has(name);
+}
+
+const WORKER_PATH = fileURLToPath(new URL('./render-worker.js', import.meta.url));
+// The only files the worker needs: its own code and the packages it imports
+const WORKER_READABLE = [fileURLToPath(new URL('.', import.meta.url)), fileURLToPath(new URL('../node_modules/', import.meta.url))];
+
+// Runs page scripts in a JSDOM inside a child process. jsdom is not a security boundary, so the
+// process is limited in case a script escapes the window: it gets none of the server's environment
+// (API keys) except the fetch policy settings, can read only lib/ and node_modules/ (not the
+// history store), and cannot write files, spawn processes or start workers. Node's permission
+// model does not cover the network, so an escaped script could still open connections that bypass
+// the safety policy; rendering is therefore limited to the admin key. The process also gets a heap
+// limit and is killed at the deadline, so runaway scripts cannot stall the server.
+function renderWithJsdom(url, html, limits) {
+  return new Promise((resolve, reject) => {
+    const child = fork(WORKER_PATH, {
+      execArgv: [
+        '--experimental-permission',
+        ...WORKER_READABLE.map(dir => `--allow-fs-read=${dir}`),
+        '--disable-warning=ExperimentalWarning',
+        `--max-old-space-size=${limits.memoryMb}`
+      ],
+      env: { ...getSafetyPolicy().settings },
+      stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    let settled = false;
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      child.kill('SIGKILL');
+      callback(value);
+    };
+    // Small grace period over the renderer's own deadline for serializing and sending the result
+    const deadline = setTimeout(() => finish(reject, new Error(`Rendering timed out after ${limits.timeoutMs}ms`)), limits.timeoutMs + 2000);
+
+    child.on('message', message => (message.error ? finish(reject, new Error(message.error)) : finish(resolve, message)));
+    child.on('error', error => finish(reject, error));
+    child.on('exit', code => finish(reject, new Error(`Renderer exited unexpectedly (code ${code})`)));
+    child.send({ url, html, limits });
+  });
+}
+
+registerRenderer('jsdom', renderWithJsdom);
+
+// `options` is `true` for defaults or { renderer, timeoutMs, settleMs, maxResources, ... }
+export function resolveRenderOptions(options) {
+  const { renderer = 'jsdom', ...limits } = options === true ? {} : options;
+  if (!renderers.has(renderer)) {
+    throw new AnalysisError(`Unknown renderer "${renderer}". Available: ${listRenderers().join(', ')}.`, 400);
+  }
+  const merged = { ...DEFAULT_RENDER_LIMITS };
+  for (const key of Object.keys(DEFAULT_RENDER_LIMITS)) {
+    const value = parseInt(limits[key], 10);
+    // Callers may tighten the defaults but never loosen them
+    if (Number.isFinite(value) && value > 0) merged[key] = Math.min(value, DEFAULT_RENDER_LIMITS[key]);
+  }
+  return { renderer, limits: merged };
+}
+
+export async function renderPage(url, html, options = true) {
+  const { renderer, limits } = resolveRenderOptions(options);
+  const started = Date.now();
+  const rendered = await renderers.get(renderer)(url, html, limits);
+  return { renderer, durationMs: Date.now() - started, ...rendered };
+}
@@ -0,0 +1,237 @@
+import PDFDocument from 'pdfkit';
+import { CAT_AUTO, CAT_STRUCT_ACC, CAT_CONTENT, CAT_PERFORMANCE, CAT_ADS, CAT_COMPLIANCE, CAT_DOMAIN, CAT_ACCESSIBILITY } from './checks/index.js';
+import { DEFAULT_PROFILE, getProfile, scoreBracket } from './scoring.js';
+
+export const REPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Categories in report order; categories added by other checks follow in order of appearance
+const CATEGORY_ORDER = [CAT_AUTO, CAT_STRUCT_ACC, CAT_CONTENT, CAT_PERFORMANCE, CAT_ADS, CAT_COMPLIANCE, CAT_DOMAIN, CAT_ACCESSIBILITY];
+
+const STATUS_LABELS = { pass: 'Pass', warn: 'Warning', fail: 'Fail', manual: 'Manual review' };
+const STATUS_COLORS = { pass: '#1e8e3e', warn: '#e37400', fail: '#d93025', manual: '#5f6368' };
+
+// Groups one page's checks by category and counts them by status
+function buildPageModel(page) {
+  const checks = page.checks || [];
+
+  const categories = [...CATEGORY_ORDER, ...checks.map(check => check.category)]
+    .filter((category, index, all) => all.indexOf(category) === index)
+    .map(name => ({ name, checks: checks.filter(check => check.category === name) }))
+    .filter(category => category.checks.length > 0);
+
+  const summary = { pass: 0, warn: 0, fail: 0, manual: 0 };
+  checks.forEach(check => {
+    if (summary[check.status] !== undefined) summary[check.status]++;
+  });
+
+  return {
+    url: page.finalResolvedUrl || page.url,
+    score: page.score,
+    scoreInterpretation: page.scoreInterpretation,
+    penalties: page.penalties || [],
+    summary,
+    categories
+  };
+}
+
+// Flattens an analysis payload (single page or crawl) into what every renderer needs.
+// A crawl is scored by its average, interpreted under the start page's profile, with a section per page.
+export function buildReportModel(result, { generatedAt = new Date() } = {}) {
+  const pages = (result.mode === 'crawl' ? result.pages : [result]).map(buildPageModel);
+
+  if (result.mode !== 'crawl') {
+    return {
+      url: result.finalResolvedUrl,
+      generatedAt: generatedAt.toISOString(),
+      score: result.score,
+      scoreInterpretation: result.scoreInterpretation,
+      recommendations: result.recommendations || [],
+      site: null,
+      pages
+    };
+  }
+
+  const bracket = scoreBracket(result.site.averageScore, getProfile(result.pages[0]?.profile) || getProfile(DEFAULT_PROFILE));
+  return {
+    url: result.startUrl,
+    generatedAt: generatedAt.toISOString(),
+    score: result.site.averageScore,
+    scoreInterpretation: bracket.interpretation,
+    recommendations: bracket.recommendations,
+    site: result.site,
+    pages
+  };
+}
+
+export function reportFilename(model, format) {
+  const host = (() => {
+    try {
+      return new URL(model.url).hostname;
+    } catch (e) {
+      return 'site';
+    }
+  })();
+  return `adsense-report-${host}-${model.generatedAt.slice(0, 10)}.${REPORT_FORMATS[format].extension}`;
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Self-contained HTML: inline styles, no scripts or external assets
+export function renderHtml(model) {
+  const list = items => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  const pageSummary = page => `
+    <p class="summary"><span>${page.summary.pass} passed</span><span>${page.summary.warn} warnings</span><span>${page.summary.fail} failed</span><span>${page.summary.manual} to review manually</span></p>
+    ${page.penalties.length > 0 ? `<h3>Penalties</h3>${list(page.penalties)}` : ''}`;
+  const categoryTables = (page, heading) => page.categories.map(category => `
+  <section>
+    <${heading}>${escapeHtml(category.name)}</${heading}>
+    <table>
+      <thead><tr><th>Check</th><th>Status</th><th>Details</th></tr></thead>
+      <tbody>
+${category.checks.map(check => `        <tr><td>${escapeHtml(check.name)}</td><td><span class="status" style="background:${STATUS_COLORS[check.status] || '#5f6368'}">${escapeHtml(STATUS_LABELS[check.status] || check.status)}</span></td><td>${escapeHtml(check.message)}</td></tr>`).join('\n')}
+      </tbody>
+    </table>
+  </section>`).join('');
+
+  // A single page's summary sits under the score; a crawl gets a section per page
+  const siteSection = model.site ? `
+  <section>
+    <h2>Site-wide results</h2>
+    <p>${model.site.pagesAnalyzed} pages analyzed, ${model.site.totalArticles} articles, median ${model.site.medianWordCount} words per page.</p>
+  </section>` : '';
+  const pageSections = model.site
+    ? model.pages.map(page => `
+  <section class="page">
+    <h2>${escapeHtml(page.url)}</h2>
+    <p><span class="page-score">${escapeHtml(page.score)}/100</span> ${escapeHtml(page.scoreInterpretation)}</p>${pageSummary(page)}${categoryTables(page, 'h3')}
+  </section>`).join('')
+    : categoryTables(model.pages[0], 'h2');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>AdSense Readiness Report - ${escapeHtml(model.url)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #202124; max-width: 960px; margin: 0 auto; padding: 24px; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #5f6368; margin-top: 0; }
+  .score { font-size: 48px; font-weight: bold; }
+  .summary span { margin-right: 16px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+  th, td { text-align: left; padding: 8px; border-bottom: 1px solid #dadce0; vertical-align: top; }
+  .page { border-top: 2px solid #dadce0; margin-top: 24px; }
+  .page-score { font-size: 24px; font-weight: bold; margin-right: 8px; }
+  .status { color: #fff; border-radius: 4px; padding: 2px 8px; font-size: 12px; white-space: nowrap; }
+</style>
+</head>
+<body>
+  <h1>AdSense Readiness Report</h1>
+  <p class="meta">${escapeHtml(model.url)} &middot; generated ${escapeHtml(model.generatedAt)}</p>
+  <section>
+    <div class="score">${escapeHtml(model.score)}/100</div>
+    <p>${model.site ? `Average of ${model.pages.length} pages. ` : ''}${escapeHtml(model.scoreInterpretation)}</p>${model.site ? '' : pageSummary(model.pages[0])}
+    <h3>Recommendations</h3>
+    ${list(model.recommendations)}
+  </section>${siteSection}${pageSections}
+</body>
+</html>
+`;
+}
+
+// Values starting with these characters would run as formulas in spreadsheet apps
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderCsv(model) {
+  const rows = [['Page', 'Category', 'Check', 'Status', 'Weight', 'Message']];
+  model.pages.forEach(page => page.categories.forEach(category => category.checks.forEach(check => {
+    rows.push([page.url, category.name, check.name, check.status, check.weight ?? '', check.message]);
+  })));
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+export function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `AdSense Readiness Report - ${model.url}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).fillColor('#202124').text('AdSense Readiness Report');
+    doc.fontSize(10).fillColor('#5f6368').text(`${model.url} - generated ${model.generatedAt}`);
+    doc.moveDown();
+    doc.fontSize(28).fillColor('#202124').text(`${model.score}/100`);
+    doc.fontSize(11).text(`${model.site ? `Average of ${model.pages.length} pages. ` : ''}${model.scoreInterpretation || ''}`);
+
+    const pageSummary = page => {
+      doc.moveDown(0.5).fontSize(11).fillColor('#202124')
+        .text(`${page.summary.pass} passed, ${page.summary.warn} warnings, ${page.summary.fail} failed, ${page.summary.manual} to review manually`);
+      if (page.penalties.length > 0) {
+        doc.moveDown().fontSize(13).text('Penalties');
+        doc.fontSize(10).list(page.penalties);
+      }
+    };
+    const categoryList = page => page.categories.forEach(category => {
+      doc.moveDown().fontSize(14).fillColor('#202124').text(category.name);
+      category.checks.forEach(check => {
+        doc.moveDown(0.3).fontSize(10)
+          .fillColor(STATUS_COLORS[check.status] || '#5f6368')
+          .text(`[${STATUS_LABELS[check.status] || check.status}] `, { continued: true })
+          .fillColor('#202124')
+          .text(check.name);
+        doc.fontSize(9).fillColor('#5f6368').text(check.message || '', { indent: 12 });
+      });
+    });
+
+    if (model.site) {
+      doc.moveDown(0.5).text(`${model.site.pagesAnalyzed} pages analyzed, ${model.site.totalArticles} articles, median ${model.site.medianWordCount} words per page.`);
+    } else {
+      pageSummary(model.pages[0]);
+    }
+    doc.moveDown().fontSize(13).fillColor('#202124').text('Recommendations');
+    doc.fontSize(10).list(model.recommendations);
+
+    // A crawl gets a section per page, each starting on a new page
+    if (model.site) {
+      model.pages.forEach(page => {
+        doc.addPage().fontSize(16).fillColor('#202124').text(page.url);
+        doc.fontSize(20).text(`${page.score}/100`);
+        doc.fontSize(11).text(page.scoreInterpretation || '');
+        pageSummary(page);
+        categoryList(page);
+      });
+    } else {
+      categoryList(model.pages[0]);
+    }
+
+    doc.end();
+  });
+}
+
+// Renders `result` in one of REPORT_FORMATS; resolves to { body, contentType, filename }
+export async function renderReport(result, format) {
+  const model = buildReportModel(result);
+  const { contentType } = REPORT_FORMATS[format];
+  const filename = reportFilename(model, format);
+
+  if (format === 'html') return { body: renderHtml(model), contentType, filename };
+  if (format === 'csv') return { body: renderCsv(model), contentType, filename };
+  if (format === 'pdf') return { body: await renderPdf(model), contentType, filename };
+  return { body: JSON.stringify(result), contentType, filename };
+}
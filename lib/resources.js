@@ -0,0 +1,66 @@
+import { JSDOM } from 'jsdom';
+import { fetchCached, fetchTextFile, fetchWithRedirects } from './fetcher.js';
+import { discoverSitemaps } from './sitemap.js';
+
+// Memoizes a per-origin resource in the site cache so checks and the crawler fetch it once.
+// Without a cache the resource is simply loaded.
+export function siteResource(siteCache, key, load) {
+  if (!siteCache) return Promise.resolve().then(load);
+  if (!siteCache.has(key)) {
+    siteCache.set(key, Promise.resolve().then(load));
+  }
+  return siteCache.get(key);
+}
+
+// Site cache for one analysis or crawl. With `fresh` every resource is re-fetched instead of
+// being served from the shared cache (see cache.js); aborting `signal` cancels pending fetches.
+export function createSiteCache({ fresh = false, signal } = {}) {
+  const siteCache = new Map();
+  siteCache.fresh = fresh;
+  siteCache.signal = signal;
+  return siteCache;
+}
+
+export function loadRobotsTxt(siteCache, origin) {
+  return siteResource(siteCache, `robots.txt:${origin}`, () => fetchTextFile(`${origin}/robots.txt`, undefined, { fresh: siteCache?.fresh, signal: siteCache?.signal }));
+}
+
+export function loadSiteSitemaps(siteCache, origin) {
+  return siteResource(siteCache, `sitemaps:${origin}`, async () => {
+    const robots = await loadRobotsTxt(siteCache, origin).catch(() => null);
+    return discoverSitemaps(origin, robots?.ok ? robots.text : '', { signal: siteCache?.signal });
+  });
+}
+
+export function loadAdsTxt(siteCache, origin) {
+  return siteResource(siteCache, `ads.txt:${origin}`, () => fetchTextFile(`${origin}/ads.txt`, undefined, { fresh: siteCache?.fresh, signal: siteCache?.signal }));
+}
+
+// Fetches and parses a linked HTML page (legal pages and the like). Resolves to
+// { url, finalUrl, status, ok, doc, text, jsonLd } and never rejects: failures come back as ok: false
+// with an error. Scripts are removed from `doc`, so `jsonLd` keeps the parsed JSON-LD blocks.
+export function loadPage(siteCache, url) {
+  return siteResource(siteCache, `page:${url}`, async () => {
+    try {
+      const res = await fetchCached(url, { fresh: siteCache?.fresh, signal: siteCache?.signal, fetcher: fetchWithRedirects });
+      const base = { url, finalUrl: res.url, status: res.status };
+      if (!res.ok) return { ...base, ok: false, error: `HTTP ${res.status}` };
+      if (!(res.headers['content-type'] || '').includes('text/html')) {
+        return { ...base, ok: false, error: 'Not an HTML page' };
+      }
+
+      const doc = new JSDOM(res.text).window.document;
+      const jsonLd = Array.from(doc.querySelectorAll('script[type="application/ld+json" i]')).flatMap(script => {
+        try {
+          return [JSON.parse(script.textContent)];
+        } catch (e) {
+          return [];
+        }
+      });
+      doc.querySelectorAll('script, style, noscript, template').forEach(el => el.remove());
+      return { ...base, ok: true, doc, jsonLd, text: (doc.body?.textContent || '').replace(/\s+/g, ' ').trim() };
+    } catch (error) {
+      return { url, finalUrl: url, status: null, ok: false, error: error.message };
+    }
+  });
+}
@@ -0,0 +1,133 @@
+// robots.txt parsing and evaluation following RFC 9309
+
+// Crawlers that matter for AdSense. AdsBot ignores `User-agent: *` groups and only obeys
+// groups that name it explicitly.
+export const ADSENSE_CRAWLERS = [
+  { token: 'Googlebot', purpose: 'Search indexing' },
+  { token: 'Mediapartners-Google', purpose: 'AdSense ad targeting' },
+  { token: 'AdsBot-Google', purpose: 'Ad landing page quality', ignoresWildcard: true }
+];
+
+// Longer allow/disallow paths are reported as invalid lines instead of being evaluated
+export const MAX_RULE_LENGTH = 2048;
+
+// Splits robots.txt into groups of { userAgents, rules, crawlDelay } plus the global sitemap list.
+// A group starts at one or more consecutive user-agent lines; rules before any user-agent line are
+// ignored, as are unknown keys. Line numbers are kept so callers can point at the matching rule.
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  const invalidLines = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  (text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      invalidLines.push({ line: index + 1, content: rawLine.trim() });
+      return;
+    }
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { userAgents: [], rules: [], crawlDelay: null, line: index + 1 };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    // Sitemap lines are global and do not end a run of user-agent lines
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+    lastWasAgent = false;
+
+    // Rules outside any group have no crawler to apply to
+    if (!current) return;
+
+    if (key === 'allow' || key === 'disallow') {
+      if (value.length > MAX_RULE_LENGTH) {
+        invalidLines.push({ line: index + 1, content: `${rawLine.trim().slice(0, 100)}…` });
+        return;
+      }
+      // An empty Disallow allows everything, which is the same as having no rule
+      if (value) current.rules.push({ type: key, path: value, line: index + 1 });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay)) current.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps, invalidLines };
+}
+
+// Groups that apply to a crawler: every group naming its product token, merged; otherwise the
+// `*` groups unless the crawler ignores them.
+export function groupsForAgent(parsed, token, { ignoresWildcard = false } = {}) {
+  const name = token.toLowerCase();
+  const named = parsed.groups.filter(group => group.userAgents.includes(name));
+  if (named.length > 0 || ignoresWildcard) return named;
+  return parsed.groups.filter(group => group.userAgents.includes('*'));
+}
+
+// Matches a rule path with `*` wildcards and an optional `$` end anchor against `path`. Literal
+// segments are found left to right with indexOf: taking the earliest match for each segment never
+// rules out a match later on, so this is linear in the path length per segment and cannot
+// backtrack the way a `.*` regular expression does on hostile rules.
+export function matchesRule(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const parts = (anchored ? pattern.slice(0, -1) : pattern).replace(/\*+/g, '*').split('*');
+  const first = parts[0];
+  if (!path.startsWith(first)) return false;
+  if (parts.length === 1) return !anchored || path.length === first.length;
+
+  const last = parts[parts.length - 1];
+  // With the end anchored, the last segment has to close the path
+  const end = anchored ? path.length - last.length : path.length;
+  if (end < first.length) return false;
+  let position = first.length;
+  for (const part of parts.slice(1, -1)) {
+    const found = path.indexOf(part, position);
+    if (found === -1 || found + part.length > end) return false;
+    position = found + part.length;
+  }
+  return anchored ? path.endsWith(last) : path.indexOf(last, position) !== -1;
+}
+
+// Percent-encoding is compared case-insensitively and unreserved characters decoded (RFC 9309 2.2.2)
+function normalizePath(path) {
+  return path.replace(/%([0-9a-f]{2})/gi, (match, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+  });
+}
+
+// Decides whether `path` (path + query) may be crawled under the given groups.
+// The longest matching rule wins; on a tie, allow wins. Returns { allowed, rule }.
+export function evaluatePath(groups, path) {
+  const target = normalizePath(path || '/');
+  if (target === '/robots.txt') return { allowed: true, rule: null };
+
+  let best = null;
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!matchesRule(normalizePath(rule.path), target)) continue;
+      const longer = !best || rule.path.length > best.path.length;
+      const tieAllow = best && rule.path.length === best.path.length && rule.type === 'allow';
+      if (longer || tieAllow) best = rule;
+    }
+  }
+
+  return { allowed: !best || best.type === 'allow', rule: best };
+}
+
+export function isAllowed(parsed, token, path, options) {
+  return evaluatePath(groupsForAgent(parsed, token, options), path).allowed;
+}
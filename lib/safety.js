@@ -0,0 +1,198 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { UnsafeUrlError } from './errors.js';
+
+export const DEFAULT_ALLOWED_PORTS = [80, 443, 8080, 8443];
+export const DEFAULT_MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_MAX_REDIRECTS = 5;
+
+// Addresses no public website lives on: loopback, private, link-local (cloud metadata),
+// carrier-grade NAT, multicast and reserved ranges. IPv4-compatible (::/96, which also holds ::
+// and ::1), NAT64 and 6to4 (2002::/16) addresses carry an IPv4 address that some network stacks
+// route to, so they are blocked as a whole.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockedList.addSubnet(address, prefix, type));
+
+const splitList = value => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Outbound fetch policy, from the environment:
+//   FETCH_ALLOWED_HOSTS  comma-separated hostnames, IPs or CIDRs exempt from the address block
+//                        (e.g. "intranet.example.com,10.1.0.0/16")
+//   FETCH_ALLOWED_PORTS  comma-separated ports, replacing DEFAULT_ALLOWED_PORTS
+//   FETCH_MAX_BYTES      response body cap in bytes
+//   FETCH_TIMEOUT_MS     upper bound for every request's timeout
+//   FETCH_ONLY_ALLOWED   "true" to refuse every host not in FETCH_ALLOWED_HOSTS (offline runs and tests)
+export function loadSafetyPolicy(env = process.env) {
+  const allowedHosts = new Set();
+  const allowedList = new net.BlockList();
+  for (const entry of splitList(env.FETCH_ALLOWED_HOSTS)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address);
+    if (type) {
+      allowedList.addSubnet(address, prefix ? parseInt(prefix, 10) : (type === 4 ? 32 : 128), `ipv${type}`);
+    } else {
+      allowedHosts.add(entry.toLowerCase());
+    }
+  }
+
+  const ports = splitList(env.FETCH_ALLOWED_PORTS).map(port => parseInt(port, 10)).filter(Number.isFinite);
+  // The variables the policy was built from, so a child process can rebuild the same policy
+  const settings = Object.fromEntries(Object.entries(env).filter(([key, value]) => key.startsWith('FETCH_') && value !== undefined));
+  return {
+    settings,
+    allowedSchemes: ['http:', 'https:'],
+    allowedPorts: ports.length > 0 ? ports : DEFAULT_ALLOWED_PORTS,
+    allowedHosts,
+    allowedList,
+    maxResponseBytes: parseInt(env.FETCH_MAX_BYTES, 10) || DEFAULT_MAX_RESPONSE_BYTES,
+    maxRedirects: DEFAULT_MAX_REDIRECTS,
+    maxTimeoutMs: parseInt(env.FETCH_TIMEOUT_MS, 10) || null,
+    onlyAllowed: env.FETCH_ONLY_ALLOWED === 'true'
+  };
+}
+
+let activePolicy = loadSafetyPolicy();
+
+export function getSafetyPolicy() {
+  return activePolicy;
+}
+
+// Replaces the process-wide policy (tests and embedding code)
+export function setSafetyPolicy(policy) {
+  activePolicy = policy;
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are judged as the IPv4 address they carry
+function unmapAddress(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) return dotted[1];
+  // WHATWG URL parsing rewrites [::ffff:127.0.0.1] as [::ffff:7f00:1]
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return address;
+}
+
+export function isBlockedAddress(address, policy = activePolicy) {
+  const ip = unmapAddress(address);
+  const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+  if (policy.allowedList.check(ip, type)) return false;
+  return blockedList.check(ip, type);
+}
+
+// Named in FETCH_ALLOWED_HOSTS, by hostname or by an address range
+function isListedHost(hostname, policy) {
+  if (policy.allowedHosts.has(hostname)) return true;
+  const ip = unmapAddress(hostname);
+  return net.isIP(ip) !== 0 && policy.allowedList.check(ip, net.isIP(ip) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Synchronous checks on the URL itself: scheme, port, and literal IP hosts.
+// Hostnames are checked when they resolve, in the agent lookup below.
+export function assertUrlAllowed(url, policy = activePolicy) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new UnsafeUrlError(`Invalid URL: ${url}`);
+  }
+
+  if (!policy.allowedSchemes.includes(parsed.protocol)) {
+    throw new UnsafeUrlError(`Scheme ${parsed.protocol} is not allowed`);
+  }
+  const port = parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+  if (!policy.allowedPorts.includes(port)) {
+    throw new UnsafeUrlError(`Port ${port} is not allowed`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new UnsafeUrlError('URLs with credentials are not allowed');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (policy.onlyAllowed && !isListedHost(hostname, policy)) {
+    throw new UnsafeUrlError(`Host ${hostname} is not in the allowed hosts`);
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname, policy) && !policy.allowedHosts.has(hostname)) {
+    throw new UnsafeUrlError(`Address ${hostname} is in a private or reserved range`);
+  }
+  return parsed;
+}
+
+// Resolves DNS and also checks the addresses a connection will actually use, so a hostname
+// cannot pass validation and then resolve to an internal address (DNS rebinding).
+export async function assertHostAllowed(url, policy = activePolicy) {
+  const parsed = assertUrlAllowed(url, policy);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(hostname) || policy.allowedHosts.has(hostname)) return parsed;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new UnsafeUrlError(`Could not resolve ${hostname}`);
+  }
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address, policy));
+  if (blocked) {
+    throw new UnsafeUrlError(`${hostname} resolves to ${blocked.address}, which is in a private or reserved range`);
+  }
+  return parsed;
+}
+
+// dns.lookup replacement that refuses blocked addresses; also used for raw TLS connections (domain.js)
+export function createSafeLookup(policy = activePolicy) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      const host = hostname.toLowerCase();
+      const blocked = policy.allowedHosts.has(host) ? null : addresses.find(({ address }) => isBlockedAddress(address, policy));
+      if (blocked) {
+        return callback(new UnsafeUrlError(`${hostname} resolves to ${blocked.address}, which is in a private or reserved range`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+const agentsByPolicy = new WeakMap();
+
+// Agents for node-fetch's `agent` option. Keep-alive is off so every hop does a fresh, checked lookup.
+export function safeAgentFor(policy = activePolicy) {
+  if (!agentsByPolicy.has(policy)) {
+    const lookup = createSafeLookup(policy);
+    const httpAgent = new http.Agent({ lookup });
+    const httpsAgent = new https.Agent({ lookup });
+    agentsByPolicy.set(policy, parsedUrl => (parsedUrl.protocol === 'https:' ? httpsAgent : httpAgent));
+  }
+  return agentsByPolicy.get(policy);
+}
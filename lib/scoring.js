@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { AnalysisError } from './errors.js';
+
+export const DEFAULT_PROFILE = 'default';
+export const PROFILES_DIR = fileURLToPath(new URL('../profiles/', import.meta.url));
+
+// A scoring profile (profiles/*.json or *.yaml):
+//   id, name, description
+//   extends       id of a profile to inherit from; weights and penalties are merged key by key
+//   weights       check id -> weight, overriding the registry weight (0 leaves the check unscored)
+//   warnCredit    share of the weight a warning earns (0-1)
+//   critical      check ids whose failure is critical
+//   penalties     { critical: { perCheck, label }, failures: { threshold, perCheck, label } }, null disables one
+//   criticalCap   highest score while any critical check fails, null for no cap
+//   brackets      [{ min, interpretation, recommendations }], the first with score >= min applies
+const profiles = new Map();
+
+function mergeProfiles(base, profile) {
+  return {
+    ...base,
+    ...profile,
+    weights: { ...base.weights, ...profile.weights },
+    penalties: { ...base.penalties, ...profile.penalties }
+  };
+}
+
+function validateProfile(profile, source) {
+  const problem = (message) => new Error(`Invalid scoring profile ${source}: ${message}`);
+  if (typeof profile.id !== 'string' || !/^[a-z0-9-]+$/.test(profile.id)) throw problem('id must be lowercase letters, digits and dashes');
+  if (typeof profile.warnCredit !== 'number' || profile.warnCredit < 0 || profile.warnCredit > 1) throw problem('warnCredit must be between 0 and 1');
+  if (!Array.isArray(profile.critical)) throw problem('critical must be a list of check ids');
+  if (!Array.isArray(profile.brackets) || profile.brackets.length === 0) throw problem('brackets must not be empty');
+  if (!profile.brackets.some(bracket => bracket.min <= 0)) throw problem('one bracket must start at 0');
+  for (const [id, weight] of Object.entries(profile.weights || {})) {
+    if (typeof weight !== 'number' || weight < 0) throw problem(`weight for "${id}" must be a non-negative number`);
+  }
+}
+
+function readProfileFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+// Reads every profile in `dirs`, resolves `extends` and registers the result.
+// Later directories override earlier ones, so operators can replace built-in profiles.
+export function loadProfiles(dirs = [PROFILES_DIR]) {
+  const raw = new Map();
+  for (const dir of dirs) {
+    const files = fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/i.test(file)).sort();
+    for (const file of files) {
+      const profile = readProfileFile(path.join(dir, file));
+      raw.set(profile.id, { ...profile, source: file });
+    }
+  }
+
+  const resolve = (id, seen = []) => {
+    const profile = raw.get(id);
+    if (!profile) throw new Error(`Scoring profile "${seen[seen.length - 1]}" extends unknown profile "${id}"`);
+    if (seen.includes(id)) throw new Error(`Scoring profiles extend each other in a loop: ${[...seen, id].join(' -> ')}`);
+    return profile.extends ? mergeProfiles(resolve(profile.extends, [...seen, id]), profile) : profile;
+  };
+
+  for (const id of raw.keys()) {
+    const { extends: parent, source, ...profile } = resolve(id);
+    validateProfile(profile, source);
+    registerProfile(profile);
+  }
+}
+
+export function registerProfile(profile) {
+  profiles.set(profile.id, {
+    ...profile,
+    // Highest bracket first, so the first match wins
+    brackets: [...profile.brackets].sort((a, b) => b.min - a.min)
+  });
+}
+
+export function getProfile(id) {
+  return profiles.get(id);
+}
+
+export function listProfiles() {
+  return Array.from(profiles.values()).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// Returns the profile for a request, DEFAULT_PROFILE when none was asked for
+export function resolveProfile(id) {
+  if (id === undefined || id === null || id === '') return profiles.get(DEFAULT_PROFILE);
+  if (typeof id !== 'string' || !profiles.has(id)) {
+    throw new AnalysisError(`Unknown scoring profile "${id}". Available: ${Array.from(profiles.keys()).join(', ')}.`, 400);
+  }
+  return profiles.get(id);
+}
+
+loadProfiles([PROFILES_DIR, ...(process.env.SCORING_PROFILES_DIR ? [process.env.SCORING_PROFILES_DIR] : [])]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// How a single check contributes to the base score under `profile`
+function scoreItem(check, profile) {
+  const weight = profile.weights[check.id] ?? check.weight;
+  const critical = profile.critical.includes(check.id);
+  const item = { id: check.id, name: check.name, status: check.status, weight, critical, earned: 0, lost: 0 };
+
+  if (check.status === 'manual') {
+    return { ...item, weight: 0, reason: 'Needs manual review, not scored' };
+  }
+  if (weight === 0) {
+    return { ...item, reason: 'Not scored by this profile' };
+  }
+  if (check.status === 'pass') {
+    return { ...item, earned: weight, reason: `Passed: ${weight} of ${weight} points` };
+  }
+  if (check.status === 'warn') {
+    const earned = round(weight * profile.warnCredit);
+    return { ...item, earned, lost: round(weight - earned), reason: `Warning: ${earned} of ${weight} points (${Math.round(profile.warnCredit * 100)}% credit)` };
+  }
+  return { ...item, lost: weight, reason: `Failed: 0 of ${weight} points${critical ? ', critical' : ''}` };
+}
+
+// The profile's interpretation and recommendations for a 0-100 score
+export function scoreBracket(score, profile = profiles.get(DEFAULT_PROFILE)) {
+  return profile.brackets.find(entry => score >= entry.min) || profile.brackets[profile.brackets.length - 1];
+}
+
+// Turns check results into the 0-100 score, penalties, interpretation and recommendations
+// under a scoring profile. `scoreBreakdown` explains every point awarded or lost.
+export function scoreChecks(checks, profile = profiles.get(DEFAULT_PROFILE)) {
+  const items = checks.map(check => scoreItem(check, profile));
+  const earned = items.reduce((sum, item) => sum + item.earned, 0);
+  const possible = items.reduce((sum, item) => sum + item.weight, 0);
+
+  // Calculate percentage score (0-100)
+  const baseScore = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+  let finalScore = baseScore;
+  const penalties = [];
+  const adjustments = [];
+
+  const applyPenalty = (rule, failing) => {
+    const amount = failing.length > 0 ? rule.perCheck * failing.length : 0;
+    if (amount === 0) return;
+    finalScore = Math.max(0, finalScore - amount);
+    penalties.push(`${rule.label}: -${amount}%`);
+    adjustments.push({ type: 'penalty', label: rule.label, amount, checks: failing.map(item => item.id) });
+  };
+
+  // Critical failures count even when the profile gives the check no weight
+  const criticalFailures = items.filter(item => item.critical && item.status === 'fail');
+  if (profile.penalties.critical) {
+    applyPenalty(profile.penalties.critical, criticalFailures);
+  }
+
+  // Additional penalty for sites with multiple failures
+  const failures = profile.penalties.failures;
+  if (failures) {
+    const failed = items.filter(item => item.status === 'fail' && item.weight > 0);
+    applyPenalty(failures, failed.slice(failures.threshold));
+  }
+
+  // Cap the score while any critical requirement is missing
+  if (criticalFailures.length > 0 && profile.criticalCap !== null && profile.criticalCap !== undefined) {
+    const applied = finalScore > profile.criticalCap;
+    finalScore = Math.min(finalScore, profile.criticalCap);
+    adjustments.push({ type: 'cap', label: 'Critical requirements missing', max: profile.criticalCap, applied });
+  }
+
+  // Ensure score never exceeds 100
+  finalScore = Math.min(finalScore, 100);
+
+  const bracket = scoreBracket(finalScore, profile);
+
+  return {
+    score: finalScore,
+    penalties,
+    scoreInterpretation: bracket.interpretation,
+    recommendations: bracket.recommendations,
+    profile: profile.id,
+    scoreBreakdown: {
+      profile: { id: profile.id, name: profile.name },
+      earned: round(earned),
+      possible,
+      baseScore,
+      adjustments,
+      score: finalScore,
+      checks: items
+    }
+  };
+}
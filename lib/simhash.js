@@ -0,0 +1,65 @@
+import { createHash } from 'crypto';
+
+// Near-duplicate detection with 64-bit simhash over word shingles (Charikar). Pages whose
+// fingerprints differ in only a few bits share most of their text.
+
+export const SHINGLE_SIZE = 3;
+// Fingerprints this close (out of 64 bits) are treated as near-duplicates. Unrelated texts differ in
+// about 32 bits; rewording one paragraph in fifteen moves a page by roughly 5.
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+const hash64 = (value) => createHash('md5').update(value).digest().readBigUInt64BE(0);
+
+export function shingles(text, size = SHINGLE_SIZE) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < size) return words.length > 0 ? [words.join(' ')] : [];
+  const result = [];
+  for (let i = 0; i <= words.length - size; i++) {
+    result.push(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+// 64-bit simhash of `text` as a 16-digit hex string, or null for text without words
+export function simhash(text) {
+  const features = shingles(text);
+  if (features.length === 0) return null;
+
+  const weights = new Array(64).fill(0);
+  for (const feature of features) {
+    const hash = hash64(feature);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+  let fingerprint = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) fingerprint |= 1n << BigInt(bit);
+  });
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Pairs of near-duplicate pages among [{ url, simhash }]
+export function findNearDuplicates(pages, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const withHash = pages.filter(page => page.simhash);
+  const pairs = [];
+  for (let i = 0; i < withHash.length; i++) {
+    for (let j = i + 1; j < withHash.length; j++) {
+      const distance = hammingDistance(withHash[i].simhash, withHash[j].simhash);
+      if (distance <= maxDistance) {
+        pairs.push({ urls: [withHash[i].url, withHash[j].url], distance, similarity: Math.round((1 - distance / 64) * 100) });
+      }
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,214 @@
+import { gunzipSync } from 'zlib';
+import { fetchWithTimeout } from './fetcher.js';
+import { parseRobotsTxt } from './robots.js';
+import { getSafetyPolicy } from './safety.js';
+
+// Locations tried when robots.txt does not declare a sitemap
+export const FALLBACK_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/sitemap-index.xml', '/wp-sitemap.xml', '/sitemap.xml.gz'];
+
+// Limits from sitemaps.org: 50,000 URLs and 50MB (uncompressed) per file. Files are read up to
+// the smaller of that and the safety policy's response limit, before and after decompression.
+export const MAX_URLS_PER_SITEMAP = 50000;
+export const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const MAX_SITEMAP_FILES = 20;
+const MAX_COLLECTED_URLS = 5000;
+
+// W3C Datetime, the only format sitemaps.org allows for <lastmod>
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+export function isValidLastmod(value) {
+  return W3C_DATETIME.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Text content of an element: CDATA unwrapped, entities and character references decoded
+function xmlText(raw) {
+  return raw
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => text.replace(/&/g, '&amp;'))
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+      if (hex || decimal) return String.fromCodePoint(parseInt(hex || decimal, hex ? 16 : 10));
+      return XML_ENTITIES[name] ?? match;
+    })
+    .trim();
+}
+
+// Parses sitemap XML into { type: 'index' | 'urlset', entries: [{ loc, lastmod }] }. Sitemaps can
+// hold 50,000 entries, so instead of building a DOM of the whole file a single pass over the tags
+// picks out the entries and their <loc> and <lastmod>. Only tags of the entry's own prefix count,
+// so <image:loc> inside an entry is not its <loc>.
+export function parseSitemapXml(xml) {
+  const prolog = /^\uFEFF?\s*(?:<\?[^>]*>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<(?:[\w.-]+:)?([\w.-]+)[\s>/]/;
+  const rootMatch = xml.match(prolog);
+  if (!rootMatch) {
+    throw new Error('Sitemap is not well-formed XML');
+  }
+
+  const root = rootMatch[1];
+  if (root !== 'sitemapindex' && root !== 'urlset') {
+    throw new Error(`Unexpected root element <${root}>`);
+  }
+  if (!new RegExp(`</(?:[\\w.-]+:)?${root}\\s*>\\s*$`).test(xml.slice(-1024))) {
+    throw new Error('Sitemap is not well-formed XML');
+  }
+
+  const entryTag = root === 'sitemapindex' ? 'sitemap' : 'url';
+  // [^<>]* stops at the next tag, so every character is scanned a bounded number of times
+  const tags = new RegExp(`<(/?)(?:([\\w.-]+):)?(${entryTag}|loc|lastmod)(?=[\\s/>])[^<>]*>`, 'g');
+  const entries = [];
+  let entry = null;
+  let field = null;
+  for (const match of xml.matchAll(tags)) {
+    const [tag, closing, prefix = '', name] = match;
+    if (name === entryTag) {
+      if (closing && entry?.prefix === prefix) entries.push({ loc: entry.loc, lastmod: entry.lastmod });
+      // An empty <url/> is still an entry, one without a location
+      if (!closing && tag.endsWith('/>')) entries.push({ loc: undefined, lastmod: undefined });
+      entry = closing || tag.endsWith('/>') ? null : { prefix, loc: undefined, lastmod: undefined };
+      field = null;
+    } else if (entry && prefix === entry.prefix) {
+      if (!closing) {
+        field = { name, start: match.index + tag.length };
+      } else if (field?.name === name) {
+        entry[name] = xmlText(xml.slice(field.start, match.index));
+        field = null;
+      }
+    }
+  }
+
+  return { type: root === 'sitemapindex' ? 'index' : 'urlset', entries };
+}
+
+async function fetchSitemapBody(url, signal) {
+  const maxBytes = Math.min(MAX_SITEMAP_BYTES, getSafetyPolicy().maxResponseBytes);
+  const limit = maxBytes >= 1024 * 1024 ? `${Number((maxBytes / 1024 / 1024).toFixed(1))}MB` : `${Math.ceil(maxBytes / 1024)}KB`;
+  const tooLarge = () => new Error(`Sitemap exceeds the ${limit} limit`);
+  const res = await fetchWithTimeout(url, { headers: { Accept: 'application/xml,text/xml,*/*' }, signal }, 10000, maxBytes);
+  if (!res.ok) {
+    return { ok: false, status: res.status };
+  }
+
+  let body = Buffer.from(await res.arrayBuffer());
+  // .gz sitemaps are served as files, not with Content-Encoding, so fetch does not inflate them
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      body = gunzipSync(body, { maxOutputLength: maxBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      throw error;
+    }
+  }
+  if (body.length > maxBytes) {
+    throw tooLarge();
+  }
+  return { ok: true, status: res.status, xml: body.toString('utf8') };
+}
+
+// Finds and reads every sitemap of a site. Candidates come from the robots.txt `Sitemap:` lines,
+// otherwise from FALLBACK_SITEMAP_PATHS (first one that parses wins). Index files are followed.
+// Returns per-file results, the collected page URLs and site-wide validation figures; `signal` cancels the fetches.
+export async function discoverSitemaps(origin, robotsText, { signal } = {}) {
+  const host = new URL(origin).hostname;
+  const declared = parseRobotsTxt(robotsText).sitemaps;
+  const pending = [...declared];
+  const visited = new Set();
+  const sitemaps = [];
+  const urls = [];
+  const issues = [];
+  let totalUrls = 0;
+  let offHostUrls = 0;
+  let invalidLastmod = 0;
+  let latestLastmod = null;
+
+  const readSitemap = async (url) => {
+    visited.add(url);
+    const entry = { url, type: null, status: null, urlCount: 0, errors: [] };
+    sitemaps.push(entry);
+
+    try {
+      const body = await fetchSitemapBody(url, signal);
+      entry.status = body.status;
+      if (!body.ok) {
+        entry.errors.push(`HTTP ${body.status}`);
+        return false;
+      }
+
+      const { type, entries } = parseSitemapXml(body.xml);
+      entry.type = type;
+      entry.urlCount = entries.length;
+
+      if (type === 'index') {
+        for (const { loc } of entries) {
+          if (loc && !visited.has(loc)) pending.push(loc);
+        }
+        return true;
+      }
+
+      if (entries.length > MAX_URLS_PER_SITEMAP) {
+        entry.errors.push(`Contains ${entries.length} URLs (limit is ${MAX_URLS_PER_SITEMAP})`);
+      }
+
+      for (const { loc, lastmod } of entries) {
+        totalUrls++;
+        let sameHost = false;
+        try {
+          sameHost = new URL(loc).hostname === host;
+        } catch (e) {
+          entry.errors.push(`Invalid <loc>: ${loc}`);
+        }
+        if (!sameHost) offHostUrls++;
+        else if (urls.length < MAX_COLLECTED_URLS) urls.push(loc);
+
+        if (lastmod) {
+          if (!isValidLastmod(lastmod)) {
+            invalidLastmod++;
+          } else if (Date.parse(lastmod) > Date.now() + 24 * 60 * 60 * 1000) {
+            entry.errors.push(`<lastmod> in the future: ${lastmod}`);
+          } else if (!latestLastmod || Date.parse(lastmod) > Date.parse(latestLastmod)) {
+            latestLastmod = lastmod;
+          }
+        }
+      }
+      return true;
+    } catch (error) {
+      entry.errors.push(error.message);
+      return false;
+    }
+  };
+
+  if (declared.length === 0) {
+    for (const path of FALLBACK_SITEMAP_PATHS) {
+      if (await readSitemap(`${origin}${path}`)) break;
+      // Failed fallbacks are guesses, not errors worth reporting
+      sitemaps.pop();
+    }
+  }
+
+  while (pending.length > 0 && visited.size < MAX_SITEMAP_FILES) {
+    const next = pending.shift();
+    if (!visited.has(next)) await readSitemap(next);
+  }
+  if (pending.length > 0) {
+    issues.push(`Stopped after ${MAX_SITEMAP_FILES} sitemap files`);
+  }
+  if (offHostUrls > 0) {
+    issues.push(`${offHostUrls} URL(s) point to a different host`);
+  }
+  if (invalidLastmod > 0) {
+    issues.push(`${invalidLastmod} <lastmod> value(s) are not valid W3C dates`);
+  }
+  sitemaps.forEach(sitemap => sitemap.errors.forEach(error => issues.push(`${sitemap.url}: ${error}`)));
+
+  return {
+    declaredInRobots: declared,
+    sitemaps,
+    urls,
+    totalUrls,
+    offHostUrls,
+    invalidLastmod,
+    latestLastmod,
+    daysSinceUpdate: latestLastmod ? Math.floor((Date.now() - Date.parse(latestLastmod)) / 86400000) : null,
+    issues
+  };
+}
@@ -0,0 +1,95 @@
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { JSDOM } from 'jsdom';
+import { ACCESSIBILITY_RULES, accessibleName, auditAccessibility, contrastRatio, parseColor } from '../lib/accessibility.js';
+
+const documentOf = (html) => new JSDOM(html).window.document;
+const rule = (group, html) => ACCESSIBILITY_RULES[group](documentOf(html));
+
+describe('rules', () => {
+  const found = (group, html) => rule(group, html).map(({ rule: id, selector, criteria }) => ({ id, selector, criteria }));
+
+  test('finds form fields without labels', () => {
+    assert.deepEqual(found('formLabels', '<input id="q"><label for="n">Name</label><input id="n"><label>Email <input type="email"></label><input aria-label="Search"><input type="submit">'), [
+      { id: 'form-label', selector: '#q', criteria: ['1.3.1', '3.3.2', '4.1.2'] }
+    ]);
+  });
+
+  test('finds links and buttons without names, and empty links', () => {
+    assert.deepEqual(found('names', '<a href="/a"><img src="a.png"></a><a href="/b"><img src="b.png" alt="Home"></a><button></button><button aria-label="Close"></button>').map(item => item.id), ['link-name', 'button-name']);
+    assert.deepEqual(found('emptyLinks', '<a href="/a"></a><a href="/b">Text</a>').map(item => item.id), ['empty-link']);
+  });
+
+  test('finds skipped heading levels, missing landmarks, duplicate ids and positive tabindex', () => {
+    assert.deepEqual(found('headings', '<h1>Title</h1><h2>Part</h2><h4>Detail</h4>').map(item => item.selector), ['body > h4']);
+    assert.deepEqual(found('landmarks', '<main><h1>Title</h1></main>'), []);
+    assert.deepEqual(found('landmarks', '<div><h1>Title</h1></div>').map(item => item.id), ['landmark-main']);
+    assert.deepEqual(found('duplicateIds', '<p id="a">1</p><p id="a">2</p><p id="b">3</p>').map(item => item.selector), ['body > p:nth-of-type(2)']);
+    assert.deepEqual(found('tabindex', '<span tabindex="3">A</span><span tabindex="0">B</span><span tabindex="0" role="button">C</span><span tabindex="-1">D</span>').map(item => [item.id, item.selector]), [
+      ['tabindex-positive', 'body > span:nth-of-type(1)'],
+      ['tabindex-no-role', 'body > span:nth-of-type(2)']
+    ]);
+  });
+
+  test('groups violations by WCAG criterion', () => {
+    const { byCriterion } = auditAccessibility(documentOf('<main><input id="q"><button></button></main>'));
+    assert.deepEqual(byCriterion.map(({ criterion, count }) => [criterion, count]), [['1.3.1', 1], ['3.3.2', 1], ['4.1.2', 2]]);
+  });
+
+  test('computes accessible names from labels, ARIA and content', () => {
+    const doc = documentOf('<label for="n">Name</label><input id="n"><span id="t">Tip</span><button aria-labelledby="t">?</button><a href="/">Go <img alt="home"></a>');
+    assert.equal(accessibleName(doc.querySelector('#n')), 'Name');
+    assert.equal(accessibleName(doc.querySelector('button')), 'Tip');
+    assert.equal(accessibleName(doc.querySelector('a')), 'Go home');
+  });
+});
+
+describe('colors', () => {
+  test('parses the color forms inline styles serialize to', () => {
+    assert.deepEqual(parseColor('rgb(255, 0, 0)'), [255, 0, 0, 1]);
+    assert.deepEqual(parseColor('rgba(0, 0, 0, 0.5)'), [0, 0, 0, 0.5]);
+    assert.deepEqual(parseColor('white'), [255, 255, 255, 1]);
+    assert.equal(parseColor('var(--text)'), null);
+  });
+
+  test('computes WCAG contrast ratios', () => {
+    assert.equal(contrastRatio([0, 0, 0, 1], [255, 255, 255, 1]), 21);
+    assert.equal(contrastRatio([255, 255, 255, 1], [255, 255, 255, 1]), 1);
+  });
+});
+
+describe('color contrast', () => {
+  const ratios = (html) => rule('contrast', html).map(violation => violation.ratio);
+
+  test('reports text whose inline colors are both known', () => {
+    assert.deepEqual(ratios('<style>p {}</style><div style="background-color: #fff"><p style="color: #eee">Faint</p></div>'), [1.16]);
+    assert.deepEqual(ratios('<p style="color: #666; background-color: #fff">Readable enough</p>'), []);
+  });
+
+  test('takes the browser defaults only in pages without stylesheets', () => {
+    assert.deepEqual(ratios('<p style="color: #eee">Faint</p>'), [1.16]);
+    assert.deepEqual(ratios('<style>.card { background: #000 }</style><div class="card"><p style="color: #eee">Light on dark</p></div>'), []);
+    assert.deepEqual(ratios('<link rel="stylesheet" href="/site.css"><p style="color: #eee">Styled elsewhere</p>'), []);
+  });
+
+  test('does not assume defaults for elements with colors of their own', () => {
+    assert.deepEqual(ratios('<button style="color: #fff">Buy now</button>'), []);
+    assert.deepEqual(ratios('<div style="background-color: #000"><a href="/">Blue by default</a></div>'), []);
+    assert.deepEqual(ratios('<div style="background-color: #fff"><button style="color: #eee">Faint on grey</button></div>'), []);
+  });
+
+  test('decides large text from the size and weight the text element inherits', () => {
+    const text = 'color: #888; background-color: #fff';
+    assert.deepEqual(ratios(`<p style="${text}; font-size: 20px; font-weight: bold">Large bold</p>`), []);
+    // Size from the paragraph, weight from the element itself or a bold ancestor
+    assert.deepEqual(ratios(`<p style="font-size: 20px"><span style="${text}; font-weight: bold">Bold span</span></p>`), []);
+    assert.deepEqual(ratios(`<span style="font-size: 20px"><b style="${text}">Bold element</b></span>`), []);
+    assert.deepEqual(ratios(`<b><span style="${text}; font-size: 20px">Inside bold</span></b>`), []);
+    // A nearer normal weight wins over a bold ancestor or element default
+    assert.deepEqual(ratios(`<p style="font-size: 20px; font-weight: bold"><span style="${text}; font-weight: normal">Normal</span></p>`), [3.54]);
+    assert.deepEqual(ratios(`<h2 style="${text}; font-size: 20px; font-weight: 400">Light heading</h2>`), [3.54]);
+    // Too small for large text even when bold, and sizes in other units are not resolved
+    assert.deepEqual(ratios(`<b style="${text}; font-size: 18px">Small bold</b>`), [3.54]);
+    assert.deepEqual(ratios(`<p style="font-size: 30px"><span style="${text}; font-size: 0.5em">Half size</span></p>`), [3.54]);
+  });
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { googleRecords, normalizePublisherId, parseAdsTxt } from '../lib/adstxt.js';
+
+test('parseAdsTxt reads records and variables', () => {
+  const parsed = parseAdsTxt([
+    '# ads.txt for example.com',
+    'google.com, pub-1234567890123456, DIRECT, f08c47fec0942fa0',
+    'Example-Exchange.com, 9876, reseller ; extension data',
+    'contact=ads@example.com'
+  ].join('\n'));
+  assert.deepEqual(parsed.records, [
+    { line: 2, domain: 'google.com', publisherId: 'pub-1234567890123456', relationship: 'DIRECT', certificationAuthorityId: 'f08c47fec0942fa0' },
+    { line: 3, domain: 'example-exchange.com', publisherId: '9876', relationship: 'RESELLER', certificationAuthorityId: null }
+  ]);
+  assert.deepEqual(parsed.variables, [{ line: 4, name: 'CONTACT', value: 'ads@example.com' }]);
+  assert.deepEqual(parsed.errors, []);
+});
+
+test('parseAdsTxt reports malformed lines and duplicates', () => {
+  const parsed = parseAdsTxt([
+    'google.com, pub-1234567890123456',
+    'google, pub-1234567890123456, DIRECT',
+    'google.com, pub-1234567890123456, PARTNER',
+    'FOO=bar',
+    'google.com, pub-1234567890123456, DIRECT',
+    'google.com, PUB-1234567890123456, direct'
+  ].join('\r\n'));
+  assert.deepEqual(parsed.errors, [
+    { line: 1, message: 'Expected 3 or 4 comma-separated fields, found 2' },
+    { line: 2, message: 'Invalid advertising system domain "google"' },
+    { line: 3, message: 'Relationship must be DIRECT or RESELLER, found "PARTNER"' },
+    { line: 4, message: 'Unknown variable "FOO"' }
+  ]);
+  assert.deepEqual(parsed.duplicates, [{ line: 6, firstLine: 5, entry: 'google.com, PUB-1234567890123456, DIRECT' }]);
+});
+
+test('googleRecords normalizes publisher IDs so a mismatch is visible', () => {
+  const records = googleRecords(parseAdsTxt('google.com, ca-pub-1111111111111111, DIRECT\nappnexus.com, 1234, RESELLER'));
+  assert.deepEqual(records.map(record => record.publisherId), ['pub-1111111111111111']);
+  assert.notEqual(records[0].publisherId, normalizePublisherId('pub-1234567890123456'));
+});
+
+test('normalizePublisherId accepts the ad code form and rejects malformed IDs', () => {
+  assert.equal(normalizePublisherId('ca-pub-1234567890123456'), 'pub-1234567890123456');
+  assert.equal(normalizePublisherId(' PUB-1234567890123456 '), 'pub-1234567890123456');
+  assert.equal(normalizePublisherId('pub-123'), null);
+  assert.equal(normalizePublisherId(undefined), null);
+});
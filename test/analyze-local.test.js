@@ -0,0 +1,40 @@
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { FIXTURES_DIR } from './support/harness.js';
+
+// bin/analyze-local.js against the fixture sites, as a separate process
+
+const CLI = new URL('../bin/analyze-local.js', import.meta.url).pathname;
+const run = (...args) => promisify(execFile)(process.execPath, [CLI, ...args], { timeout: 60000 })
+  .then(({ stdout }) => ({ code: 0, stdout }), error => ({ code: error.code, stdout: error.stdout, stderr: error.stderr }));
+
+describe('analyze-local CLI', () => {
+  test('analyzes a single file without requesting external hosts', async () => {
+    const { code, stdout } = await run(path.join(FIXTURES_DIR, 'bare', 'index.html'));
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.match(result.finalResolvedUrl, /^http:\/\/127\.0\.0\.1:\d+\/index\.html$/);
+
+    const links = result.checks.find(check => check.id === 'broken-links');
+    assert.equal(links.details.blocked, 1);
+    assert.deepEqual(links.details.broken.map(item => item.url.replace(/^http:\/\/[^/]+/, '')).sort(), ['/logo.png', '/missing.html']);
+  });
+
+  test('crawls a directory as a site', async () => {
+    const { code, stdout } = await run(path.join(FIXTURES_DIR, 'blog'), '--enable', 'title-tag,robots-txt,ads-txt');
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.mode, 'crawl');
+    assert.equal(result.site.pagesAnalyzed, 6);
+    assert.deepEqual(result.pages[0].checks.map(check => [check.id, check.status]), [['title-tag', 'pass'], ['robots-txt', 'pass'], ['ads-txt', 'pass']]);
+  });
+
+  test('fails on a missing path', async () => {
+    const { code, stderr } = await run(path.join(FIXTURES_DIR, 'does-not-exist'));
+    assert.equal(code, 1);
+    assert.match(stderr, /ENOENT/);
+  });
+});
@@ -0,0 +1,256 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { ADMIN_API_KEY, FETCH_TIMEOUT_MS, startHarness } from './support/harness.js';
+import { assertGolden, normalize, summarizeResult } from './support/golden.js';
+import { getSafetyPolicy, loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+
+// The full /api/analyze-url pipeline against the fixture sites. Check outcomes are compared with
+// test/golden/; the behavior a test is about is asserted directly.
+
+const SITE_ROUTES = {
+  blog: {
+    '/old-home': { redirect: '/', status: 301 },
+    '/chain': { redirect: '/old-home', status: 302 },
+    '/slow': { delayMs: 5000 },
+    '/drip': { dripMs: 100, body: `<html><head><title>Drip</title></head><body>${'<p>Slow body</p>'.repeat(10)}</body></html>` },
+    '/feed.json': { contentType: 'application/json', body: '{"items": []}' },
+    '/broken': { status: 500, body: 'Internal Server Error', contentType: 'text/plain' },
+    '/to-metadata': { redirect: 'http://169.254.169.254/latest/meta-data/', status: 302 }
+  },
+  bare: {},
+  restricted: {},
+  mirror: {},
+  spa: {}
+};
+
+describe('POST /api/analyze-url', () => {
+  let harness;
+  let origins;
+  const analyze = async (body) => {
+    const response = await harness.analyze({ fresh: true, ...body });
+    return { status: response.status, body: normalize(response.body, origins) };
+  };
+
+  before(async () => {
+    harness = await startHarness(SITE_ROUTES);
+    origins = Object.fromEntries(Object.entries(harness.sites).map(([name, origin]) => [`{{${name}}}`, origin]));
+  });
+  after(() => harness.close());
+
+  test('analyzes a complete site', async () => {
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/post.html`, publisherId: 'pub-1234567890123456' });
+    assert.equal(status, 200);
+    assertGolden('blog-post', summarizeResult(body));
+  });
+
+  test('analyzes a bare page without robots.txt or ads.txt', async () => {
+    const { status, body } = await analyze({ url: harness.sites.bare });
+    assert.equal(status, 200);
+    assertGolden('bare-index', summarizeResult(body));
+  });
+
+  test('follows redirects to the final page', async () => {
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/chain`, enabledChecks: ['https-redirect', 'canonical', 'title-tag'] });
+    assert.equal(status, 200);
+    assert.equal(body.finalResolvedUrl, '{{blog}}/');
+    assertGolden('blog-redirect', summarizeResult(body));
+  });
+
+  test('scores with another profile', async () => {
+    const { status, body } = await analyze({ url: harness.sites.blog, profile: 'seo-basic' });
+    assert.equal(status, 200);
+    assertGolden('blog-index-seo-basic', summarizeResult(body));
+  });
+
+  test('crawls the site', async () => {
+    const { status, body } = await analyze({ url: harness.sites.blog, crawl: true, maxPages: 4, concurrency: 1 });
+    assert.equal(status, 200);
+    assertGolden('blog-crawl', summarizeResult(body));
+  });
+
+  test('reports near-duplicate pages once per pair in the site summary', async () => {
+    const { status, body } = await analyze({ url: harness.sites.mirror, crawl: true, maxPages: 5, concurrency: 1, enabledChecks: ['content-originality'] });
+    assert.equal(status, 200);
+    assert.equal(body.pages.length, 5);
+    // The two seed swap pages match as well, but are too short to compare
+    assert.deepEqual(body.site.nearDuplicates.map(pair => pair.urls), [['{{mirror}}/raised-beds.html', '{{mirror}}/raised-beds-copy.html']]);
+    const statuses = Object.fromEntries(body.pages.map(page => [page.url.replace('{{mirror}}', ''), page.checks[0].status]));
+    assert.deepEqual(statuses, { '/': 'warn', '/raised-beds.html': 'pass', '/raised-beds-copy.html': 'pass', '/seed-swap.html': 'warn', '/seed-swap-2.html': 'warn' });
+  });
+
+  test('renders client-side content and compares it with the raw HTML', async () => {
+    const response = await harness.analyze({ url: harness.sites.spa, fresh: true, render: true, enabledChecks: ['title-tag', 'content-volume'] }, { apiKey: ADMIN_API_KEY });
+    assert.equal(response.status, 200);
+    const { checks, rendering } = normalize(response.body, origins);
+    assert.equal(checks.find(check => check.id === 'title-tag').message, 'Good title length: "Balcony Herbs - growing herbs in pots" (37 chars)');
+    assert.equal(rendering.renderer, 'jsdom');
+    assert.equal(rendering.resourcesLoaded, 1);
+    assert.deepEqual(rendering.scriptErrors, []);
+    assert.deepEqual(rendering.raw.checks.map(check => [check.id, check.status]), [['title-tag', 'fail'], ['content-volume', 'fail']]);
+    assert.deepEqual(rendering.changedChecks, [{ id: 'title-tag', name: 'SEO Title Tag', raw: 'fail', rendered: 'pass' }]);
+    assert.deepEqual(rendering.wordCount, { raw: 1, rendered: 345 });
+    assert.equal(rendering.clientSideOnly, true);
+  });
+
+  test('renders only for the admin key, before charging the quota', async () => {
+    const first = await harness.analyze({ url: harness.sites.spa, render: true });
+    assert.equal(first.status, 403);
+    assert.equal(first.body.error, 'Rendering page scripts is restricted to the admin API key.');
+    const second = await harness.analyze({ url: harness.sites.spa, render: true }, { path: '/api/analyze-url/stream' });
+    assert.equal(second.status, 403);
+    assert.equal(second.headers.get('x-quota-remaining'), first.headers.get('x-quota-remaining'));
+  });
+
+  test('stops a runaway page script at the render deadline', async () => {
+    const started = Date.now();
+    const response = await harness.analyze({ url: `${harness.sites.spa}/runaway.html`, fresh: true, render: { timeoutMs: 1000 }, enabledChecks: ['title-tag'] }, { apiKey: ADMIN_API_KEY });
+    assert.equal(response.status, 200);
+    // The analysis falls back to the raw HTML
+    assert.equal(response.body.rendering.error, 'Rendering failed: Rendering timed out after 1000ms');
+    assert.equal(response.body.checks[0].status, 'pass');
+    assert.ok(Date.now() - started < 6000);
+  });
+
+  test('rejects content that is not HTML', async () => {
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/feed.json` });
+    assert.equal(status, 400);
+    assertGolden('error-not-html', body);
+  });
+
+  test('reports server errors from the target', async () => {
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/broken` });
+    assert.equal(status, 500);
+    assertGolden('error-server', body);
+  });
+
+  test('times out on slow targets', async () => {
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/slow` });
+    assert.equal(status, 500);
+    assertGolden('error-timeout', body);
+  });
+
+  test('rejects unknown report formats before charging the quota', async () => {
+    const remaining = [];
+    for (const format of ['docx', 'constructor', '__proto__']) {
+      const response = await harness.analyze({ url: harness.sites.blog, format });
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, new RegExp(`Unsupported format "${format}"`));
+      remaining.push(response.headers.get('x-quota-remaining'));
+    }
+    assert.equal(new Set(remaining).size, 1);
+  });
+
+  test('rejects check selections that are not lists of ids', async () => {
+    for (const selection of [{ enabledChecks: 5 }, { disabledChecks: 'title-tag' }, { enabledChecks: [['title-tag']] }]) {
+      const response = await harness.analyze({ url: harness.sites.blog, ...selection });
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /expected an array of check ids/);
+    }
+    const unknown = await harness.analyze({ url: harness.sites.blog, enabledChecks: ['no-such-check'] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Unknown check id(s): no-such-check');
+  });
+
+  test('charges crawls one quota unit per page and invalid requests nothing', async () => {
+    const invalid = await harness.analyze({ url: 'http://exa mple.com/', crawl: true, maxPages: 5 });
+    assert.equal(invalid.status, 400);
+    const before = Number(invalid.headers.get('x-quota-remaining'));
+
+    const crawl = await harness.analyze({ url: harness.sites.bare, crawl: true, maxPages: 3, enabledChecks: ['title-tag'] });
+    assert.equal(crawl.status, 200);
+    assert.equal(Number(crawl.headers.get('x-quota-remaining')), before - 3);
+  });
+
+  test('reports crawlers that robots.txt keeps out', async () => {
+    const { status, body } = await analyze({ url: harness.sites.restricted, enabledChecks: ['robots-txt'] });
+    assert.equal(status, 200);
+    const [check] = body.checks;
+    assert.equal(check.status, 'fail');
+    assert.match(check.message, /blocks Mediapartners-Google from the homepage \(Disallow: \/ \(line 6\)\)/);
+    const pages = Object.fromEntries(check.details.crawlers.map(crawler => [crawler.agent, crawler.pages.map(page => [page.page, page.allowed])]));
+    assert.deepEqual(pages, {
+      'Googlebot': [['homepage', true], ['privacy', false]],
+      'Mediapartners-Google': [['homepage', false], ['privacy', false]],
+      // AdsBot only obeys groups that name it
+      'AdsBot-Google': [['homepage', true], ['privacy', true]]
+    });
+  });
+
+  test('fails ads.txt that does not list the publisher ID', async () => {
+    const { status, body } = await analyze({ url: harness.sites.restricted, publisherId: 'ca-pub-1234567890123456', enabledChecks: ['ads-txt'] });
+    assert.equal(status, 200);
+    const [check] = body.checks;
+    assert.equal(check.status, 'fail');
+    assert.match(check.message, /^ads\.txt does not list your publisher ID pub-1234567890123456\./);
+    assert.deepEqual(check.details.googlePublisherIds, ['pub-9999999999999999']);
+  });
+
+  test('refuses private addresses, directly and through redirects', async (t) => {
+    // The production policy, with only the fixture server itself exempt
+    const fixturePolicy = getSafetyPolicy();
+    setSafetyPolicy(loadSafetyPolicy({ FETCH_ALLOWED_HOSTS: '127.0.0.1', FETCH_ALLOWED_PORTS: `80,${new URL(harness.sites.blog).port}` }));
+    t.after(() => setSafetyPolicy(fixturePolicy));
+
+    const refusals = {
+      'http://10.0.0.1/': 'Address 10.0.0.1 is in a private or reserved range',
+      'http://[::ffff:169.254.169.254]/': 'Address ::ffff:a9fe:a9fe is in a private or reserved range',
+      [`${harness.sites.blog}/to-metadata`]: 'Address 169.254.169.254 is in a private or reserved range'
+    };
+    for (const [url, reason] of Object.entries(refusals)) {
+      const { status, body } = await analyze({ url });
+      assert.equal(status, 400, url);
+      assert.equal(body.error, `Target not allowed: ${reason}`);
+    }
+  });
+
+  test('times out on targets that send the body slowly', async () => {
+    const started = Date.now();
+    const { status, body } = await analyze({ url: `${harness.sites.blog}/drip` });
+    assert.equal(status, 500);
+    assert.match(body.error, /Request timeout/);
+    assert.ok(Date.now() - started < FETCH_TIMEOUT_MS + 1000);
+  });
+
+  test('refuses hosts outside the fixtures', async () => {
+    const { status, body } = await analyze({ url: `http://example.com:${new URL(harness.sites.blog).port}/` });
+    assert.equal(status, 400);
+    assertGolden('error-blocked-host', body);
+  });
+
+  test('streams progress and ends with the same result', async () => {
+    const response = await harness.analyze({ url: `${harness.sites.blog}/old-home`, fresh: true, enabledChecks: ['title-tag', 'canonical'] }, { path: '/api/analyze-url/stream' });
+    assert.equal(response.status, 200);
+    const events = response.body.trim().split('\n\n').map(block => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: normalize(JSON.parse(data), origins) };
+    });
+    assert.deepEqual(events.map(({ event }) => event), ['redirect', 'fetch', 'parse', 'check', 'check', 'result']);
+    assertGolden('blog-stream', events.map(({ event, data }) => {
+      if (event === 'check') return { event, id: data.check.id, status: data.check.status };
+      return { event, data: event === 'result' ? summarizeResult(data) : data };
+    }));
+  });
+
+  test('stops reading the target when the stream client disconnects', async () => {
+    const waitFor = async (condition, timeoutMs) => {
+      const deadline = Date.now() + timeoutMs;
+      while (!condition()) {
+        if (Date.now() > deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return true;
+    };
+    const controller = new AbortController();
+    const request = harness.analyze({ url: `${harness.sites.blog}/drip`, fresh: true }, { path: '/api/analyze-url/stream', signal: controller.signal });
+    request.catch(() => {});
+    assert.ok(await waitFor(() => harness.pending('blog') === 1, 1000), 'the page request never started');
+
+    // The headers are in and the body takes seconds to arrive; cancelling must end the request
+    // well before the fetch timeout
+    await new Promise(resolve => setTimeout(resolve, 300));
+    controller.abort();
+    await assert.rejects(request, { name: 'AbortError' });
+    assert.ok(await waitFor(() => harness.pending('blog') === 0, FETCH_TIMEOUT_MS / 3), 'the page was still being read after the client disconnected');
+  });
+});
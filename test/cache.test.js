@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { MemoryCacheStore } from '../lib/cache.js';
+
+const TTL = 60000;
+
+test('MemoryCacheStore evicts least recently used values to stay within its size', async () => {
+  const store = new MemoryCacheStore({ maxBytes: 1000, maxEntryBytes: 600 });
+  const value = (char) => ({ text: char.repeat(200) });
+  await store.set('a', value('a'), TTL);
+  await store.set('b', value('b'), TTL);
+  assert.deepEqual(await store.get('a'), value('a'));
+
+  // Each value takes a little over 400 bytes, so a third one pushes out "b", used longest ago
+  await store.set('c', value('c'), TTL);
+  assert.equal(await store.get('b'), undefined);
+  assert.deepEqual(await store.get('a'), value('a'));
+  assert.ok(store.bytes <= 1000);
+
+  await store.delete('a');
+  await store.delete('c');
+  assert.equal(store.bytes, 0);
+});
+
+test('MemoryCacheStore does not keep values above the entry limit', async () => {
+  const store = new MemoryCacheStore({ maxEntryBytes: 100 });
+  await store.set('small', { text: 'ok' }, TTL);
+  await store.set('large', { text: 'x'.repeat(100) }, TTL);
+  assert.deepEqual(await store.get('small'), { text: 'ok' });
+  assert.equal(await store.get('large'), undefined);
+
+  // A value that outgrows the limit replaces, rather than keeps, the stored one
+  await store.set('small', { text: 'x'.repeat(100) }, TTL);
+  assert.equal(await store.get('small'), undefined);
+});
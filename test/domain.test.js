@@ -0,0 +1,85 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import net from 'net';
+import { FIXTURES_DIR } from './support/harness.js';
+import { startSiteServer } from '../lib/localsite.js';
+import { getSafetyPolicy, loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+import { CancelledError } from '../lib/errors.js';
+import { createWhoisClient, inspectCertificate, parseHsts, RdapClient, registrableDomain, StaticWhoisClient } from '../lib/domain.js';
+
+const RDAP_RECORD = {
+  ldhName: 'EXAMPLE.COM',
+  events: [{ eventAction: 'registration', eventDate: '1995-08-14T04:00:00Z' }, { eventAction: 'expiration', eventDate: '2030-08-13T04:00:00Z' }],
+  entities: [{ roles: ['registrar'], vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'RESERVED-Internet Assigned Numbers Authority']]] }]
+};
+
+test('registrableDomain keeps one label under the public suffix', () => {
+  assert.equal(registrableDomain('www.blog.example.com'), 'example.com');
+  assert.equal(registrableDomain('shop.example.co.uk'), 'example.co.uk');
+  assert.equal(registrableDomain('127.0.0.1'), '127.0.0.1');
+});
+
+test('parseHsts reads max-age and flags', () => {
+  assert.deepEqual(parseHsts('max-age=31536000; includeSubDomains; preload'), { maxAgeSeconds: 31536000, includeSubDomains: true, preload: true });
+  assert.equal(parseHsts(undefined), null);
+});
+
+test('registration lookups are off unless configured', () => {
+  assert.equal(createWhoisClient({}), null);
+  assert.ok(createWhoisClient({ WHOIS_CLIENT: 'rdap' }) instanceof RdapClient);
+  assert.ok(createWhoisClient({ WHOIS_CLIENT: 'static' }) instanceof StaticWhoisClient);
+  assert.throws(() => createWhoisClient({ WHOIS_CLIENT: 'whois' }), /Unknown WHOIS_CLIENT "whois"/);
+});
+
+describe('network lookups', () => {
+  let site;
+  let silent;
+  let previousPolicy;
+  const sockets = new Set();
+  const closed = [];
+
+  before(async () => {
+    site = await startSiteServer(`${FIXTURES_DIR}/bare`, {
+      routes: { '/domain/example.com': { contentType: 'application/rdap+json', body: JSON.stringify(RDAP_RECORD) } }
+    });
+    // Accepts connections and never answers, like a host that stalls the TLS handshake
+    silent = net.createServer(socket => {
+      sockets.add(socket);
+      socket.resume();
+      closed.push(new Promise(resolve => socket.on('close', resolve)));
+    });
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    previousPolicy = getSafetyPolicy();
+    setSafetyPolicy(loadSafetyPolicy({ FETCH_ALLOWED_HOSTS: '127.0.0.1', FETCH_ALLOWED_PORTS: `${site.port},${silent.address().port}`, FETCH_ONLY_ALLOWED: 'true' }));
+  });
+  after(async () => {
+    setSafetyPolicy(previousPolicy);
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => silent.close(resolve));
+    await site.close();
+  });
+
+  test('RdapClient reads the registration record', async () => {
+    const record = await new RdapClient({ baseUrl: site.origin }).lookup('example.com');
+    assert.deepEqual(record, { domain: 'example.com', createdAt: '1995-08-14T04:00:00Z', expiresAt: '2030-08-13T04:00:00Z', registrar: 'RESERVED-Internet Assigned Numbers Authority', source: 'rdap' });
+    assert.equal(await new RdapClient({ baseUrl: site.origin }).lookup('missing.example'), null);
+  });
+
+  test('RdapClient stops when the analysis is cancelled', async () => {
+    await assert.rejects(new RdapClient({ baseUrl: site.origin }).lookup('example.com', { signal: AbortSignal.abort() }), CancelledError);
+  });
+
+  test('inspectCertificate closes the connection when the analysis is cancelled', async () => {
+    const url = `https://127.0.0.1:${silent.address().port}/`;
+    await assert.rejects(inspectCertificate(url, { signal: AbortSignal.abort() }), CancelledError);
+
+    const controller = new AbortController();
+    const started = Date.now();
+    const inspection = inspectCertificate(url, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 200);
+    await assert.rejects(inspection, CancelledError);
+    assert.ok(Date.now() - started < 2000);
+    // The server sees every connection close
+    await Promise.all(closed);
+  });
+});
@@ -0,0 +1,22 @@
+// Builds the whole page on the client, the way single-page apps do
+document.title = 'Balcony Herbs - growing herbs in pots';
+const paragraphs = [
+  'Most kitchen herbs grow happily in pots on a sunny balcony, as long as the containers drain well and the plants get at least five hours of direct light a day.',
+  'Basil, parsley and chives like rich compost and regular water, while rosemary, thyme and sage prefer a gritty mix that dries out between waterings.',
+  'Group the thirsty herbs together and the Mediterranean ones in a separate trough, so that one watering routine does not drown half of the plants.',
+  'Pinch out the growing tips of basil every week to keep it bushy, and cut flower stems as soon as they appear, because flowering makes the leaves bitter.',
+  'Mint spreads through any shared container within a season, so give it a pot of its own and divide the root ball every spring.',
+  'In autumn, move the tender herbs to a bright windowsill indoors and cut the hardy ones back by a third, leaving enough growth to protect the crown over winter.',
+  'A liquid seaweed feed every two weeks from May to August keeps potted herbs green without making the leaves soft and tasteless.',
+  'Harvest in the morning, after the dew has dried but before the sun is strong, when the leaves hold the most essential oil and the best flavour.'
+];
+const app = document.getElementById('app');
+app.textContent = '';
+const heading = document.createElement('h1');
+heading.textContent = 'Growing herbs on a balcony';
+app.appendChild(heading);
+for (const text of paragraphs.concat(paragraphs.map(text => text.replace('herbs', 'plants')))) {
+  const paragraph = document.createElement('p');
+  paragraph.textContent = text;
+  app.appendChild(paragraph);
+}
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { findLegalPages } from '../lib/checks/helpers.js';
+
+const fixture = (name) => new JSDOM(readFileSync(new URL(`./fixtures/pages/${name}`, import.meta.url), 'utf8')).window.document;
+
+test('findLegalPages picks the first matching link on the same site', () => {
+  const pages = findLegalPages(fixture('legal-links.html'), 'https://www.example.com/blog/');
+  assert.deepEqual(pages, {
+    // The apex domain is the same site as www
+    privacy: 'https://example.com/privacy-policy/',
+    terms: 'https://www.example.com/terms.html',
+    // Another host, and neither mailto: nor another port is a page of this site
+    about: null,
+    contact: null
+  });
+});
@@ -0,0 +1,61 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { JSDOM } from 'jsdom';
+import { FIXTURES_DIR } from './support/harness.js';
+import { startSiteServer } from '../lib/localsite.js';
+import { getSafetyPolicy, loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+import { createSiteCache, loadPage } from '../lib/resources.js';
+import { analyzeContactPage } from '../lib/legal.js';
+import { runChecks } from '../lib/checks/index.js';
+
+const page = (title, body, head = '') => `<!DOCTYPE html><html><head><title>${title}</title>${head}</head><body><main>${body}</main></body></html>`;
+const ORGANIZATION = JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'Organization',
+  name: 'Small Plot Garden',
+  address: { '@type': 'PostalAddress', addressLocality: 'Leeds', addressCountry: 'GB' }
+});
+const INTRO = '<p>We read every message that reaches us and answer questions about the articles on this site as soon as we can.</p>';
+
+describe('legal and trust pages', () => {
+  let site;
+  let previousPolicy;
+
+  before(async () => {
+    site = await startSiteServer(`${FIXTURES_DIR}/bare`, {
+      routes: {
+        '/contact-ld.html': { contentType: 'text/html', body: page('Contact', INTRO, `<script type="application/ld+json">${ORGANIZATION}</script>`) },
+        '/contact-broken-ld.html': { contentType: 'text/html', body: page('Contact', INTRO, '<script type="application/ld+json">{ "@type": "PostalAddress", </script>') },
+        '/gone.html': { contentType: 'text/html', body: page('Page not found', '<p>Sorry, this page does not exist.</p>') }
+      }
+    });
+    previousPolicy = getSafetyPolicy();
+    setSafetyPolicy(loadSafetyPolicy({ FETCH_ALLOWED_HOSTS: '127.0.0.1', FETCH_ALLOWED_PORTS: String(site.port), FETCH_ONLY_ALLOWED: 'true' }));
+  });
+  after(async () => {
+    setSafetyPolicy(previousPolicy);
+    await site.close();
+  });
+
+  test('finds a postal address in JSON-LD although scripts are removed from the page', async () => {
+    const loaded = await loadPage(createSiteCache(), `${site.origin}/contact-ld.html`);
+    assert.equal(loaded.doc.querySelector('script'), null);
+    const report = analyzeContactPage(loaded);
+    assert.equal(report.findings.postalAddress, true);
+    assert.deepEqual(report.missing, []);
+  });
+
+  test('skips JSON-LD that does not parse', async () => {
+    const report = analyzeContactPage(await loadPage(createSiteCache(), `${site.origin}/contact-broken-ld.html`));
+    assert.deepEqual(report.findings, { form: false, email: false, postalAddress: false });
+    assert.deepEqual(report.missing, ['a contact form, email address or postal address']);
+  });
+
+  test('flags a page that says it is not found', async () => {
+    const url = `${site.origin}/gone.html`;
+    const doc = new JSDOM((await loadPage(createSiteCache(), url)).doc.documentElement.outerHTML).window.document;
+    const [check] = await runChecks({ doc, finalResolvedUrl: url, siteCache: createSiteCache() }, { enabled: ['error-page'] });
+    assert.equal(check.status, 'fail');
+    assert.equal(check.message, 'This page looks like a not-found page ("Page not found") but does not answer with an error status.');
+  });
+});
@@ -0,0 +1,65 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { FIXTURES_DIR } from './support/harness.js';
+import { startSiteServer } from '../lib/localsite.js';
+import { getSafetyPolicy, loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+import { createSiteCache } from '../lib/resources.js';
+import { checkResource, looksNotFound, pageSignature, probeNotFound } from '../lib/links.js';
+
+const page = (title, text) => `<!DOCTYPE html><html><head><title>${title}</title></head><body><main><p>${text}</p></main></body></html>`;
+const MISSING_TEXT = 'The page you were looking for has moved or never existed. Try the search box or go back to the start page to find what you need.';
+
+describe('checkResource', () => {
+  let site;
+  let previousPolicy;
+
+  before(async () => {
+    site = await startSiteServer(`${FIXTURES_DIR}/bare`, {
+      routes: {
+        '/large.html': { contentType: 'text/html', body: page('Archive', 'Every post ever written. '.repeat(100000)) },
+        '/styles.css': { contentType: 'text/css', body: 'body { color: #333; }' }
+      }
+    });
+    previousPolicy = getSafetyPolicy();
+    setSafetyPolicy(loadSafetyPolicy({ FETCH_ALLOWED_HOSTS: '127.0.0.1', FETCH_ALLOWED_PORTS: String(site.port), FETCH_ONLY_ALLOWED: 'true' }));
+  });
+  after(async () => {
+    setSafetyPolicy(previousPolicy);
+    await site.close();
+  });
+
+  test('reads the signature of internal pages', async () => {
+    const result = await checkResource(createSiteCache(), { url: `${site.origin}/`, kind: 'link' });
+    assert.equal(result.status, 200);
+    assert.equal(result.ok, true);
+    assert.equal(result.signature.title, 'Hi');
+  });
+
+  test('keeps the status of pages too large to compare', async () => {
+    const result = await checkResource(createSiteCache(), { url: `${site.origin}/large.html`, kind: 'link' });
+    assert.deepEqual([result.status, result.ok, result.error, result.signature], [200, true, null, null]);
+  });
+
+  test('reports missing targets and refused hosts', async () => {
+    const missing = await checkResource(createSiteCache(), { url: `${site.origin}/missing.css`, kind: 'stylesheet' });
+    assert.deepEqual([missing.status, missing.ok], [404, false]);
+    const blocked = await checkResource(createSiteCache(), { url: 'https://cdn.example.com/banner.png', kind: 'image' });
+    assert.deepEqual([blocked.status, blocked.ok, blocked.blocked], [null, false, true]);
+  });
+
+  test('probes how the site answers missing pages', async () => {
+    const probe = await probeNotFound(createSiteCache(), site.origin);
+    assert.equal(probe.status, 404);
+    assert.equal(probe.softNotFound, false);
+  });
+});
+
+test('looksNotFound compares with the probe only when it answered an error status', () => {
+  const notFound = pageSignature(page('Garden', MISSING_TEXT));
+  const similar = pageSignature(page('Garden', `${MISSING_TEXT} Thanks.`));
+  assert.equal(looksNotFound(similar, { status: 404, signature: notFound }), true);
+  // A 200 probe landed on an ordinary page; resembling it means nothing
+  assert.equal(looksNotFound(similar, { status: 200, signature: notFound }), false);
+  assert.equal(looksNotFound(pageSignature(page('404 - Page not found', 'Sorry.')), null), true);
+  assert.equal(looksNotFound(null, { status: 404, signature: notFound }), false);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { JSDOM } from 'jsdom';
+import { findCanonical, hreflangLinks, parseJsonLd, robotsDirectives, sameUrl, socialTags } from '../lib/metadata.js';
+
+const documentOf = (head) => new JSDOM(`<!DOCTYPE html><html><head>${head}</head><body></body></html>`).window.document;
+const PAGE = 'https://example.com/post/';
+
+test('parseJsonLd validates required properties, @graph items and broken JSON', () => {
+  const blocks = parseJsonLd(documentOf(`
+    <script type="application/ld+json">{"@type": "BlogPosting", "headline": "Tomatoes", "author": {"name": "Ann"}}</script>
+    <script type="application/ld+json">{"@graph": [{"@type": "Organization", "name": "Garden", "url": "https://example.com/"}, {"name": "untyped"}]}</script>
+    <script type="application/ld+json">{"@type": "BreadcrumbList", "itemListElement": [{"position": 1, "name": "Home"}, {"position": 2, "name": "Post"}]}</script>
+    <script type="application/ld+json">{ not json }</script>`));
+  assert.deepEqual(blocks.map(block => block.valid), [true, true, true, false]);
+  assert.deepEqual(blocks[0].items, [{ types: ['BlogPosting'], path: '$', missing: ['datePublished'], errors: [] }]);
+  assert.deepEqual(blocks[1].items.map(item => [item.path, item.missing, item.errors]), [['@graph[0]', [], []], ['@graph[1]', [], ['no @type']]]);
+  assert.deepEqual(blocks[2].items[0].errors, ['itemListElement[0] has no item URL']);
+});
+
+test('findCanonical merges the link element and the Link header', () => {
+  const doc = documentOf('<link rel="canonical" href="/post">');
+  assert.deepEqual(findCanonical(doc, PAGE), { urls: ['https://example.com/post'], sources: [{ source: 'link', url: 'https://example.com/post' }], matchesPage: true });
+  const conflicting = findCanonical(doc, PAGE, { link: '<https://example.com/other/>; rel="canonical", <https://example.com/feed>; rel="alternate"' });
+  assert.deepEqual(conflicting.urls, ['https://example.com/post', 'https://example.com/other/']);
+  assert.equal(conflicting.matchesPage, false);
+});
+
+test('sameUrl ignores trailing slashes, default ports and fragments', () => {
+  assert.equal(sameUrl('https://example.com:443/a/', 'https://example.com/a#top'), true);
+  assert.equal(sameUrl('https://example.com/a', 'http://example.com/a'), false);
+  assert.equal(sameUrl(null, 'https://example.com/'), false);
+});
+
+test('robotsDirectives reads meta tags and X-Robots-Tag for Google only', () => {
+  const doc = documentOf('<meta name="robots" content="max-snippet:50, nofollow"><meta name="bingbot" content="noindex">');
+  assert.deepEqual(robotsDirectives(doc), {
+    noindex: false,
+    nofollow: true,
+    directives: [{ agent: 'robots', directive: 'max-snippet:50', source: 'meta' }, { agent: 'robots', directive: 'nofollow', source: 'meta' }]
+  });
+  assert.equal(robotsDirectives(documentOf(''), { 'x-robots-tag': 'otherbot: noindex' }).noindex, false);
+  assert.equal(robotsDirectives(documentOf(''), { 'x-robots-tag': 'googlebot: none' }).noindex, true);
+});
+
+test('socialTags applies the Twitter fallbacks to Open Graph', () => {
+  const tags = socialTags(documentOf('<meta property="og:title" content="Tomatoes"><meta property="og:image" content="/cover.png"><meta name="twitter:card" content="summary">'));
+  assert.deepEqual(tags.missingOpenGraph, ['og:description', 'og:url', 'og:type']);
+  assert.deepEqual(tags.missingTwitter, ['twitter:description']);
+});
+
+test('hreflangLinks validates language codes and finds the self reference', () => {
+  const links = hreflangLinks(documentOf(`
+    <link rel="alternate" hreflang="en" href="${PAGE}">
+    <link rel="alternate" hreflang="de-DE" href="https://example.com/de/post/">
+    <link rel="alternate" hreflang="english" href="https://example.com/en/">`), PAGE);
+  assert.deepEqual(links.alternates.map(alternate => [alternate.lang, alternate.valid]), [['en', true], ['de-DE', true], ['english', false]]);
+  assert.equal(links.selfReferenced, true);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { JSDOM } from 'jsdom';
+import { analyzePerformance } from '../lib/performance.js';
+import { runChecks } from '../lib/checks/index.js';
+
+const PAGE = 'https://example.com/';
+const HTML = `<!DOCTYPE html><html><head><title>Page</title>
+<link rel="stylesheet" href="/site.css"><script src="https://cdn.example.net/lib.js"></script></head>
+<body><img src="/a.png"><img src="/b.png" width="10" height="10"></body></html>`;
+const RESPONSE = { status: 200, ttfbMs: 120, downloadMs: 30, htmlBytes: 2048, transferBytes: 900, headers: { 'content-encoding': 'gzip', etag: '"v1"' } };
+
+test('reads document metrics from the HTML and fetch metrics from the response', () => {
+  const doc = new JSDOM(HTML).window.document;
+  const { metrics } = analyzePerformance(doc, PAGE, RESPONSE);
+  assert.equal(metrics.renderBlocking.stylesheets.length, 1);
+  assert.equal(metrics.renderBlocking.scripts.length, 1);
+  assert.equal(metrics.thirdParty.count, 1);
+  assert.equal(metrics.images.withoutDimensions.length, 1);
+  assert.deepEqual(metrics.timing, { ttfbMs: 120, downloadMs: 30, totalMs: 150 });
+  assert.equal(metrics.html.compressed, true);
+  assert.equal(metrics.caching.ok, true);
+});
+
+test('caches per document, page URL and response', () => {
+  const doc = new JSDOM(HTML).window.document;
+  const htmlOnly = analyzePerformance(doc, PAGE);
+  assert.equal(htmlOnly.metrics.timing, undefined);
+  // A later call with the response must not get the result computed without it
+  const withResponse = analyzePerformance(doc, PAGE, RESPONSE);
+  assert.equal(withResponse.metrics.timing.ttfbMs, 120);
+  assert.equal(analyzePerformance(doc, PAGE, RESPONSE), withResponse);
+  assert.equal(analyzePerformance(doc, PAGE), htmlOnly);
+  // Third-party requests depend on the page URL
+  assert.equal(analyzePerformance(doc, 'https://cdn.example.net/').metrics.thirdParty.count, 0);
+});
+
+test('HTML performance checks run without the response', async () => {
+  const doc = new JSDOM(HTML).window.document;
+  const checks = await runChecks({ doc, finalResolvedUrl: PAGE }, { enabled: ['render-blocking', 'third-party-requests', 'image-loading', 'load-speed'] });
+  assert.deepEqual(checks.map(check => check.id), ['render-blocking', 'third-party-requests', 'image-loading']);
+  assert.ok(checks.every(check => !check.message.startsWith('Check failed')));
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { JSDOM } from 'jsdom';
+import { classifyPolicyRisk, confidenceFor } from '../lib/policy.js';
+
+const PAGE = 'https://example.com/';
+const classify = (body, title = 'Page') => classifyPolicyRisk(new JSDOM(`<!DOCTYPE html><html><head><title>${title}</title></head><body><main>${body}</main></body></html>`).window.document, PAGE);
+const category = (result, id) => result.categories.find(entry => entry.id === id);
+
+const GARDENING = '<p>Tomatoes need six to eight hours of direct sun, steady water and soil that drains well. Start seeds indoors six weeks before the last frost.</p>';
+
+test('finds nothing on an ordinary page', () => {
+  assert.deepEqual(classify(GARDENING), { categories: [], highest: 'none' });
+});
+
+test('scores strong phrases, weak terms and link hosts per category', () => {
+  const result = classify(`${GARDENING}<p>Claim free spins at our online casino today. Free spins every week!</p><p><a href="https://www.bet365.com/offer">Place a bet</a></p>`);
+  const gambling = category(result, 'gambling');
+  // "free spins" twice (2 x 3), "online casino" (3) and the bet365 link (3); "casino" inside "online casino" is not counted again
+  assert.equal(gambling.score, 12);
+  assert.equal(gambling.confidence, 'high');
+  assert.deepEqual(gambling.signals.map(signal => [signal.term, signal.source]).slice(0, 3), [['free spins', 'text'], ['online casino', 'text'], ['bet365.com', 'link-host']]);
+  assert.equal(result.highest, 'high');
+});
+
+test('matches whole words only and caps repeated terms', () => {
+  assert.equal(category(classify('<p>Notes on xxxl shirts and the warezone ferry.</p>'), 'adult'), undefined);
+  const repeated = category(classify(`<p>${'Poker night. '.repeat(10)}</p>`), 'gambling');
+  assert.equal(repeated.signals[0].count, 10);
+  assert.equal(repeated.score, 3);
+});
+
+test('weak terms alone stay below high confidence', () => {
+  const text = '<p>A history of the casino, gambling law, the jackpot, roulette, blackjack and poker, with the bookmaker and betting odds of the day.</p>';
+  const mixed = category(classify(text), 'gambling');
+  // "betting odds" (3) and the weak terms, capped at 5
+  assert.equal(mixed.score, 8);
+  assert.equal(mixed.confidence, 'high');
+
+  const weakOnly = category(classify(`<p>${'Casino gambling, jackpot roulette, blackjack poker and the bookmaker. '.repeat(3)}</p>`), 'gambling');
+  assert.equal(weakOnly.score, 5);
+  assert.equal(weakOnly.confidence, 'medium');
+});
+
+test('confidence levels follow the thresholds', () => {
+  assert.equal(confidenceFor(0, true), 'low');
+  assert.equal(confidenceFor(4, false), 'medium');
+  assert.equal(confidenceFor(8, true), 'high');
+  assert.equal(confidenceFor(12, false), 'medium');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { buildReportModel, renderCsv, renderHtml, renderPdf } from '../lib/report.js';
+import { getProfile, scoreBracket } from '../lib/scoring.js';
+
+const profile = getProfile('default');
+const page = (url, score, checks) => ({
+  url,
+  finalResolvedUrl: url,
+  score,
+  profile: 'default',
+  scoreInterpretation: scoreBracket(score, profile).interpretation,
+  recommendations: scoreBracket(score, profile).recommendations,
+  penalties: [],
+  checks
+});
+const check = (id, name, status, message) => ({ id, name, status, message, category: 'Content Quality', weight: 5 });
+
+const CRAWL = {
+  mode: 'crawl',
+  startUrl: 'https://example.com/',
+  pages: [
+    page('https://example.com/', 90, [check('title-tag', 'SEO Title Tag', 'pass', 'Home title ok')]),
+    page('https://example.com/thin.html', 30, [check('title-tag', 'SEO Title Tag', 'fail', 'Thin title missing')])
+  ],
+  site: { pagesAnalyzed: 2, totalArticles: 0, medianWordCount: 120, averageScore: 60 }
+};
+
+test('a crawl report interprets the average score and has a section per page', async () => {
+  const model = buildReportModel(CRAWL);
+  assert.equal(model.score, 60);
+  assert.equal(model.scoreInterpretation, scoreBracket(60, profile).interpretation);
+  assert.deepEqual(model.recommendations, scoreBracket(60, profile).recommendations);
+  assert.notEqual(model.scoreInterpretation, CRAWL.pages[0].scoreInterpretation);
+  assert.deepEqual(model.pages.map(({ url, score, summary }) => ({ url, score, fail: summary.fail })), [
+    { url: 'https://example.com/', score: 90, fail: 0 },
+    { url: 'https://example.com/thin.html', score: 30, fail: 1 }
+  ]);
+
+  const html = renderHtml(model);
+  assert.match(html, /Average of 2 pages\./);
+  assert.match(html, /<h2>https:\/\/example.com\/thin.html<\/h2>\s*<p><span class="page-score">30\/100<\/span>/);
+  assert.ok(html.includes('Home title ok') && html.includes('Thin title missing'));
+  assert.ok(html.includes(scoreBracket(30, profile).interpretation));
+
+  assert.deepEqual(renderCsv(model).trim().split('\r\n'), [
+    'Page,Category,Check,Status,Weight,Message',
+    'https://example.com/,Content Quality,SEO Title Tag,pass,5,Home title ok',
+    'https://example.com/thin.html,Content Quality,SEO Title Tag,fail,5,Thin title missing'
+  ]);
+
+  const pdf = await renderPdf(model);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('a single-page report keeps the page score and interpretation', () => {
+  const result = page('https://example.com/', 90, [check('title-tag', 'SEO Title Tag', 'pass', 'Home title ok')]);
+  const model = buildReportModel(result);
+  assert.equal(model.score, 90);
+  assert.equal(model.scoreInterpretation, result.scoreInterpretation);
+  assert.equal(model.pages.length, 1);
+  assert.doesNotMatch(renderHtml(model), /Average of/);
+});
@@ -0,0 +1,82 @@
+import { describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { MAX_RULE_LENGTH, evaluatePath, groupsForAgent, isAllowed, matchesRule, parseRobotsTxt } from '../lib/robots.js';
+
+describe('matchesRule', () => {
+  test('matches prefixes, wildcards and the end anchor', () => {
+    assert.equal(matchesRule('/private', '/private/page'), true);
+    assert.equal(matchesRule('/private', '/public'), false);
+    assert.equal(matchesRule('/*.pdf$', '/files/report.pdf'), true);
+    assert.equal(matchesRule('/*.pdf$', '/files/report.pdf?download=1'), false);
+    assert.equal(matchesRule('/a*b*c', '/a-x-b-y-c-z'), true);
+    assert.equal(matchesRule('/a*b*c', '/a-x-c-y-b'), false);
+    assert.equal(matchesRule('/$', '/'), true);
+    assert.equal(matchesRule('/$', '/index.html'), false);
+    assert.equal(matchesRule('/ab*b$', '/ab'), false);
+    assert.equal(matchesRule('/ab*b$', '/abb'), true);
+  });
+
+  test('answers at once on rules that make a backtracking matcher hang', () => {
+    const pattern = `/${'a*'.repeat(25)}b`;
+    const path = `/${'a'.repeat(40)}`;
+    const started = Date.now();
+    assert.equal(matchesRule(pattern, path), false);
+    assert.equal(matchesRule(`${pattern}$`, path), false);
+    assert.ok(Date.now() - started < 100);
+  });
+});
+
+describe('parseRobotsTxt', () => {
+  test('groups consecutive user-agent lines and collects sitemaps', () => {
+    const parsed = parseRobotsTxt('User-agent: Googlebot\nUser-agent: Bingbot\nDisallow: /tmp\nSitemap: https://example.com/sitemap.xml\n\nUser-agent: *\nCrawl-delay: 5\nAllow: /\nbroken line');
+    assert.equal(parsed.groups.length, 2);
+    assert.deepEqual(parsed.groups[0].userAgents, ['googlebot', 'bingbot']);
+    assert.deepEqual(parsed.groups[0].rules, [{ type: 'disallow', path: '/tmp', line: 3 }]);
+    assert.equal(parsed.groups[1].crawlDelay, 5);
+    assert.deepEqual(parsed.sitemaps, ['https://example.com/sitemap.xml']);
+    assert.deepEqual(parsed.invalidLines, [{ line: 9, content: 'broken line' }]);
+  });
+
+  test('reports over-long rules as invalid instead of evaluating them', () => {
+    const parsed = parseRobotsTxt(`User-agent: *\nDisallow: /${'x'.repeat(MAX_RULE_LENGTH)}`);
+    assert.deepEqual(parsed.groups[0].rules, []);
+    assert.equal(parsed.invalidLines[0].line, 2);
+  });
+});
+
+describe('evaluatePath', () => {
+  const parsed = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /admin',
+    'Allow: /admin/public',
+    'Disallow: /*?session=',
+    '',
+    'User-agent: Mediapartners-Google',
+    'Disallow: /',
+    '',
+    'User-agent: AdsBot-Google',
+    'Disallow: /landing'
+  ].join('\n'));
+
+  test('applies the longest matching rule, with allow winning ties', () => {
+    const groups = groupsForAgent(parsed, 'Googlebot');
+    assert.deepEqual(evaluatePath(groups, '/admin/users'), { allowed: false, rule: { type: 'disallow', path: '/admin', line: 2 } });
+    assert.equal(evaluatePath(groups, '/admin/public/page').allowed, true);
+    assert.equal(evaluatePath(groups, '/shop?session=1').allowed, false);
+    assert.equal(evaluatePath(groups, '/').allowed, true);
+    assert.equal(evaluatePath(parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page').groups, '/page').allowed, true);
+  });
+
+  test('uses named groups over the wildcard group and lets AdsBot ignore the wildcard', () => {
+    assert.equal(isAllowed(parsed, 'Mediapartners-Google', '/'), false);
+    assert.equal(isAllowed(parsed, 'AdsBot-Google', '/admin', { ignoresWildcard: true }), true);
+    assert.equal(isAllowed(parsed, 'AdsBot-Google', '/landing', { ignoresWildcard: true }), false);
+    assert.equal(isAllowed(parseRobotsTxt('User-agent: *\nDisallow: /'), 'AdsBot-Google', '/', { ignoresWildcard: true }), true);
+  });
+
+  test('always allows robots.txt and compares percent-encoding case-insensitively', () => {
+    const groups = parseRobotsTxt('User-agent: *\nDisallow: /\nDisallow: /caf%c3%a9').groups;
+    assert.equal(evaluatePath(groups, '/robots.txt').allowed, true);
+    assert.equal(evaluatePath(groups, '/caf%C3%A9').rule.path, '/caf%c3%a9');
+  });
+});
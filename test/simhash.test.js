@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import { findNearDuplicates, hammingDistance, shingles, simhash } from '../lib/simhash.js';
+
+const ARTICLE = 'Tomatoes need six to eight hours of direct sun, steady water and soil that drains well. Start seeds indoors six weeks before the last frost and move the seedlings under a bright window as soon as they break the surface. Water deeply and regularly rather than a little every day, because irregular watering splits the fruit and causes blossom end rot.';
+const OTHER = 'Our privacy policy explains which personal data we collect when you subscribe to the newsletter, how long we keep it and how you can ask us to delete it. We never sell your data and only share it with the service that sends our emails.';
+
+test('shingles are overlapping lower-case word triples', () => {
+  assert.deepEqual(shingles('The quick, brown Fox jumps'), ['the quick brown', 'quick brown fox', 'brown fox jumps']);
+  assert.deepEqual(shingles('Two words'), ['two words']);
+  assert.deepEqual(shingles(''), []);
+});
+
+test('simhash keeps similar texts close and different texts apart', () => {
+  const original = simhash(ARTICLE);
+  assert.match(original, /^[0-9a-f]{16}$/);
+  assert.equal(simhash(ARTICLE.toUpperCase()), original);
+  assert.ok(hammingDistance(original, simhash(ARTICLE.replace('six weeks', 'five weeks'))) <= 6);
+  assert.ok(hammingDistance(original, simhash(OTHER)) > 12);
+  assert.equal(simhash('!!!'), null);
+});
+
+test('hammingDistance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('000000000000000f', '0000000000000001'), 3);
+});
+
+test('findNearDuplicates pairs pages within the distance and skips pages without text', () => {
+  const pages = [
+    { url: '/a', simhash: simhash(ARTICLE) },
+    { url: '/b', simhash: simhash(`${ARTICLE} Thanks for reading.`) },
+    { url: '/c', simhash: simhash(OTHER) },
+    { url: '/d', simhash: null }
+  ];
+  const pairs = findNearDuplicates(pages);
+  assert.deepEqual(pairs.map(pair => pair.urls), [['/a', '/b']]);
+  assert.ok(pairs[0].similarity >= 90);
+});
@@ -0,0 +1,96 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'assert/strict';
+import { gzipSync } from 'zlib';
+import { FIXTURES_DIR } from './support/harness.js';
+import { startSiteServer } from '../lib/localsite.js';
+import { getSafetyPolicy, loadSafetyPolicy, setSafetyPolicy } from '../lib/safety.js';
+import { discoverSitemaps, isValidLastmod, parseSitemapXml } from '../lib/sitemap.js';
+
+const urlset = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${entries}
+</urlset>`;
+
+describe('parseSitemapXml', () => {
+  test('reads entries with their location and last modification', () => {
+    const xml = urlset([
+      '<url><image:image><image:loc>https://example.com/photo.png</image:loc></image:image><loc> https://example.com/a?x=1&amp;y=2 </loc><lastmod>2024-05-01</lastmod></url>',
+      '<url><loc><![CDATA[https://example.com/b?q=&c]]></loc></url>',
+      '<url/>'
+    ].join('\n'));
+    assert.deepEqual(parseSitemapXml(xml), {
+      type: 'urlset',
+      entries: [
+        { loc: 'https://example.com/a?x=1&y=2', lastmod: '2024-05-01' },
+        { loc: 'https://example.com/b?q=&c', lastmod: undefined },
+        { loc: undefined, lastmod: undefined }
+      ]
+    });
+  });
+
+  test('reads sitemap indexes, prefixed or not', () => {
+    assert.deepEqual(parseSitemapXml('<sm:sitemapindex xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9"><sm:sitemap><sm:loc>https://example.com/posts.xml</sm:loc></sm:sitemap></sm:sitemapindex>'), {
+      type: 'index',
+      entries: [{ loc: 'https://example.com/posts.xml', lastmod: undefined }]
+    });
+  });
+
+  test('rejects other documents and truncated files', () => {
+    assert.throws(() => parseSitemapXml('<!DOCTYPE html><html><body>Not found</body></html>'), /Unexpected root element <html>/);
+    assert.throws(() => parseSitemapXml(urlset('<url><loc>https://example.com/</loc></url>').replace('</urlset>', '')), /not well-formed/);
+    assert.throws(() => parseSitemapXml('User-agent: *'), /not well-formed/);
+  });
+
+  test('stays linear on unterminated tags', () => {
+    const started = Date.now();
+    assert.equal(parseSitemapXml(`<urlset>${'<url><loc '.repeat(200000)}</urlset>`).entries.length, 0);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+test('isValidLastmod accepts W3C datetimes only', () => {
+  assert.equal(isValidLastmod('2024-05-01'), true);
+  assert.equal(isValidLastmod('2024-05-01T10:30:00+02:00'), true);
+  assert.equal(isValidLastmod('05/01/2024'), false);
+  assert.equal(isValidLastmod('2024-13-01'), false);
+});
+
+describe('discoverSitemaps', () => {
+  const MAX_BYTES = 4096;
+  const entries = (count) => Array.from({ length: count }, (_, i) => `<url><loc>http://127.0.0.1/page-${i}.html</loc></url>`).join('\n');
+  let site;
+  let previousPolicy;
+
+  before(async () => {
+    site = await startSiteServer(`${FIXTURES_DIR}/bare`, {
+      routes: {
+        '/small.xml': { contentType: 'application/xml', body: urlset(entries(3)) },
+        '/large.xml.gz': { contentType: 'application/gzip', body: gzipSync(urlset(entries(500))) }
+      }
+    });
+    previousPolicy = getSafetyPolicy();
+    setSafetyPolicy(loadSafetyPolicy({
+      FETCH_ALLOWED_HOSTS: '127.0.0.1',
+      FETCH_ALLOWED_PORTS: String(site.port),
+      FETCH_ONLY_ALLOWED: 'true',
+      FETCH_MAX_BYTES: String(MAX_BYTES)
+    }));
+  });
+  after(async () => {
+    setSafetyPolicy(previousPolicy);
+    await site.close();
+  });
+
+  test('collects the URLs of declared sitemaps', async () => {
+    const result = await discoverSitemaps(site.origin, `Sitemap: ${site.origin}/small.xml`);
+    assert.deepEqual(result.sitemaps.map(({ type, status, urlCount, errors }) => ({ type, status, urlCount, errors })), [{ type: 'urlset', status: 200, urlCount: 3, errors: [] }]);
+    assert.equal(result.totalUrls, 3);
+    assert.equal(result.offHostUrls, 0);
+  });
+
+  test('stops inflating at the response size limit', async () => {
+    const result = await discoverSitemaps(site.origin, `Sitemap: ${site.origin}/large.xml.gz`);
+    assert.equal(result.sitemaps[0].urlCount, 0);
+    assert.deepEqual(result.sitemaps[0].errors, ['Sitemap exceeds the 4KB limit']);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Golden files: expected API payloads in test/golden/<name>.json. Values that change from run to
+// run (fixture ports, timings, dates, ids) are replaced with placeholders first, so any difference
+// left is a change in checks or scoring. Run with UPDATE_GOLDEN=1 to rewrite the files after an
+// intended change and review the diff.
+
+export const GOLDEN_DIR = fileURLToPath(new URL('../golden/', import.meta.url));
+
+// Keys whose values depend on timing or on when the test ran
+const VOLATILE_KEYS = /^(analyzedAt|analysisTime|historyId|storedAt|fetchedAt|ageSeconds|expiresInSeconds|responseTime|ttfbMs|downloadMs|totalMs|durationMs|downloadTime)$/;
+
+const VOLATILE_TEXT = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/g, '<uuid>'],
+  [/\b\d+(\.\d+)?\s?ms\b/g, '<n>ms'],
+  [/\b\d+(\.\d+)?s\b(?= (response|TTFB|to first byte))/g, '<n>s']
+];
+
+// `origins` maps placeholders to the fixture origins of this run: { '{{blog}}': 'http://127.0.0.1:41234' }
+export function normalize(value, origins = {}) {
+  const text = (string) => {
+    let result = string;
+    for (const [placeholder, origin] of Object.entries(origins)) result = result.replaceAll(origin, placeholder);
+    for (const [pattern, replacement] of VOLATILE_TEXT) result = result.replace(pattern, replacement);
+    return result;
+  };
+  const walk = (node) => {
+    if (typeof node === 'string') return text(node);
+    if (Array.isArray(node)) return node.map(walk);
+    if (node && typeof node === 'object') {
+      // Measured metrics ({ value, unit: 'ms' }) vary with machine load
+      const volatile = (key) => VOLATILE_KEYS.test(key) || (key === 'value' && node.unit === 'ms');
+      return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+        text(key),
+        volatile(key) && child !== null ? '<volatile>' : walk(child)
+      ]));
+    }
+    return node;
+  };
+  return walk(value);
+}
+
+const checkOutcomes = (checks) => Object.fromEntries(checks.map(check => [check.id, `${check.status}: ${check.message}`]));
+
+// The part of an analysis the goldens pin down: the score and each check's status and message.
+// Details, metrics and timings are covered by targeted assertions in the tests instead.
+export function summarizeResult(result) {
+  if (result.mode === 'crawl') {
+    const { mode, startUrl, maxPages, site, errors } = result;
+    return { mode, startUrl, maxPages, site, errors, pages: result.pages.map(page => ({ url: page.url, score: page.score, checks: checkOutcomes(page.checks) })) };
+  }
+  const { finalResolvedUrl, profile, score, penalties } = result;
+  return { finalResolvedUrl, profile, score, penalties, checks: checkOutcomes(result.checks) };
+}
+
+export function assertGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, `${name}.json`);
+  const serialized = `${JSON.stringify(actual, null, 2)}\n`;
+  if (process.env.UPDATE_GOLDEN === '1') {
+    mkdirSync(GOLDEN_DIR, { recursive: true });
+    writeFileSync(file, serialized);
+    return;
+  }
+  assert.ok(existsSync(file), `Golden file ${path.relative(process.cwd(), file)} is missing; run UPDATE_GOLDEN=1 npm test to create it.`);
+  assert.deepEqual(actual, JSON.parse(readFileSync(file, 'utf8')), `Output differs from ${path.relative(process.cwd(), file)}`);
+}
@@ -0,0 +1,60 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startSiteServer } from '../../lib/localsite.js';
+import { loadSafetyPolicy, setSafetyPolicy } from '../../lib/safety.js';
+
+// Fixture sites served from test/fixtures/sites over loopback, and the API app mounted on an
+// ephemeral port. The safety policy only lets requests reach the fixture servers, so a test can
+// never touch the real network: anything else fails the same way a blocked URL does in production.
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/sites/', import.meta.url));
+export const API_KEY = 'test-key';
+export const ADMIN_API_KEY = 'test-admin-key';
+// Fixture routes that answer late wait longer than this
+export const FETCH_TIMEOUT_MS = 1500;
+
+// Settings read by app.js when it is imported
+process.env.HISTORY_STORE = 'memory';
+process.env.API_KEYS = `test:${API_KEY},admin:${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+// Starts one server per site ({ name: routes }) and the app. Resolves to { sites: { name: origin },
+// analyze(body, { path, signal, apiKey }), pending(name), close() }; pending(name) counts the
+// responses a site is still sending.
+export async function startHarness(siteRoutes) {
+  const servers = {};
+  for (const [name, routes] of Object.entries(siteRoutes)) {
+    servers[name] = await startSiteServer(path.join(FIXTURES_DIR, name), { routes });
+  }
+  setSafetyPolicy(loadSafetyPolicy({
+    FETCH_ALLOWED_HOSTS: '127.0.0.1',
+    FETCH_ALLOWED_PORTS: Object.values(servers).map(server => server.port).join(','),
+    FETCH_ONLY_ALLOWED: 'true',
+    FETCH_TIMEOUT_MS: String(FETCH_TIMEOUT_MS)
+  }));
+
+  const { default: app } = await import('../../app.js');
+  const api = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const apiOrigin = `http://127.0.0.1:${api.address().port}`;
+
+  return {
+    sites: Object.fromEntries(Object.entries(servers).map(([name, server]) => [name, server.origin])),
+    async analyze(body, { path: route = '/api/analyze-url', signal, apiKey = API_KEY } = {}) {
+      const res = await fetch(`${apiOrigin}${route}`, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, headers: res.headers, body: res.headers.get('content-type')?.includes('json') ? await res.json() : await res.text() };
+    },
+    pending: (name) => servers[name].pending(),
+    async close() {
+      api.closeAllConnections();
+      await new Promise(resolve => api.close(resolve));
+      await Promise.all(Object.values(servers).map(server => server.close()));
+    }
+  };
+}